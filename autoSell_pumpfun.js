@@ -2,9 +2,6 @@ import {
   Connection,
   PublicKey,
   Keypair,
-  ComputeBudgetProgram,
-  TransactionMessage,
-  VersionedTransaction,
 } from "@solana/web3.js";
 import crypto from "crypto";
 import fs from "fs";
@@ -19,6 +16,10 @@ import {
   getSellSolAmountFromTokenAmount,
 } from "@pump-fun/pump-sdk";
 import { PumpAmmSdk, OnlinePumpAmmSdk } from "@pump-fun/pump-swap-sdk";
+import { feeLevelForSellReason } from "./fee_estimator.js";
+import { prepareInstructions } from "./tx_simulation.js";
+import { sendTransaction } from "./tx_manager.js";
+import { sendBundledTransaction, shouldUseBundle } from "./jito_bundle.js";
 
 const POOL_CACHE = new Map();
 
@@ -113,37 +114,6 @@ async function sendTelegram(message) {
   }
 }
 
-// ---------------- TX SENDERS ----------------
-// ---------------- TX SENDERS ----------------
-async function sendV0TxWithConn(conn, instructions, signers) {
-  const { blockhash, lastValidBlockHeight } =
-    await conn.getLatestBlockhash(COMMITMENT);
-
-  const msg = new TransactionMessage({
-    payerKey: signers[0].publicKey,
-    recentBlockhash: blockhash,
-    instructions,
-  }).compileToV0Message();
-
-  const tx = new VersionedTransaction(msg);
-  tx.sign(signers);
-
-  const sig = await conn.sendTransaction(tx, {
-    skipPreflight: false,
-    maxRetries: 3,
-  });
-
-  const conf = await conn.confirmTransaction(
-    { signature: sig, blockhash, lastValidBlockHeight },
-    COMMITMENT
-  );
-
-  if (conf.value.err) {
-    throw new Error(`Tx failed: ${JSON.stringify(conf.value.err)}`);
-  }
-
-  return sig;
-}
 // ---------------- RESOLVER ONCHAIN ----------------
 async function resolvePumpSwapPoolByMintOnChain(conn, mintPk) {
   const mintKey = mintPk.toBase58();
@@ -253,6 +223,7 @@ async function buildCurveSellIxs({
   tokenAccount,
   slippageBps,
   amountRaw,
+  feeLevel = "normal",
 }) {
   const onlineSdk = new OnlinePumpSdk(conn);
   const global = await onlineSdk.fetchGlobal();
@@ -339,11 +310,8 @@ async function buildCurveSellIxs({
     tokenProgram: storedAtaInfo.owner,
   });
 
-  return [
-    ComputeBudgetProgram.setComputeUnitLimit({ units: 300_000 }),
-    ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 50_000 }),
-    ...sellIxs,
-  ];
+  // simulated first: overflow / slippage surface here, before a send
+  return prepareInstructions(conn, sellIxs, { payer: user, level: feeLevel });
 }
 
 // ---------------- PUMP CURVE SELL Split----------------
@@ -355,9 +323,12 @@ export async function executeCurveSellWithSplit({
   slippageBps,
   amountRaw,
   maxChunk = 50_000_000_000,
+  feeLevel = "normal",
+  useBundle = false,
 }) {
   let remaining = new BN(String(amountRaw));
   const results = [];
+  const send = useBundle ? sendBundledTransaction : sendTransaction;
 
   while (remaining.gt(new BN(0))) {
     const chunk = BN.min(remaining, new BN(maxChunk));
@@ -371,9 +342,10 @@ export async function executeCurveSellWithSplit({
         tokenAccount,
         slippageBps,
         amountRaw: chunk,
+        feeLevel,
       });
 
-      const sig = await sendV0TxWithConn(conn, ixs, [user]);
+      const sig = await send(conn, ixs, [user], { label: "curve_sell", level: feeLevel });
 
       console.log(`[CURVE_SELL] Success chunk=${chunk.toString()} tx=${sig}`);
       results.push({ ok: true, chunk: chunk.toString(), signature: sig });
@@ -384,6 +356,7 @@ export async function executeCurveSellWithSplit({
       console.log(`[CURVE_SELL] Failed chunk=${chunk.toString()} error=${msg}`);
 
       const isOverflow =
+        e?.code === "SIM_OVERFLOW" ||
         msg.includes("Overflow") ||
         msg.includes("0x1788") ||
         msg.includes("Error Code: Overflow");
@@ -411,9 +384,12 @@ export async function executeAmmSellWithSplit({
   amountRaw,
   maxChunk = 50_000_000_000,
   slippageFrac = 0.003,
+  feeLevel = "normal",
+  useBundle = false,
 }) {
   let remaining = new BN(String(amountRaw));
   const results = [];
+  const send = useBundle ? sendBundledTransaction : sendTransaction;
 
   while (remaining.gt(new BN(0))) {
     const chunk = BN.min(remaining, new BN(maxChunk));
@@ -437,7 +413,12 @@ export async function executeAmmSellWithSplit({
         throw new Error("AMM sell build returned no instructions");
       }
 
-      const sig = await sendV0TxWithConn(conn, instructions, [user]);
+      const prepared = await prepareInstructions(conn, instructions, {
+        payer: user.publicKey,
+        level: feeLevel,
+      });
+
+      const sig = await send(conn, prepared, [user], { label: "amm_sell", level: feeLevel });
 
       console.log(`[AMM_SELL] Success chunk=${chunk.toString()} tx=${sig}`);
       results.push({ ok: true, chunk: chunk.toString(), signature: sig });
@@ -448,6 +429,7 @@ export async function executeAmmSellWithSplit({
       console.log(`[AMM_SELL] Failed chunk=${chunk.toString()} error=${msg}`);
 
       const isOverflow =
+        e?.code === "SIM_OVERFLOW" ||
         msg.includes("Overflow") ||
         msg.includes("0x1788") ||
         msg.includes("Error Code: Overflow");
@@ -474,9 +456,17 @@ export async function executeAutoSellPumpfun({
   amountRaw,
   slippageBps = 300,
   ammPoolPublicKey,
+  reason = null,
+  feeLevel,
+  useBundle,
 }) {
   if (!mint || !tokenAccount || !amountRaw) throw new Error("Missing required params");
 
+  // emergency exits (RUG/TOP1/...) escalate to the urgent fee level
+  const level = feeLevel || feeLevelForSellReason(reason);
+  // ...and, with JITO_BUNDLE_SELLS=urgent, to a Jito bundle
+  const bundle = useBundle ?? shouldUseBundle("sell", level);
+
   const wallet = getWallet();
   const mintPk = mint instanceof PublicKey ? mint : new PublicKey(mint);
   const tokenAccPk = tokenAccount instanceof PublicKey ? tokenAccount : new PublicKey(tokenAccount);
@@ -486,6 +476,9 @@ export async function executeAutoSellPumpfun({
     tokenAccount: tokenAccPk.toBase58(),
     amountRaw: String(amountRaw),
     amountRawDigits: String(amountRaw).length,
+    reason,
+    feeLevel: level,
+    bundle,
   });
 
   return rpcLimited("autoSellPumpfun", async (conn) => {
@@ -507,6 +500,8 @@ export async function executeAutoSellPumpfun({
           userTokenAccount: tokenAccPk,
           amountRaw,
           slippageFrac,
+          feeLevel: level,
+          useBundle: bundle,
         });
 
         if (results.every(r => r.ok)) {
@@ -532,6 +527,8 @@ export async function executeAutoSellPumpfun({
         tokenAccount: tokenAccPk,
         slippageBps,
         amountRaw,
+        feeLevel: level,
+        useBundle: bundle,
       });
 
       if (results.every(r => r.ok)) {
@@ -566,6 +563,8 @@ export async function executeAutoSellPumpfun({
             userTokenAccount: tokenAccPk,
             amountRaw,
             slippageFrac,
+            feeLevel: level,
+            useBundle: bundle,
           });
 
           if (results.every(r => r.ok)) {
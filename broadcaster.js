@@ -0,0 +1,160 @@
+// broadcaster.js (ESM)
+// Multi-endpoint broadcast for tx_manager.js (TX_BROADCAST_MODE=multi).
+//
+// The same signed bytes go to every configured endpoint at once:
+//   BROADCAST_RPC_URLS   full RPCs: send + signature status
+//   BROADCAST_SEND_URLS  send-only endpoints (sendTransaction only)
+// plus the caller's own connection. Status is polled on all full RPCs in
+// parallel; the first endpoint that reports the signature is credited with
+// the landing. Per-endpoint stats (acks, errors, wins, latencies) are kept in
+// BROADCAST_STATS_FILE and used to rank endpoints, fastest first;
+// BROADCAST_FANOUT caps how many of the ranked endpoints are used.
+
+import "dotenv/config";
+import path from "path";
+import { Connection } from "@solana/web3.js";
+import { saveMapToFile, loadMapFromFile } from "./memoryHelper.js";
+
+const COMMITMENT = process.env.COMMITMENT || "confirmed";
+const STATS_FILE = path.resolve(process.env.BROADCAST_STATS_FILE || "./broadcast_stats.json");
+const FANOUT = Number(process.env.BROADCAST_FANOUT || 0); // 0 = all
+
+function parseUrls(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+const RPC_URLS = parseUrls(process.env.BROADCAST_RPC_URLS);
+const SEND_URLS = parseUrls(process.env.BROADCAST_SEND_URLS);
+
+// url -> { url, sends, sendErrors, ackMsTotal, wins, landMsTotal, lastWinAt }
+const STATS = loadMapFromFile(STATS_FILE);
+
+// url -> Connection
+const CONNECTIONS = new Map();
+
+// ---------------- helpers ----------------
+function connFor(url) {
+  if (!CONNECTIONS.has(url)) CONNECTIONS.set(url, new Connection(url, COMMITMENT));
+  return CONNECTIONS.get(url);
+}
+
+function statsFor(url) {
+  let s = STATS.get(url);
+  if (!s) {
+    s = { url, sends: 0, sendErrors: 0, ackMsTotal: 0, wins: 0, landMsTotal: 0, lastWinAt: null };
+    STATS.set(url, s);
+  }
+  return s;
+}
+
+function avg(total, n) {
+  return n > 0 ? total / n : null;
+}
+
+// lower is better: proven winners by landing latency, then by ack latency
+function rankScore(url) {
+  const s = STATS.get(url);
+  if (!s) return 5_000;
+
+  const okSends = s.sends - s.sendErrors;
+  const errorRate = s.sends ? s.sendErrors / s.sends : 0;
+  const landMs = avg(s.landMsTotal, s.wins);
+  const ackMs = avg(s.ackMsTotal, okSends) ?? 5_000;
+
+  return (landMs ?? ackMs + 2_000) * (1 + errorRate * 4);
+}
+
+/**
+ * Ranked broadcast endpoints, fastest first.
+ * @param {import("@solana/web3.js").Connection} [primary] - caller's connection, always included
+ * @returns {Array<{ url: string, sendOnly: boolean, conn: import("@solana/web3.js").Connection }>}
+ */
+export function getBroadcastEndpoints(primary = null) {
+  const list = new Map();
+
+  if (primary?.rpcEndpoint) list.set(primary.rpcEndpoint, { url: primary.rpcEndpoint, sendOnly: false, conn: primary });
+  for (const url of RPC_URLS) if (!list.has(url)) list.set(url, { url, sendOnly: false, conn: connFor(url) });
+  for (const url of SEND_URLS) if (!list.has(url)) list.set(url, { url, sendOnly: true, conn: connFor(url) });
+
+  const ranked = [...list.values()].sort((a, b) => rankScore(a.url) - rankScore(b.url));
+  return FANOUT > 0 ? ranked.slice(0, FANOUT) : ranked;
+}
+
+// ---------------- PUBLIC API ----------------
+/**
+ * Send the same raw tx to every endpoint in parallel.
+ * @returns {Promise<{ accepted: number, results: Array<{ url: string, ok: boolean, ackMs: number, error?: string }> }>}
+ */
+export async function broadcastRaw(raw, endpoints, { skipPreflight = true } = {}) {
+  const results = await Promise.all(
+    endpoints.map(async ({ url, conn }) => {
+      const started = Date.now();
+      const s = statsFor(url);
+      s.sends += 1;
+
+      try {
+        await conn.sendRawTransaction(raw, { skipPreflight, maxRetries: 0 });
+        const ackMs = Date.now() - started;
+        s.ackMsTotal += ackMs;
+        return { url, ok: true, ackMs };
+      } catch (e) {
+        s.sendErrors += 1;
+        return { url, ok: false, ackMs: Date.now() - started, error: String(e?.message || e) };
+      }
+    })
+  );
+
+  return { accepted: results.filter((r) => r.ok).length, results };
+}
+
+/**
+ * Signature status from every full RPC in parallel.
+ * `status` is the most advanced view (confirmed / errored over processed);
+ * `url` is the endpoint whose answer reporting the signature arrived first.
+ * @returns {Promise<{ status: object|null, url: string|null }>}
+ */
+export async function pollSignatureStatus(signature, endpoints) {
+  const rpcs = endpoints.filter((e) => !e.sendOnly);
+  const known = []; // in arrival order
+
+  await Promise.all(
+    rpcs.map(async ({ url, conn }) => {
+      try {
+        const { value } = await conn.getSignatureStatuses([signature]);
+        if (value?.[0]) known.push({ url, status: value[0] });
+      } catch {
+        // endpoint unavailable this round
+      }
+    })
+  );
+
+  if (!known.length) return { status: null, url: null };
+
+  const best = known.find((s) => s.status.err || s.status.confirmationStatus !== "processed") || known[0];
+  return { status: best.status, url: known[0].url };
+}
+
+/** Credit the endpoint that first reported the signature. */
+export function recordLanding(url, landMs) {
+  if (!url) return;
+  const s = statsFor(url);
+  s.wins += 1;
+  s.landMsTotal += Math.max(0, landMs);
+  s.lastWinAt = Date.now();
+  saveMapToFile(STATS, STATS_FILE);
+}
+
+export function getEndpointStats() {
+  return [...STATS.values()].map((s) => ({
+    url: s.url,
+    sends: s.sends,
+    sendErrors: s.sendErrors,
+    wins: s.wins,
+    avgAckMs: avg(s.ackMsTotal, s.sends - s.sendErrors),
+    avgLandMs: avg(s.landMsTotal, s.wins),
+    lastWinAt: s.lastWinAt,
+  }));
+}
@@ -1,32 +1,51 @@
 import dotenv from 'dotenv';
 import fs from "fs";
 import path from "path";
-import { PublicKey } from "@solana/web3.js";
-import {
-  updateMarketCapAndCheckRetracement,
-  getMarketCapMemory,
-  clearMarketCapMemory,
-} from "./stage1_retracement.js";
-import { computeCandle } from "./computeCandle.js";
-import { checkTokenSecurity } from "./tokensecurities.js";
-import { checkToken2022ExtensionsSafety } from "./token2022ExtensionsGate.js";
-import { resolvePumpSwapPool } from "./poolResolver.js";
-import { checkPumpMigration } from "./checkPumpMigration.js";
+import { clearMarketCapMemory } from "./stage1_retracement.js";
+import { clearCandles } from "./candle_engine.js";
+import { backfillPriceHistory } from "./price_backfill.js";
+import { runBuyPipeline, getBuyStageOrder } from "./buy_pipeline.js";
+import { appendDecision } from "./decision_journal.js";
+import { trackRejection } from "./missed_tracker.js";
+import "./buy_stages.js";
 import {
   executeAmmMigrationBuy,
   ensureEntryCapacity,
 } from "./swapexecutorAMM_pumpswap.js";
+import { executePumpfunBuyFromBonding } from "./swapexecutor_pumpfun.js";
+import {
+  dropMigrationWatch,
+  getSnipeState,
+  isMigrationSniperRunning,
+  watchMigration,
+} from "./migration_sniper.js";
+import { computeBuySize } from "./position_sizing.js";
 import { saveMapToFile, loadMapFromFile } from "./memoryHelper.js";
+import {
+  CANDIDATE_STORE_FILE,
+  listCandidates,
+  removeCandidate,
+  setCandidateStage,
+  updateCandidate,
+} from "./candidate_store.js";
 
 dotenv.config();
 
 const CONCURRENCY_LIMIT = Number(process.env.BUYCALLER_CONCURRENCY || 3);
 const BUY_LOOP_MS = Number(process.env.BUYCALLER_LOOP_MS || 10_000);
-const STAGE1_TIMEOUT_MS = 9 * 60 * 60 * 1000;
+const STAGE1_TIMEOUT_MS = Number(process.env.STAGE1_TIMEOUT_MS || 9 * 60 * 60 * 1000);
+const PRICE_BACKFILL_ENABLED = process.env.PRICE_BACKFILL_ENABLED !== "0";
 
-const BONDING_FILE = path.resolve(
-  process.env.BONDING_OUT_FILE || "./bonding_candidates.json"
-);
+// Entry strategy:
+//   migrated  buy the PumpSwap pool after migration (default)
+//   curve     buy on the bonding curve, pool/migration stages skipped
+//   auto      curve while the candidate's curve is live, pool once complete
+const BUY_ENTRY_MODE = String(process.env.BUY_ENTRY_MODE || "migrated").trim().toLowerCase();
+const AMM_ONLY_STAGES = new Set(["pool", "migration"]);
+
+// Stage 4 rejections that only mean "not migrated yet"; handed to the
+// migration sniper (when running) instead of being dropped for good
+const NOT_MIGRATED_REASONS = new Set(["pool_resolve_fail", "pool_not_migrated"]);
 
 const BUY_TOKEN_FILE = path.resolve(
   process.env.BUY_TOKEN_FILE || "./buyToken.json"
@@ -35,6 +54,7 @@ const BUY_TOKEN_FILE = path.resolve(
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID;
 
+// Per-mint polling state; persisted on the candidate record (firstSeenAt, lastClose)
 const LAST_CLOSE_MAP = new Map();
 const FIRST_SEEN_MAP = new Map();
 const BUY_TOKEN_MAP = loadMapFromFile(BUY_TOKEN_FILE);
@@ -43,22 +63,6 @@ let buyTimer = null;
 let buyTickRunning = false;
 
 // ---------------- JSON ----------------
-function loadBondingCandidates(filePath = BONDING_FILE) {
-  try {
-    if (!fs.existsSync(filePath)) return [];
-    const raw = fs.readFileSync(filePath, "utf8");
-    const arr = JSON.parse(raw);
-    return Array.isArray(arr) ? arr : [];
-  } catch (err) {
-    console.error("[JSON] Failed to load bonding candidates:", err.message);
-    return [];
-  }
-}
-
-function saveBondingCandidates(candidates, filePath = BONDING_FILE) {
-  fs.writeFileSync(filePath, JSON.stringify(candidates, null, 2));
-}
-
 function persistBuyTokenMap() {
   saveMapToFile(BUY_TOKEN_MAP, BUY_TOKEN_FILE);
 }
@@ -109,24 +113,68 @@ function cleanupMintState(mint) {
   LAST_CLOSE_MAP.delete(mint);
 }
 
-function removeMintFully(mint, reason = "unknown", filePath = BONDING_FILE) {
-  const candidates = loadBondingCandidates(filePath);
+function formatDuration(ms) {
+  const hours = ms / (60 * 60 * 1000);
+  if (hours >= 1) return `${Number(hours.toFixed(2))}h`;
+  return `${Math.round(ms / 60_000)}m`;
+}
 
-  const filtered = candidates.filter((c) => {
-    const candidateMint = typeof c === "string" ? c : c?.mint;
-    return candidateMint !== mint;
-  });
+// Seed the in-memory maps from a stored candidate (first tick after a restart)
+function restoreMintState(candidate) {
+  const mint = candidate?.mint;
+  if (!mint) return;
+
+  if (!FIRST_SEEN_MAP.has(mint) && Number.isFinite(candidate.firstSeenAt)) {
+    FIRST_SEEN_MAP.set(mint, candidate.firstSeenAt);
+  }
 
-  saveBondingCandidates(filtered, filePath);
+  if (!LAST_CLOSE_MAP.has(mint) && typeof candidate.lastClose === "number") {
+    LAST_CLOSE_MAP.set(mint, candidate.lastClose);
+  }
+}
+
+async function persistLastClose(mint, lastClose) {
+  if (lastClose == null || LAST_CLOSE_MAP.get(mint) === lastClose) return;
+
+  LAST_CLOSE_MAP.set(mint, lastClose);
+
+  try {
+    await updateCandidate(mint, { lastClose, lastCloseAt: Date.now() });
+  } catch (err) {
+    console.warn("[JSON] Failed to persist lastClose", { mint, error: err?.message });
+  }
+}
+
+// Removals that are not a filter decision; everything else is followed by
+// missed_tracker.js to measure what the filter cost or saved us.
+const NOT_A_REJECTION = new Set(["buy_success", "already_bought", "already_sniped", "buy_execution_fail"]);
+
+// handedOff: the mint moved to another buyer (migration sniper), not a rejection
+async function removeMintFully(mint, reason = "unknown", { stage = null, handedOff = false } = {}) {
+  const { remaining } = await removeCandidate(mint, reason);
   cleanupMintState(mint);
 
+  // bought mints keep their candles for exit logic
+  if (reason !== "buy_success") clearCandles(mint);
+
+  if (!handedOff && !NOT_A_REJECTION.has(reason)) trackRejection(mint, reason, { stage });
+
   console.log("[JSON] Removed mint from candidates", {
     mint,
     reason,
-    remaining: filtered.length,
+    remaining,
   });
 }
 
+// Stage outcomes are recorded on the candidate; store errors never block a buy
+async function recordStage(mint, stage, status, extra = {}) {
+  try {
+    await setCandidateStage(mint, stage, status, extra);
+  } catch (err) {
+    console.warn("[JSON] Failed to record stage", { mint, stage, status, error: err?.message });
+  }
+}
+
 // ---------------- TELEGRAM ----------------
 async function sendTelegramAlert(message) {
   if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID) return;
@@ -174,70 +222,44 @@ async function runWithConcurrencyLimit(items, limit, handler) {
   await Promise.allSettled(executing);
 }
 
-// ---------------- STAGE 1 ----------------
-async function checkStage1Once(mint, lastClose) {
-  const stage1Result = await updateMarketCapAndCheckRetracement(mint);
-  const mem = getMarketCapMemory(mint);
-
-  if (!mem) {
-    console.log(`[STAGE1] Memory not ready for ${mint}, waiting...`);
-    return { ok: false, reason: "memory_not_ready", lastClose };
-  }
-
-  const levels = stage1Result?.details?.levelsUsed || [];
-
-  const levelToWatch = [...levels].reverse().find(
-    (lvl) =>
-      mem.retracementLevels[lvl]?.crossedDown &&
-      mem.retracementLevels[lvl]?.crossedUp
-  );
-
-  if (!levelToWatch) {
-    console.log(
-      `[STAGE1] No retracement level crossed up yet for ${mint}, waiting...`
-    );
-    return { ok: false, reason: "no_retracement_crossup", lastClose };
-  }
-
-  const candle = await computeCandle(
-    mint,
-    mem.newHighMcap,
-    mem.newLowMcap,
-    lastClose
-  );
+// ---------------- BACKFILL ----------------
+// Once per candidate: seed Stage-1 high/low and candles from on-chain swaps
+async function ensurePriceBackfill(mint, candidate) {
+  if (!PRICE_BACKFILL_ENABLED || candidate?.backfilledAt) return;
 
-  if (typeof candle.momentum !== "number") {
-    candle.momentum = candle.close - candle.open;
+  let result;
+  try {
+    result = await backfillPriceHistory(mint);
+  } catch (err) {
+    result = { ok: false, points: 0, reason: err?.message || String(err) };
+    console.warn("[PRICE_BACKFILL] failed", { mint, error: result.reason });
   }
 
-  if (candle.color === "green" && candle.momentum >= 15) {
-    console.log(
-      `[STAGE1] Green candle above level ${levelToWatch}% with sufficient momentum → Proceed`
-    );
-    return {
-      ok: true,
-      stage1Result,
-      candle,
-      level: levelToWatch,
-      lastClose: candle.close,
-    };
+  try {
+    await updateCandidate(mint, { backfilledAt: Date.now(), backfill: result });
+  } catch (err) {
+    console.warn("[JSON] Failed to record backfill", { mint, error: err?.message });
   }
+}
 
-  console.log(
-    `[STAGE1] Waiting: either red candle or momentum < 15% for ${mint}`
-  );
+// ---------------- ENTRY MODE ----------------
+function resolveEntryMode(candidate) {
+  if (BUY_ENTRY_MODE === "curve") return "curve";
+  if (BUY_ENTRY_MODE === "auto") return candidate?.progress?.complete ? "migrated" : "curve";
+  return "migrated";
+}
 
-  return {
-    ok: false,
-    reason: "candle_not_ready",
-    lastClose: candle.close,
-  };
+function stageOrderFor(entryMode) {
+  const order = getBuyStageOrder();
+  return entryMode === "curve" ? order.filter((name) => !AMM_ONLY_STAGES.has(name)) : order;
 }
 
 // ---------------- PROCESS ONE MINT ----------------
-async function processMint(mint) {
+async function processMint(mint, candidate = null) {
   const now = Date.now();
 
+  restoreMintState(candidate);
+
   const existingBuyState = getBuyTokenState(mint);
 
   if (existingBuyState?.status === "buying") {
@@ -255,7 +277,23 @@ async function processMint(mint) {
       reason: "already_marked_bought",
       state: existingBuyState,
     });
-    removeMintFully(mint, "already_bought");
+    appendDecision({ mint, stage: "precheck", status: "reject", reason: "already_bought" });
+    await removeMintFully(mint, "already_bought");
+    return false;
+  }
+
+  // the migration sniper owns mints it watches (while running) or has bought
+  const snipeState = getSnipeState(mint);
+
+  if (snipeState?.status === "sniped") {
+    console.log("[BUY_TOKEN_SKIP]", { mint, reason: "already_sniped", signature: snipeState.signature });
+    appendDecision({ mint, stage: "precheck", status: "reject", reason: "already_sniped" });
+    await removeMintFully(mint, "already_sniped");
+    return false;
+  }
+
+  if (snipeState?.status === "watching" && isMigrationSniperRunning()) {
+    console.log("[BUY_TOKEN_SKIP]", { mint, reason: "migration_sniper_watching" });
     return false;
   }
 
@@ -266,96 +304,83 @@ async function processMint(mint) {
   const startedAt = FIRST_SEEN_MAP.get(mint);
 
   if (now - startedAt >= STAGE1_TIMEOUT_MS) {
+    const timeoutLabel = formatDuration(STAGE1_TIMEOUT_MS);
+
     console.warn(
-      `[STAGE1] 24 hours polling ended for ${mint}, no green candle detected`
+      `[STAGE1] ${timeoutLabel} polling ended for ${mint}, no green candle detected`
     );
 
-    removeMintFully(mint, "stage1_timeout");
+    appendDecision({
+      mint,
+      stage: "precheck",
+      status: "reject",
+      reason: "stage1_timeout",
+      inputs: { firstSeenAt: startedAt, timeoutMs: STAGE1_TIMEOUT_MS },
+    });
+    await removeMintFully(mint, "stage1_timeout", { stage: "stage1" });
 
     await sendTelegramAlert(
-      `[INFO] ${mint} removed from bonding candidates after 24h of polling without green candle`
+      `[INFO] ${mint} removed from bonding candidates after ${timeoutLabel} of polling without green candle`
     );
 
     return false;
   }
 
-  const lastClose = LAST_CLOSE_MAP.get(mint) ?? null;
-  const stage1Data = await checkStage1Once(mint, lastClose);
+  await ensurePriceBackfill(mint, candidate);
 
-  if (!stage1Data.ok) {
-    if (stage1Data.lastClose != null) {
-      LAST_CLOSE_MAP.set(mint, stage1Data.lastClose);
-    }
-    return false;
-  }
-
-  if (stage1Data.lastClose != null) {
-    LAST_CLOSE_MAP.set(mint, stage1Data.lastClose);
-  }
+  // ---------------- Stages (buy_pipeline.js) ----------------
+  const entryMode = resolveEntryMode(candidate);
 
-  // ---------------- Stage 2: Token Security ----------------
-  try {
-    const sec = await checkTokenSecurity(mint);
+  const ctx = {
+    mint,
+    candidate,
+    lastClose: LAST_CLOSE_MAP.get(mint) ?? null,
+    inputs: {
+      source: candidate?.source ?? null,
+      progress: candidate?.progress ?? null,
+      firstSeenAt: FIRST_SEEN_MAP.get(mint) ?? null,
+      entryMode,
+    },
+    results: {},
+  };
 
-    if (!sec.safe) {
-      await sendTelegramAlert(
-        `[FAIL] ${mint} failed security → removed from JSON\nRetracement Level: ${stage1Data.level}\nCandle: ${JSON.stringify(stage1Data.candle)}`
-      );
-      removeMintFully(mint, "security_fail");
-      return false;
-    }
+  const outcome = await runBuyPipeline(ctx, { order: stageOrderFor(entryMode) });
 
-    if (sec.isToken2022) {
-      const t2022 = await checkToken2022ExtensionsSafety(mint);
+  await persistLastClose(mint, ctx.results.stage1?.data?.lastClose);
 
-      if (!t2022.ok) {
-        await sendTelegramAlert(
-          `[FAIL] ${mint} failed Token-2022 check → removed from JSON\nRetracement Level: ${stage1Data.level}\nCandle: ${JSON.stringify(stage1Data.candle)}`
-        );
-        removeMintFully(mint, "token2022_fail");
-        return false;
-      }
+  // rejected candidates are removed below; no point recording their stages
+  if (outcome.status !== "reject") {
+    for (const [stage, res] of Object.entries(outcome.results)) {
+      const { candle, poolPk, lastClose, ...data } = res.data || {};
+      await recordStage(mint, stage, res.status, { ...data, reason: res.reason });
     }
-  } catch (err) {
-    await sendTelegramAlert(
-      `[FAIL] ${mint} processing error → removed from JSON\nError: ${err.message}`
-    );
-    removeMintFully(mint, "security_processing_error");
-    return false;
   }
 
-  // ---------------- Stage 3: Resolve Pool ----------------
-  let poolPk;
-  try {
-    const mintPk = new PublicKey(mint);
-    poolPk = await resolvePumpSwapPool(mintPk);
-  } catch (err) {
-    await sendTelegramAlert(
-      `[FAIL] ${mint} failed to resolve pool → removed from JSON\nError: ${err?.message}`
-    );
-    removeMintFully(mint, "pool_resolve_fail");
-    return false;
-  }
+  const stage1Data = ctx.results.stage1?.data || {};
+  const stage1Info = stage1Data.level != null
+    ? `\nRetracement Level: ${stage1Data.level}\nCandle: ${JSON.stringify(stage1Data.candle)}`
+    : "";
 
-  // ---------------- Stage 4: Check Migration ----------------
-  try {
-    const migrated = await checkPumpMigration(poolPk);
+  if (outcome.status === "wait") return false;
+
+  if (outcome.status === "reject") {
+    // stage1 + security already passed in this run; a mint the sniper already
+    // watches is handed off as well
+    const handedOff =
+      NOT_MIGRATED_REASONS.has(outcome.reason) &&
+      isMigrationSniperRunning() &&
+      (watchMigration(mint, { source: "buyCaller", checked: true }) ||
+        getSnipeState(mint)?.status === "watching");
 
-    if (!migrated) {
-      await sendTelegramAlert(
-        `[FAIL] ${mint} pool not migrated → removed from JSON`
-      );
-      removeMintFully(mint, "pool_not_migrated");
-      return false;
-    }
-  } catch (err) {
     await sendTelegramAlert(
-      `[FAIL] ${mint} migration check error → removed from JSON\nError: ${err?.message}`
+      `[FAIL] ${mint} ${outcome.alert || outcome.reason} → removed from JSON${stage1Info}`
     );
-    removeMintFully(mint, "migration_check_fail");
+    await removeMintFully(mint, outcome.reason, { stage: outcome.stage, handedOff });
     return false;
   }
 
+  const poolPk = ctx.results.pool?.data?.poolPk || null;
+
   // ---------------- Stage 5: Execute Buy ----------------
   try {
     const capacity = ensureEntryCapacity();
@@ -368,43 +393,145 @@ async function processMint(mint) {
         action: "skip_buy_keep_candidate",
       });
 
+      appendDecision({
+        mint,
+        stage: "buy",
+        status: "wait",
+        reason: "max_entry_reached",
+        inputs: { currentCount: capacity.currentCount, maxEntry: capacity.maxEntry },
+      });
+      await recordStage(mint, "buy", "wait", { reason: "max_entry_reached" });
+      return false;
+    }
+
+    // sized from balance / exposure (POSITION_SIZING_MODE=risk) or the fixed env amount
+    const size = await computeBuySize({
+      strategy: entryMode,
+      securityScore: ctx.results.security?.scores?.score ?? null,
+      liquiditySol: entryMode === "curve" ? candidate?.progress?.solRaised ?? null : null,
+    });
+
+    if (!size.ok) {
+      console.log("[STAGE5_SIZE_SKIPPED]", { mint, entryMode, reason: size.reason });
+
+      appendDecision({
+        mint,
+        stage: "buy",
+        status: "wait",
+        reason: String(size.reason).toLowerCase(),
+        inputs: { entryMode, sizing: size.rationale },
+      });
+      await recordStage(mint, "buy", "wait", { reason: size.reason, entryMode });
       return false;
     }
 
     markTokenBuying(mint, {
       stage: "pre_buy",
+      stage1Profile: stage1Data.profile,
       firstSeenAt: FIRST_SEEN_MAP.get(mint) || now,
     });
 
-    const buyRes = await executeAmmMigrationBuy({ mint });
+    const buyRes = entryMode === "curve"
+      ? await executePumpfunBuyFromBonding({ candidate: { mint }, amountLamports: size.amountLamports, sizing: size.rationale })
+      : await executeAmmMigrationBuy({ mint, amountRaw: size.amountLamports, sizing: size.rationale });
+
+    // executor declined without sending (capacity, funds, curve already complete)
+    if (buyRes && buyRes.ok === false) {
+      clearBuyTokenState(mint);
+
+      console.log("[STAGE5_BUY_SKIPPED]", { mint, entryMode, reason: buyRes.reason });
+
+      appendDecision({
+        mint,
+        stage: "buy",
+        status: "wait",
+        reason: String(buyRes.reason || "buy_declined").toLowerCase(),
+        inputs: { entryMode },
+      });
+      await recordStage(mint, "buy", "wait", { reason: buyRes.reason, entryMode });
+
+      // next tick takes the migrated path in auto mode
+      if (buyRes.reason === "CURVE_COMPLETE") {
+        await updateCandidate(mint, { progress: { complete: true } }).catch(() => {});
+      }
+      return false;
+    }
+
+    // DRY_RUN executor: built and simulated, nothing sent; the candidate stays
+    if (buyRes?.dryRun) {
+      clearBuyTokenState(mint);
+
+      console.log("[STAGE5_BUY_DRY_RUN]", { mint, entryMode, amountSol: size.amountSol });
+
+      appendDecision({
+        mint,
+        stage: "buy",
+        status: "wait",
+        reason: "dry_run",
+        inputs: { entryMode },
+        data: {
+          amountSol: size.amountSol,
+          quotedTokenAmount: buyRes.quotedTokenAmount ?? null,
+          sizing: size.rationale,
+        },
+      });
+      await recordStage(mint, "buy", "wait", { reason: "dry_run", entryMode });
+      return false;
+    }
 
     console.log("[STAGE5_BUY_SUCCESS]", {
       mint,
       signature: buyRes.signature,
+      entryMode,
       level: stage1Data.level,
       candle: stage1Data.candle,
     });
 
     await sendTelegramAlert(
-      `[SUCCESS] ${mint} bought successfully ✅\nSignature: ${buyRes.signature}\nRetracement Level: ${stage1Data.level}\nCandle: ${JSON.stringify(stage1Data.candle)}`
+      `[SUCCESS] ${mint} bought successfully ✅ (${entryMode})\nSignature: ${buyRes.signature}\nRetracement Level: ${stage1Data.level}\nProfile: ${stage1Data.profile}\nCandle: ${JSON.stringify(stage1Data.candle)}`
     );
 
+    appendDecision({
+      mint,
+      stage: "buy",
+      status: "pass",
+      reason: "buy_success",
+      data: {
+        signature: buyRes.signature,
+        entryMode,
+        profile: stage1Data.profile,
+        level: stage1Data.level,
+        amountSol: buyRes.position?.amountSol ?? size.amountSol,
+        sizing: size.rationale,
+      },
+    });
+
     markTokenBought(mint, {
       signature: buyRes.signature,
       boughtAt: Date.now(),
+      mode: entryMode,
       pool: String(poolPk?.toBase58?.() || ""),
     });
+    dropMigrationWatch(mint, "bought_by_buycaller");
 
     clearMarketCapMemory(mint);
-    removeMintFully(mint, "buy_success");
+    await removeMintFully(mint, "buy_success");
     return true;
   } catch (err) {
     clearBuyTokenState(mint);
 
+    appendDecision({
+      mint,
+      stage: "buy",
+      status: "reject",
+      reason: "buy_execution_fail",
+      data: { error: err?.message || String(err) },
+    });
+
     await sendTelegramAlert(
       `[FAIL] ${mint} buy execution failed → removed from JSON\nError: ${err?.message}`
     );
-    removeMintFully(mint, "buy_execution_fail");
+    await removeMintFully(mint, "buy_execution_fail");
     return false;
   }
 }
@@ -416,14 +543,14 @@ async function runBuyTick(label) {
   buyTickRunning = true;
 
   try {
-    const candidates = loadBondingCandidates();
+    const candidates = listCandidates();
 
     console.log("[buyCaller] file debug", {
       cwd: process.cwd(),
-      bondingFile: BONDING_FILE,
-      exists: fs.existsSync(BONDING_FILE),
+      bondingFile: CANDIDATE_STORE_FILE,
+      exists: fs.existsSync(CANDIDATE_STORE_FILE),
       count: candidates.length,
-      mints: candidates.map((c) => (typeof c === "string" ? c : c?.mint)),
+      mints: candidates.map((c) => c.mint),
     });
 
     if (!candidates.length) {
@@ -440,7 +567,7 @@ async function runBuyTick(label) {
       candidates,
       CONCURRENCY_LIMIT,
       async (candidate) => {
-        const mint = typeof candidate === "string" ? candidate : candidate?.mint;
+        const mint = candidate?.mint;
 
         if (!mint) {
           console.warn("[buyCaller] skipping invalid candidate", { candidate });
@@ -448,7 +575,7 @@ async function runBuyTick(label) {
         }
 
         console.log("[PROCESS_MINT_START]", { mint });
-        return processMint(mint);
+        return processMint(mint, candidate);
       }
     );
   } catch (err) {
@@ -462,7 +589,16 @@ async function runBuyTick(label) {
 export function startBuyCaller() {
   if (buyTimer) return;
 
-  console.log("[buyCaller] started", { BUY_LOOP_MS });
+  const restored = listCandidates();
+  restored.forEach(restoreMintState);
+
+  console.log("[buyCaller] started", {
+    BUY_LOOP_MS,
+    STAGE1_TIMEOUT: formatDuration(STAGE1_TIMEOUT_MS),
+    restoredMints: restored.length,
+    entryMode: BUY_ENTRY_MODE,
+    stages: getBuyStageOrder(),
+  });
 
   void runBuyTick("initial");
 
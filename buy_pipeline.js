@@ -0,0 +1,197 @@
+// buy_pipeline.js (ESM)
+// Ordered, configurable stage pipeline for the buy decision.
+//
+// A stage is registered by name with an async function:
+//   run(ctx) -> { status: "pass" | "wait" | "reject", reason?, data?, scores?, alert? }
+//     pass   : go on to the next stage
+//     wait   : keep the candidate, retry on a later tick
+//     reject : drop the candidate (alert is a short human text for Telegram)
+//
+// Stage results are kept on ctx.results[name] so later stages can read them,
+// and every evaluation is appended to the decision journal (decision_journal.js).
+//
+// Config:
+//   BUY_PIPELINE_STAGES        order + enablement, e.g. "stage1,security,token2022,pool,migration"
+//   BUY_PIPELINE_MODULES       extra stage modules to import (they call registerBuyStage)
+//   BUY_STAGE_TIMEOUT_MS       default per-stage timeout
+//   BUY_STAGE_TIMEOUT_<NAME>_MS  per-stage override (name upper-cased)
+// A stage that times out yields "wait"; one that throws yields "reject".
+
+import "dotenv/config";
+import path from "path";
+import { pathToFileURL } from "url";
+import { appendDecision } from "./decision_journal.js";
+
+export const DEFAULT_BUY_STAGE_ORDER = ["stage1", "security", "token2022", "pool", "migration"];
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.BUY_STAGE_TIMEOUT_MS || 60_000);
+
+const STAGES = new Map();
+
+let modulesLoaded = null;
+
+// ---------------- registry ----------------
+/**
+ * @param {string} name
+ * @param {(ctx: object) => Promise<{ status: string, reason?: string, data?: object, scores?: object, alert?: string }>} run
+ * @param {{ timeoutMs?: number, description?: string }} [opts]
+ */
+export function registerBuyStage(name, run, { timeoutMs, description = "" } = {}) {
+  const key = String(name || "").trim();
+  if (!key) throw new Error("Buy stage needs a name");
+  if (typeof run !== "function") throw new Error(`Buy stage ${key}: run must be a function`);
+
+  if (STAGES.has(key)) console.warn(`[BUY_PIPELINE] stage ${key} re-registered`);
+
+  STAGES.set(key, { name: key, run, timeoutMs, description });
+}
+
+export function listBuyStages() {
+  return [...STAGES.values()].map(({ name, timeoutMs, description }) => ({
+    name,
+    timeoutMs: stageTimeoutMs({ name, timeoutMs }),
+    description,
+  }));
+}
+
+/** Import the modules listed in BUY_PIPELINE_MODULES (once). */
+export function loadBuyStageModules() {
+  if (modulesLoaded) return modulesLoaded;
+
+  const specs = String(process.env.BUY_PIPELINE_MODULES || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  modulesLoaded = Promise.all(
+    specs.map(async (spec) => {
+      const url = spec.startsWith(".") || path.isAbsolute(spec)
+        ? pathToFileURL(path.resolve(spec)).href
+        : spec;
+      try {
+        await import(url);
+        console.log("[BUY_PIPELINE] loaded stage module", { spec });
+      } catch (err) {
+        console.error("[BUY_PIPELINE] failed to load stage module", { spec, error: err?.message || err });
+      }
+    })
+  );
+
+  return modulesLoaded;
+}
+
+export function getBuyStageOrder() {
+  const raw = String(process.env.BUY_PIPELINE_STAGES || "").trim();
+  const names = raw
+    ? raw.split(",").map((s) => s.trim()).filter(Boolean)
+    : DEFAULT_BUY_STAGE_ORDER;
+
+  return names.filter((name) => {
+    if (STAGES.has(name)) return true;
+    console.warn(`[BUY_PIPELINE] unknown stage ${name} in BUY_PIPELINE_STAGES, skipped`);
+    return false;
+  });
+}
+
+// ---------------- runner ----------------
+function stageTimeoutMs(stage) {
+  const envKey = `BUY_STAGE_TIMEOUT_${stage.name.toUpperCase()}_MS`;
+  return Number(process.env[envKey] || stage.timeoutMs || DEFAULT_TIMEOUT_MS);
+}
+
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`stage ${name} timed out after ${ms}ms`);
+      err.code = "STAGE_TIMEOUT";
+      reject(err);
+    }, ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function normalizeResult(name, res) {
+  const status = res?.status;
+  if (status !== "pass" && status !== "wait" && status !== "reject") {
+    return { status: "reject", reason: `${name}_invalid_result`, data: {} };
+  }
+
+  return {
+    status,
+    reason: res.reason ?? null,
+    data: res.data || {},
+    scores: res.scores ?? null,
+    alert: res.alert ?? null,
+  };
+}
+
+/**
+ * Run the enabled stages in order until one does not pass.
+ * @param {object} ctx - { mint, candidate, ... }; results land on ctx.results
+ * @param {{ order?: string[] }} [opts]
+ * @returns {Promise<{ status: string, stage: string|null, reason: string|null, alert: string|null, results: object }>}
+ */
+export async function runBuyPipeline(ctx, { order } = {}) {
+  await loadBuyStageModules();
+
+  const stages = order || getBuyStageOrder();
+  ctx.results ||= {};
+
+  for (const name of stages) {
+    const stage = STAGES.get(name);
+    if (!stage) continue;
+
+    const ms = stageTimeoutMs(stage);
+    const startedAt = Date.now();
+    let result;
+
+    try {
+      result = normalizeResult(name, await withTimeout(Promise.resolve().then(() => stage.run(ctx)), ms, name));
+    } catch (err) {
+      result = err?.code === "STAGE_TIMEOUT"
+        ? { status: "wait", reason: "timeout", data: {}, alert: null }
+        : {
+            status: "reject",
+            reason: `${name}_error`,
+            data: { error: err?.message || String(err) },
+            alert: `${name} error: ${err?.message || err}`,
+          };
+    }
+
+    result.durationMs = Date.now() - startedAt;
+    ctx.results[name] = result;
+
+    console.log("[BUY_PIPELINE]", {
+      mint: ctx.mint,
+      stage: name,
+      status: result.status,
+      reason: result.reason,
+      durationMs: result.durationMs,
+    });
+
+    appendDecision({
+      mint: ctx.mint,
+      stage: name,
+      status: result.status,
+      reason: result.reason,
+      inputs: ctx.inputs ?? null,
+      scores: result.scores,
+      data: result.data,
+      durationMs: result.durationMs,
+    });
+
+    if (result.status !== "pass") {
+      return {
+        status: result.status,
+        stage: name,
+        reason: result.reason,
+        alert: result.alert,
+        results: ctx.results,
+      };
+    }
+  }
+
+  return { status: "pass", stage: null, reason: null, alert: null, results: ctx.results };
+}
@@ -0,0 +1,252 @@
+// buy_stages.js (ESM)
+// Built-in buy pipeline stages (see buy_pipeline.js for the contract):
+//   stage1     retracement ladder + green candle (stage1_retracement.js, computeCandle.js)
+//   security   token security checks (tokensecurities.js)
+//   token2022  Token-2022 extension gate, only for Token-2022 mints
+//   pool       resolve the PumpSwap pool
+//   migration  pool is migrated and live
+//   creator    holder-cluster creator scan (tokenCreatorScanner.js), off by default
+
+import { PublicKey } from "@solana/web3.js";
+import { registerBuyStage } from "./buy_pipeline.js";
+import {
+  updateMarketCapAndCheckRetracement,
+  getMarketCapMemory,
+} from "./stage1_retracement.js";
+import { computeCandle } from "./computeCandle.js";
+import { checkTokenSecurity } from "./tokensecurities.js";
+import { checkToken2022ExtensionsSafety } from "./token2022ExtensionsGate.js";
+import { resolvePumpSwapPool } from "./poolResolver.js";
+import { checkPumpMigration } from "./checkPumpMigration.js";
+
+// ---------------- STAGE 1 ----------------
+async function checkStage1Once(mint, lastClose) {
+  const stage1Result = await updateMarketCapAndCheckRetracement(mint);
+  const mem = getMarketCapMemory(mint);
+
+  if (!mem) {
+    console.log(`[STAGE1] Memory not ready for ${mint}, waiting...`);
+    return { ok: false, reason: "memory_not_ready", lastClose };
+  }
+
+  const levels = stage1Result?.details?.levelsUsed || [];
+  const profile = stage1Result?.details?.profile || null;
+
+  if (!profile) {
+    console.log(
+      `[STAGE1] No profile matches ${mint} (${stage1Result?.details?.reason || "unknown"}), waiting...`
+    );
+    return { ok: false, reason: "no_profile", lastClose };
+  }
+
+  const levelToWatch = [...levels].reverse().find(
+    (lvl) =>
+      mem.retracementLevels[lvl]?.crossedDown &&
+      mem.retracementLevels[lvl]?.crossedUp
+  );
+
+  if (!levelToWatch) {
+    console.log(
+      `[STAGE1] No retracement level crossed up yet for ${mint}, waiting...`
+    );
+    return { ok: false, reason: "no_retracement_crossup", lastClose };
+  }
+
+  const rules = profile.candle;
+
+  const candle = await computeCandle(
+    mint,
+    mem.newHighMcap,
+    mem.newLowMcap,
+    lastClose,
+    rules.minBodyPct,
+    rules.timeframe
+  );
+
+  if (typeof candle.momentum !== "number") {
+    candle.momentum = candle.close - candle.open;
+  }
+
+  if (
+    candle.color === "green" &&
+    candle.momentum >= rules.minMomentum &&
+    (candle.momentumPct ?? 0) >= rules.minMomentumPct
+  ) {
+    console.log(
+      `[STAGE1] Green candle above level ${levelToWatch}% with sufficient momentum → Proceed (profile ${profile.name})`
+    );
+    return {
+      ok: true,
+      stage1Result,
+      candle,
+      level: levelToWatch,
+      profile: profile.name,
+      lastClose: candle.close,
+    };
+  }
+
+  console.log(
+    `[STAGE1] Waiting: either red candle or momentum below profile ${profile.name} for ${mint}`
+  );
+
+  return {
+    ok: false,
+    reason: "candle_not_ready",
+    lastClose: candle.close,
+  };
+}
+
+registerBuyStage(
+  "stage1",
+  async (ctx) => {
+    const res = await checkStage1Once(ctx.mint, ctx.lastClose ?? null);
+
+    if (!res.ok) {
+      return { status: "wait", reason: res.reason, data: { lastClose: res.lastClose } };
+    }
+
+    return {
+      status: "pass",
+      data: {
+        level: res.level,
+        profile: res.profile,
+        candle: res.candle,
+        lastClose: res.lastClose,
+      },
+      scores: {
+        level: res.level,
+        momentum: res.candle?.momentum ?? null,
+        momentumPct: res.candle?.momentumPct ?? null,
+      },
+    };
+  },
+  { description: "retracement ladder + green candle" }
+);
+
+// ---------------- SECURITY ----------------
+registerBuyStage(
+  "security",
+  async (ctx) => {
+    let sec;
+    try {
+      sec = await checkTokenSecurity(ctx.mint);
+    } catch (err) {
+      return {
+        status: "reject",
+        reason: "security_processing_error",
+        alert: `processing error\nError: ${err.message}`,
+      };
+    }
+
+    const scores = { score: sec.score ?? null };
+
+    if (!sec.safe) {
+      return {
+        status: "reject",
+        reason: "security_fail",
+        data: { reasons: sec.reasons || [] },
+        scores,
+        alert: "failed security",
+      };
+    }
+
+    return {
+      status: "pass",
+      data: { isToken2022: !!sec.isToken2022, reasons: sec.reasons || [] },
+      scores,
+    };
+  },
+  { timeoutMs: 30_000, description: "token security checks" }
+);
+
+registerBuyStage(
+  "token2022",
+  async (ctx) => {
+    if (!ctx.results?.security?.data?.isToken2022) {
+      return { status: "pass", reason: "not_token2022" };
+    }
+
+    try {
+      const t2022 = await checkToken2022ExtensionsSafety(ctx.mint);
+      if (!t2022.ok) {
+        return { status: "reject", reason: "token2022_fail", alert: "failed Token-2022 check" };
+      }
+    } catch (err) {
+      return {
+        status: "reject",
+        reason: "security_processing_error",
+        alert: `processing error\nError: ${err.message}`,
+      };
+    }
+
+    return { status: "pass" };
+  },
+  { timeoutMs: 30_000, description: "Token-2022 extension gate" }
+);
+
+// ---------------- POOL / MIGRATION ----------------
+registerBuyStage(
+  "pool",
+  async (ctx) => {
+    try {
+      const poolPk = await resolvePumpSwapPool(new PublicKey(ctx.mint));
+      return { status: "pass", data: { poolPk, pool: String(poolPk?.toBase58?.() || "") } };
+    } catch (err) {
+      return {
+        status: "reject",
+        reason: "pool_resolve_fail",
+        alert: `failed to resolve pool\nError: ${err?.message}`,
+      };
+    }
+  },
+  { timeoutMs: 30_000, description: "resolve PumpSwap pool" }
+);
+
+registerBuyStage(
+  "migration",
+  async (ctx) => {
+    const poolPk = ctx.results?.pool?.data?.poolPk;
+    if (!poolPk) {
+      return { status: "reject", reason: "pool_resolve_fail", alert: "no pool resolved before migration check" };
+    }
+
+    try {
+      const migrated = await checkPumpMigration(poolPk);
+      if (!migrated) {
+        return { status: "reject", reason: "pool_not_migrated", alert: "pool not migrated" };
+      }
+    } catch (err) {
+      return {
+        status: "reject",
+        reason: "migration_check_fail",
+        alert: `migration check error\nError: ${err?.message}`,
+      };
+    }
+
+    return { status: "pass" };
+  },
+  { timeoutMs: 30_000, description: "pool migrated and live" }
+);
+
+// ---------------- CREATOR (opt-in) ----------------
+// Loaded lazily: tokenCreatorScanner.js needs RPC_URL_11/12 at import time.
+registerBuyStage(
+  "creator",
+  async (ctx) => {
+    const { verifyCreatorSafetyPumpfun } = await import("./tokenCreatorScanner.js");
+    const res = await verifyCreatorSafetyPumpfun(ctx.mint);
+
+    if (!res?.safe) {
+      return {
+        status: "reject",
+        reason: "creator_unsafe",
+        data: { reasons: res?.reasons || [] },
+        scores: { score: res?.score ?? 0 },
+        alert: `failed creator scan (score=${res?.score ?? 0})\nReasons: ${(res?.reasons || []).join(" | ")}`,
+      };
+    }
+
+    return { status: "pass", data: { reasons: res.reasons || [] }, scores: { score: res.score } };
+  },
+  { timeoutMs: 45_000, description: "creator holder-cluster scan" }
+);
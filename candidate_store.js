@@ -0,0 +1,322 @@
+// candidate_store.js (ESM)
+// Single owner of bonding_candidates.json, shared by the Stage-1 detector and
+// buyCaller (and anything else that adds, updates or drops candidates).
+//
+// File schema (version 2):
+//   {
+//     version: 2,
+//     updatedAt: <ms>,
+//     candidates: {
+//       <mint>: {
+//         mint, source, firstSeenAt, updatedAt,
+//         progress: { progressPct, solRaised, velocityPctPerMin, complete, bondingCurve },
+//         stages:   { <stage>: { status, reason, at, ... } },
+//       }
+//     }
+//   }
+//
+// Older shapes (a top-level array of mints/objects, or { mints: [...] }) are
+// migrated on load. Every write goes through a lockfile + tmp/rename so separate
+// modules (or processes) never clobber each other's changes.
+
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+
+export const CANDIDATE_STORE_VERSION = 2;
+
+export const CANDIDATE_STORE_FILE = path.resolve(
+  process.env.BONDING_OUT_FILE || "./bonding_candidates.json"
+);
+
+const LOCK_FILE = `${CANDIDATE_STORE_FILE}.lock`;
+const LOCK_TIMEOUT_MS = Number(process.env.CANDIDATE_LOCK_TIMEOUT_MS || 5_000);
+const LOCK_STALE_MS = Number(process.env.CANDIDATE_LOCK_STALE_MS || 15_000);
+const LOCK_RETRY_MS = 25;
+
+// serializes writers inside this process; the lockfile covers other processes
+let writeChain = Promise.resolve();
+
+// ---------------- helpers ----------------
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function cleanMint(mint) {
+  return String(mint || "").trim();
+}
+
+function emptyState() {
+  return { version: CANDIDATE_STORE_VERSION, updatedAt: null, candidates: {} };
+}
+
+function toTimestamp(v) {
+  if (v == null) return null;
+  const n = typeof v === "number" ? v : Date.parse(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeRecord(entry, now = Date.now()) {
+  const raw = typeof entry === "string" ? { mint: entry } : entry || {};
+  const mint = cleanMint(raw.mint);
+  if (!mint) return null;
+
+  // v1 detector entries carried curveValue / progressPct at the top level
+  const progress = { ...(raw.progress || {}) };
+  for (const key of ["progressPct", "solRaised", "velocityPctPerMin", "complete", "bondingCurve"]) {
+    if (progress[key] == null && raw[key] != null) progress[key] = raw[key];
+  }
+  if (progress.progressPct == null && typeof raw.curveValue === "number") {
+    progress.progressPct = raw.curveValue;
+  }
+
+  const {
+    curveValue, seenAt, progressPct, solRaised, velocityPctPerMin, complete, bondingCurve,
+    ...rest
+  } = raw;
+
+  return {
+    ...rest,
+    mint,
+    source: raw.source || "legacy",
+    firstSeenAt: toTimestamp(raw.firstSeenAt) ?? toTimestamp(seenAt) ?? now,
+    updatedAt: toTimestamp(raw.updatedAt) ?? now,
+    progress,
+    stages: { ...(raw.stages || {}) },
+  };
+}
+
+/**
+ * Bring any known file shape up to the current schema.
+ * @returns {{ state: object, migratedFrom: (number|string|null) }}
+ */
+export function migrateCandidateStore(raw) {
+  const state = emptyState();
+  let list = null;
+  let migratedFrom = null;
+
+  if (Array.isArray(raw)) {
+    list = raw;
+    migratedFrom = "array";
+  } else if (raw && Array.isArray(raw.mints)) {
+    list = raw.mints;
+    migratedFrom = "mints";
+  } else if (raw && raw.candidates && typeof raw.candidates === "object") {
+    if (raw.version !== CANDIDATE_STORE_VERSION) migratedFrom = raw.version ?? "unversioned";
+    list = Object.values(raw.candidates);
+    state.updatedAt = raw.updatedAt ?? null;
+  } else if (raw != null) {
+    migratedFrom = "unknown";
+  }
+
+  for (const entry of list || []) {
+    const rec = normalizeRecord(entry);
+    if (rec && !state.candidates[rec.mint]) state.candidates[rec.mint] = rec;
+  }
+
+  return { state, migratedFrom };
+}
+
+function readState() {
+  try {
+    if (!fs.existsSync(CANDIDATE_STORE_FILE)) return { state: emptyState(), migratedFrom: null };
+    const raw = JSON.parse(fs.readFileSync(CANDIDATE_STORE_FILE, "utf8"));
+    return migrateCandidateStore(raw);
+  } catch (err) {
+    console.error("[CANDIDATE_STORE] Failed to load candidates:", err.message);
+    return { state: emptyState(), migratedFrom: null };
+  }
+}
+
+function writeState(state) {
+  state.version = CANDIDATE_STORE_VERSION;
+  state.updatedAt = Date.now();
+
+  const tmp = `${CANDIDATE_STORE_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, CANDIDATE_STORE_FILE);
+}
+
+// ---------------- lock ----------------
+async function acquireLock() {
+  const startedAt = Date.now();
+
+  for (;;) {
+    try {
+      const fd = fs.openSync(LOCK_FILE, "wx");
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, at: Date.now() }));
+      fs.closeSync(fd);
+      return;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+
+    try {
+      const age = Date.now() - fs.statSync(LOCK_FILE).mtimeMs;
+      if (age > LOCK_STALE_MS) {
+        console.warn("[CANDIDATE_STORE] Removing stale lock", { ageMs: Math.round(age) });
+        fs.rmSync(LOCK_FILE, { force: true });
+        continue;
+      }
+    } catch {
+      continue; // lock vanished between open and stat
+    }
+
+    if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+      throw new Error(`candidate store lock timeout after ${LOCK_TIMEOUT_MS}ms`);
+    }
+
+    await sleep(LOCK_RETRY_MS);
+  }
+}
+
+function releaseLock() {
+  fs.rmSync(LOCK_FILE, { force: true });
+}
+
+/**
+ * Read-modify-write under the lock. `fn(state)` mutates state in place and
+ * returns { changed, result }; the file is only rewritten when changed (or
+ * when the file still had an old shape).
+ */
+function mutate(fn) {
+  const run = async () => {
+    await acquireLock();
+    try {
+      const { state, migratedFrom } = readState();
+      const { changed = false, result } = fn(state) || {};
+
+      if (changed || migratedFrom != null) {
+        if (migratedFrom != null) {
+          console.log("[CANDIDATE_STORE] Migrated candidate file", {
+            from: migratedFrom,
+            to: CANDIDATE_STORE_VERSION,
+            count: Object.keys(state.candidates).length,
+          });
+        }
+        writeState(state);
+      }
+
+      return result;
+    } finally {
+      releaseLock();
+    }
+  };
+
+  const p = writeChain.then(run, run);
+  writeChain = p.catch(() => {});
+  return p;
+}
+
+// ---------------- PUBLIC API ----------------
+/** All candidates, oldest first. Lock-free: writes are atomic renames. */
+export function listCandidates() {
+  const { state } = readState();
+  return Object.values(state.candidates).sort((a, b) => a.firstSeenAt - b.firstSeenAt);
+}
+
+export function getCandidate(mint) {
+  const { state } = readState();
+  return state.candidates[cleanMint(mint)] || null;
+}
+
+/**
+ * Add a candidate; an existing one keeps its firstSeenAt/stages and only has
+ * progress (and any extra metadata) refreshed.
+ * @returns {Promise<{ added: boolean, candidate: object|null }>}
+ */
+export function addCandidate(mint, { source = "unknown", progress = {}, ...meta } = {}) {
+  const key = cleanMint(mint);
+  if (!key) return Promise.resolve({ added: false, candidate: null });
+
+  return mutate((state) => {
+    const now = Date.now();
+    const existing = state.candidates[key];
+
+    if (existing) {
+      existing.progress = { ...existing.progress, ...progress };
+      Object.assign(existing, meta);
+      existing.updatedAt = now;
+      return { changed: true, result: { added: false, candidate: existing } };
+    }
+
+    const rec = {
+      ...meta,
+      mint: key,
+      source,
+      firstSeenAt: now,
+      updatedAt: now,
+      progress: { ...progress },
+      stages: {},
+    };
+    state.candidates[key] = rec;
+
+    return { changed: true, result: { added: true, candidate: rec } };
+  });
+}
+
+/**
+ * Merge a patch into an existing candidate (progress and stages are merged).
+ * @returns {Promise<object|null>} updated candidate, or null if not in the store
+ */
+export function updateCandidate(mint, patch = {}) {
+  const key = cleanMint(mint);
+
+  return mutate((state) => {
+    const rec = state.candidates[key];
+    if (!rec) return { changed: false, result: null };
+
+    const { progress, stages, mint: _ignored, ...rest } = patch;
+
+    if (progress) rec.progress = { ...rec.progress, ...progress };
+    if (stages) rec.stages = { ...rec.stages, ...stages };
+    Object.assign(rec, rest);
+    rec.updatedAt = Date.now();
+
+    return { changed: true, result: rec };
+  });
+}
+
+/**
+ * Record a pipeline stage outcome on a candidate. Re-recording the same
+ * status/reason is a no-op, so per-tick callers do not rewrite the file.
+ * @returns {Promise<object|null>}
+ */
+export function setCandidateStage(mint, stage, status, extra = {}) {
+  const key = cleanMint(mint);
+
+  return mutate((state) => {
+    const rec = state.candidates[key];
+    if (!rec) return { changed: false, result: null };
+
+    const prev = rec.stages[stage];
+    const reason = extra.reason ?? null;
+    if (prev && prev.status === status && (prev.reason ?? null) === reason) {
+      return { changed: false, result: rec };
+    }
+
+    rec.stages[stage] = { ...extra, status, reason, at: Date.now() };
+    rec.updatedAt = Date.now();
+
+    return { changed: true, result: rec };
+  });
+}
+
+/**
+ * @returns {Promise<{ removed: boolean, remaining: number }>}
+ */
+export function removeCandidate(mint, reason = "unknown") {
+  const key = cleanMint(mint);
+
+  return mutate((state) => {
+    const removed = !!state.candidates[key];
+    delete state.candidates[key];
+
+    const remaining = Object.keys(state.candidates).length;
+    if (removed) {
+      console.log("[CANDIDATE_STORE] Removed candidate", { mint: key, reason, remaining });
+    }
+
+    return { changed: removed, result: { removed, remaining } };
+  });
+}
@@ -0,0 +1,208 @@
+// candle_engine.js (ESM)
+// Aggregates per-mint ticks (USD market cap, or any price series) into
+// time-bucketed OHLCV candles on several timeframes (default 1m/5m/15m).
+//
+// - ticks may arrive out of order (backfill): open/close follow tick time
+// - buckets with no ticks are filled on read with flat candles at the prior close
+// - a rolling window of candles per mint/timeframe is persisted to disk
+
+import "dotenv/config";
+import path from "path";
+import { saveMapToFile, loadMapFromFile } from "./memoryHelper.js";
+
+const CANDLE_FILE = path.resolve(process.env.CANDLE_STATE_FILE || "./candle_state.json");
+const WINDOW_SIZE = Number(process.env.CANDLE_WINDOW || 120);
+const PERSIST_MS = Number(process.env.CANDLE_PERSIST_MS || 5_000);
+
+const TF_MS = {
+  "1m": 60_000,
+  "5m": 5 * 60_000,
+  "15m": 15 * 60_000,
+  "1h": 60 * 60_000,
+};
+
+export const CANDLE_TIMEFRAMES = String(process.env.CANDLE_TIMEFRAMES || "1m,5m,15m")
+  .split(",")
+  .map((s) => s.trim())
+  .filter((tf) => TF_MS[tf]);
+
+// mint -> { [tf]: Candle[] } ; Candle = { t, open, high, low, close, volume, ticks, openTs, closeTs }
+const CANDLE_MEMORY = loadMapFromFile(CANDLE_FILE);
+
+// mint -> last tick { value, volume, ts }
+const LAST_TICK = new Map();
+
+let persistTimer = null;
+
+// ---------------- helpers ----------------
+function cleanMint(mint) {
+  return String(mint || "").trim();
+}
+
+function tfMs(tf) {
+  const ms = TF_MS[tf];
+  if (!ms) throw new Error(`Unknown candle timeframe: ${tf}`);
+  return ms;
+}
+
+function schedulePersist() {
+  if (persistTimer) return;
+
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    saveMapToFile(CANDLE_MEMORY, CANDLE_FILE);
+  }, PERSIST_MS);
+
+  // never keep the process alive just to flush candles
+  persistTimer.unref?.();
+}
+
+export function flushCandles() {
+  if (persistTimer) {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+  }
+  saveMapToFile(CANDLE_MEMORY, CANDLE_FILE);
+}
+
+function applyTick(series, bucketStart, value, volume, ts) {
+  // newest bucket is almost always last; search backwards for backfilled ticks
+  let i = series.length - 1;
+  while (i >= 0 && series[i].t > bucketStart) i--;
+
+  if (i >= 0 && series[i].t === bucketStart) {
+    const c = series[i];
+    c.high = Math.max(c.high, value);
+    c.low = Math.min(c.low, value);
+    c.volume += volume;
+    c.ticks += 1;
+    if (ts < c.openTs) { c.open = value; c.openTs = ts; }
+    if (ts >= c.closeTs) { c.close = value; c.closeTs = ts; }
+    return;
+  }
+
+  series.splice(i + 1, 0, {
+    t: bucketStart,
+    open: value,
+    high: value,
+    low: value,
+    close: value,
+    volume,
+    ticks: 1,
+    openTs: ts,
+    closeTs: ts,
+  });
+
+  if (series.length > WINDOW_SIZE) series.splice(0, series.length - WINDOW_SIZE);
+}
+
+// ---------------- PUBLIC API ----------------
+/**
+ * Feed one tick into every configured timeframe.
+ * @param {string} mint
+ * @param {{ value: number, volume?: number, ts?: number }} tick
+ */
+export function recordTick(mint, { value, volume = 0, ts = Date.now() } = {}) {
+  const key = cleanMint(mint);
+  const v = Number(value);
+  if (!key || !Number.isFinite(v) || v <= 0) return false;
+
+  const vol = Number.isFinite(Number(volume)) ? Number(volume) : 0;
+
+  let byTf = CANDLE_MEMORY.get(key);
+  if (!byTf) {
+    byTf = {};
+    CANDLE_MEMORY.set(key, byTf);
+  }
+
+  for (const tf of CANDLE_TIMEFRAMES) {
+    const ms = tfMs(tf);
+    byTf[tf] ||= [];
+    applyTick(byTf[tf], Math.floor(ts / ms) * ms, v, vol, ts);
+  }
+
+  const last = LAST_TICK.get(key);
+  if (!last || ts >= last.ts) LAST_TICK.set(key, { value: v, volume: vol, ts });
+
+  schedulePersist();
+  return true;
+}
+
+/** Most recent tick seen in this process (null after a restart until a new tick). */
+export function getLastTick(mint) {
+  return LAST_TICK.get(cleanMint(mint)) || null;
+}
+
+/**
+ * Last n candles (oldest first), gap-filled, including the still-open bucket.
+ * Each candle carries `closed` (its bucket has ended).
+ * @param {string} mint
+ * @param {string} tf - "1m" | "5m" | "15m" (see CANDLE_TIMEFRAMES)
+ * @param {number} [n]
+ * @param {{ closedOnly?: boolean, now?: number }} [opts]
+ */
+export function getCandles(mint, tf, n = 20, { closedOnly = false, now = Date.now() } = {}) {
+  const ms = tfMs(tf);
+  const series = CANDLE_MEMORY.get(cleanMint(mint))?.[tf];
+  if (!series?.length) return [];
+
+  const currentBucket = Math.floor(now / ms) * ms;
+  const out = [];
+
+  for (const c of series) {
+    const prev = out[out.length - 1];
+
+    // flat candles for buckets nobody traded in
+    if (prev) {
+      for (let t = prev.t + ms; t < c.t; t += ms) {
+        out.push({
+          t, open: prev.close, high: prev.close, low: prev.close, close: prev.close,
+          volume: 0, ticks: 0,
+        });
+      }
+    }
+
+    const { openTs, closeTs, ...candle } = c;
+    out.push(candle);
+  }
+
+  const last = out[out.length - 1];
+  for (let t = last.t + ms; t <= currentBucket; t += ms) {
+    out.push({
+      t, open: last.close, high: last.close, low: last.close, close: last.close,
+      volume: 0, ticks: 0,
+    });
+  }
+
+  const withState = out.map((c) => ({ ...c, closed: c.t < currentBucket }));
+  const filtered = closedOnly ? withState.filter((c) => c.closed) : withState;
+
+  return filtered.slice(-Math.max(1, n));
+}
+
+/**
+ * Color and body size of a candle.
+ * green = close above open by at least minBodyPct% of the high-low range.
+ */
+export function describeCandle(candle, minBodyPct = 15) {
+  const range = candle.high - candle.low;
+  const momentum = candle.close - candle.open;
+  const momentumPct = candle.open > 0 ? (momentum / candle.open) * 100 : 0;
+  const bodyPct = range > 0 ? (momentum / range) * 100 : 0;
+
+  return {
+    color: momentum > 0 && bodyPct >= minBodyPct ? "green" : "red",
+    momentum,
+    momentumPct,
+    bodyPct,
+    range,
+  };
+}
+
+export function clearCandles(mint) {
+  const key = cleanMint(mint);
+  LAST_TICK.delete(key);
+  const deleted = CANDLE_MEMORY.delete(key);
+  if (deleted) schedulePersist();
+  return deleted;
+}
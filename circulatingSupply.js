@@ -1,4 +1,12 @@
 // circulatingSupply.js
+// Supply service: total supply from the mint, circulating supply = total minus
+// tokens that cannot trade:
+//   - bonding-curve PDA holdings (owner account owned by the Pump program)
+//   - PumpSwap pool vaults (owner account owned by the PumpSwap AMM program)
+//   - burn / incinerator addresses
+//   - known lock / vesting programs (SUPPLY_LOCK_PROGRAMS adds more)
+// Only the largest token accounts are inspected; curve, pool and lockers are
+// always among them for Pump tokens. Results are cached per mint.
 import { Connection, PublicKey } from "@solana/web3.js";
 import { withRpcLimit } from "./rpcLimiter.js"; // import your rate limiter
 
@@ -8,22 +16,144 @@ const connection = new Connection(
   "confirmed"
 );
 
+const SUPPLY_CACHE_TTL_MS = Number(process.env.SUPPLY_CACHE_TTL_MS || 30_000);
+
+const PUMP_PROGRAM_ID = "6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P";
+const PUMP_AMM_PROGRAM_ID = "pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA";
+
+const BURN_ADDRESSES = new Set([
+  "1nc1nerator11111111111111111111111111111111",
+  "11111111111111111111111111111111",
+]);
+
+const LOCK_PROGRAMS = new Set([
+  "strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m", // Streamflow
+  "LocpQgucEQHbqNABEYvBvwoxCPsSbG91A1QaQhQQqjn", // Jupiter Lock
+  "CChTq6PthWU82YZkbveA3WDf7s97BWhBK4Vx9bmsT743", // Bonfida token vesting
+  ...String(process.env.SUPPLY_LOCK_PROGRAMS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean),
+]);
+
+const SUPPLY_CACHE = new Map();
+
+function classifyHolder(owner, ownerProgram) {
+  if (BURN_ADDRESSES.has(owner)) return "burn";
+  if (ownerProgram === PUMP_PROGRAM_ID) return "bondingCurve";
+  if (ownerProgram === PUMP_AMM_PROGRAM_ID) return "pool";
+  if (LOCK_PROGRAMS.has(ownerProgram)) return "locked";
+  return null;
+}
+
+async function fetchExcludedSupply(mintPubkey) {
+  const excluded = { bondingCurve: 0, pool: 0, burn: 0, locked: 0 };
+
+  const largest = await withRpcLimit(() =>
+    connection.getTokenLargestAccounts(mintPubkey)
+  );
+  const accounts = largest.value.filter((a) => Number(a.amount) > 0);
+  if (!accounts.length) return excluded;
+
+  const parsed = await withRpcLimit(() =>
+    connection.getMultipleParsedAccounts(accounts.map((a) => a.address))
+  );
+
+  const owners = parsed.value.map((acc) => acc?.data?.parsed?.info?.owner || null);
+  const uniqueOwners = [...new Set(owners.filter(Boolean))];
+
+  const ownerInfos = await withRpcLimit(() =>
+    connection.getMultipleAccountsInfo(uniqueOwners.map((o) => new PublicKey(o)))
+  );
+  const ownerProgram = new Map(
+    uniqueOwners.map((o, i) => [o, ownerInfos[i]?.owner?.toBase58() || null])
+  );
+
+  accounts.forEach((acc, i) => {
+    const owner = owners[i];
+    if (!owner) return;
+
+    const kind = classifyHolder(owner, ownerProgram.get(owner));
+    if (kind) excluded[kind] += Number(acc.uiAmountString ?? acc.uiAmount ?? 0);
+  });
+
+  return excluded;
+}
+
 /**
- * Get circulating supply of a Solana token (rate-limited)
+ * Supply breakdown for a Solana token (rate-limited, cached).
  * @param {string} tokenMint - base58 mint address
- * @returns {Promise<{totalSupply: number, decimals: number}>}
+ * @returns {Promise<{totalSupply: number, circulatingSupply: number, excludedSupply: number, excluded: object, exact: boolean, decimals: number}>}
  */
 export async function getCirculatingSupply(tokenMint) {
+  const mint = String(tokenMint || "").trim();
+
+  const cached = SUPPLY_CACHE.get(mint);
+  if (cached && Date.now() - cached.fetchedAt < SUPPLY_CACHE_TTL_MS) {
+    return cached.value;
+  }
+
   try {
-    const mintPubkey = new PublicKey(tokenMint);
+    const mintPubkey = new PublicKey(mint);
 
     // Use rate-limited RPC call
     const mintInfo = await withRpcLimit(() => connection.getTokenSupply(mintPubkey));
 
     const totalSupply = Number(mintInfo.value.amount) / 10 ** mintInfo.value.decimals;
-    return { totalSupply, decimals: mintInfo.value.decimals };
+
+    let excluded = null;
+    try {
+      excluded = await fetchExcludedSupply(mintPubkey);
+    } catch (err) {
+      console.warn(`[SUPPLY] holder breakdown failed for ${mint}, using total supply:`, err?.message || err);
+    }
+
+    const excludedSupply = excluded
+      ? Object.values(excluded).reduce((a, b) => a + b, 0)
+      : 0;
+
+    const value = {
+      totalSupply,
+      circulatingSupply: Math.max(0, totalSupply - excludedSupply),
+      excludedSupply,
+      excluded: excluded || {},
+      exact: !!excluded,
+      decimals: mintInfo.value.decimals,
+    };
+
+    SUPPLY_CACHE.set(mint, { value, fetchedAt: Date.now() });
+    return value;
   } catch (err) {
     console.error(`Error fetching circulating supply for ${tokenMint}:`, err);
-    return { totalSupply: 0, decimals: 0 };
+    return {
+      totalSupply: 0,
+      circulatingSupply: 0,
+      excludedSupply: 0,
+      excluded: {},
+      exact: false,
+      decimals: 0,
+    };
+  }
+}
+
+/**
+ * Market cap on circulating supply, FDV on total supply.
+ * @returns {{ marketCap: number, fdv: number }}
+ */
+export function computeMarketCaps(supply, priceUsd) {
+  const p = Number(priceUsd);
+  if (!supply || !Number.isFinite(p)) return { marketCap: 0, fdv: 0 };
+
+  return {
+    marketCap: p * Number(supply.circulatingSupply || 0),
+    fdv: p * Number(supply.totalSupply || 0),
+  };
+}
+
+export function clearSupplyCache(tokenMint) {
+  if (tokenMint == null) {
+    SUPPLY_CACHE.clear();
+    return true;
   }
-}
\ No newline at end of file
+  return SUPPLY_CACHE.delete(String(tokenMint).trim());
+}
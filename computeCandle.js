@@ -1,117 +1,141 @@
 // computeCandle.js
 import { getPumpFunPriceOnce } from "./pumpfun_price.js";
-import { getCirculatingSupply } from "./circulatingSupply.js";
+import { getCirculatingSupply, computeMarketCaps } from "./circulatingSupply.js";
 import { fetchSolPriceUSD } from "./solPriceFetcher.js";
 
+import { recordTick, getLastTick, getCandles, describeCandle } from "./candle_engine.js";
+
+const CANDLE_TF = process.env.CANDLE_STAGE1_TF || "1m";
+
+// a Stage-1 sample this recent is reused instead of fetching price again
+const TICK_FRESH_MS = Number(process.env.CANDLE_TICK_FRESH_MS || 5_000);
+
+async function fetchMarketCapUsd(cleanMint) {
+  // ---------- Supply ----------
+  const supplyObj = await getCirculatingSupply(cleanMint);
+  if (
+    !supplyObj ||
+    typeof supplyObj.circulatingSupply !== "number" ||
+    isNaN(supplyObj.circulatingSupply) ||
+    supplyObj.circulatingSupply <= 0
+  ) {
+    throw new Error("Failed to fetch circulating supply");
+  }
+
+  const supplyAmount = supplyObj.circulatingSupply;
+
+  // ---------- Token price (SOL) ----------
+  const priceObj = await getPumpFunPriceOnce(cleanMint);
+  if (
+    !priceObj ||
+    typeof priceObj.priceSol !== "number" ||
+    isNaN(priceObj.priceSol)
+  ) {
+    throw new Error("Failed to fetch token price");
+  }
+
+  const priceSol = priceObj.priceSol;
+
+  // ---------- SOL → USD ----------
+  const solUsd = await fetchSolPriceUSD();
+  if (typeof solUsd !== "number" || isNaN(solUsd) || solUsd <= 0) {
+    throw new Error("SOL price unavailable");
+  }
+
+  const priceUsd = priceSol * solUsd;
+
+  const { marketCap, fdv } = computeMarketCaps(supplyObj, priceUsd);
+
+  return {
+    marketCap,
+    fdv,
+    priceSol,
+    priceUsd,
+    solUsd,
+    supplyAmount,
+    source: priceObj?.source ?? null,
+    migrated: priceObj?.migrated ?? null,
+  };
+}
+
 /**
- * Compute candle for a token using USD market cap
- * Minimum candle momentum: 15% of the high-low range
+ * Last closed OHLC candle (USD market cap) for a token, from candle_engine.js.
+ * Green = close above open by at least minMomentumPercent of the high-low range.
+ *
+ * highMarketCap / lowMarketCap / lastClose are only used for the neutral
+ * candle returned while the engine has no closed bucket yet.
+ * timeframe defaults to CANDLE_STAGE1_TF (Stage-1 profiles may override it).
  */
 export async function computeCandle(
   tokenMint,
   highMarketCap,
   lowMarketCap,
   lastClose,
-  minMomentumPercent = 15
+  minMomentumPercent = 15,
+  timeframe = CANDLE_TF
 ) {
   if (!tokenMint) throw new Error("Missing token mint");
 
   try {
     const cleanMint = String(tokenMint).trim();
 
-    // ---------- Supply ----------
-    const supplyObj = await getCirculatingSupply(cleanMint);
-    if (
-      !supplyObj ||
-      typeof supplyObj.totalSupply !== "number" ||
-      isNaN(supplyObj.totalSupply)
-    ) {
-      throw new Error("Failed to fetch circulating supply");
-    }
-
-    const supplyAmount = supplyObj.totalSupply;
+    // ---------- Current sample ----------
+    const lastTick = getLastTick(cleanMint);
+    let sample = null;
 
-    // ---------- Token price (SOL) ----------
-    const priceObj = await getPumpFunPriceOnce(cleanMint);
-    if (
-      !priceObj ||
-      typeof priceObj.priceSol !== "number" ||
-      isNaN(priceObj.priceSol)
-    ) {
-      throw new Error("Failed to fetch token price");
+    if (!lastTick || Date.now() - lastTick.ts > TICK_FRESH_MS) {
+      sample = await fetchMarketCapUsd(cleanMint);
+      recordTick(cleanMint, { value: sample.marketCap });
     }
 
-    const priceSol = priceObj.priceSol;
-
-    // ---------- SOL → USD ----------
-    const solUsd = await fetchSolPriceUSD();
-    if (typeof solUsd !== "number" || isNaN(solUsd) || solUsd <= 0) {
-      throw new Error("SOL price unavailable");
-    }
-
-    const priceUsd = priceSol * solUsd;
-
-    // ---------- Market Cap (USD) ----------
-    const currentMarketCap = priceUsd * supplyAmount;
+    const currentMarketCap = sample?.marketCap ?? lastTick.value;
 
-    // ---------- Candle structure ----------
-    const open =
-      typeof lastClose === "number" && !isNaN(lastClose)
-        ? lastClose
-        : currentMarketCap;
+    // ---------- Candle ----------
+    const [candle] = getCandles(cleanMint, timeframe, 1, { closedOnly: true });
 
-    const close = currentMarketCap;
-
-    const rawHigh =
-      typeof highMarketCap === "number" && isFinite(highMarketCap)
-        ? highMarketCap
-        : currentMarketCap;
-
-    const rawLow =
-      typeof lowMarketCap === "number" && isFinite(lowMarketCap)
-        ? lowMarketCap
-        : currentMarketCap;
-
-    const high = Math.max(rawHigh, rawLow, open, close);
-    const low = Math.min(rawHigh, rawLow, open, close);
+    if (!candle) {
+      console.log(`[CANDLE] ${cleanMint} warming up, no closed ${timeframe} candle yet`);
+      return neutralCandle(highMarketCap, lowMarketCap, lastClose, currentMarketCap, timeframe);
+    }
 
-    const range = high - low;
+    const { open, close, high, low, volume } = candle;
+    const { color, momentum, momentumPct, bodyPct, range } = describeCandle(
+      candle,
+      minMomentumPercent
+    );
     const minMovement = (minMomentumPercent / 100) * range;
 
-    const momentum = close - open;
-    const momentumPct = open > 0 ? (momentum / open) * 100 : 0;
-
-    const color = momentum >= minMovement ? "green" : "red";
-
     // ---------- Logs ----------
     if (color === "green") {
       console.log(
-        `[CANDLE ✅ GREEN] ${cleanMint} | momentum=${momentum.toFixed(6)} | momentumPct=${momentumPct.toFixed(2)}% | required=${minMovement.toFixed(6)} | range=${range.toFixed(6)}`
+        `[CANDLE ✅ GREEN] ${cleanMint} | ${timeframe} | momentum=${momentum.toFixed(6)} | momentumPct=${momentumPct.toFixed(2)}% | required=${minMovement.toFixed(6)} | range=${range.toFixed(6)}`
       );
     } else {
       console.log(
-        `[CANDLE ❌ NO GREEN] ${cleanMint} | momentum=${momentum.toFixed(6)} | momentumPct=${momentumPct.toFixed(2)}% | required=${minMovement.toFixed(6)} | range=${range.toFixed(6)}`
+        `[CANDLE ❌ NO GREEN] ${cleanMint} | ${timeframe} | momentum=${momentum.toFixed(6)} | momentumPct=${momentumPct.toFixed(2)}% | required=${minMovement.toFixed(6)} | range=${range.toFixed(6)}`
       );
     }
 
     console.log("[CANDLE_DEBUG]", {
       mint: cleanMint,
+      timeframe,
+      bucket: new Date(candle.t).toISOString(),
       open,
       close,
       high,
       low,
+      volume,
+      ticks: candle.ticks,
       range,
       minMovement,
       momentum,
       momentumPct,
+      bodyPct,
       color,
-      priceSol,
-      priceUsd,
-      solUsd,
-      supplyAmount,
       currentMarketCap,
-      source: priceObj?.source ?? null,
-      migrated: priceObj?.migrated ?? null,
+      priceSol: sample?.priceSol ?? null,
+      solUsd: sample?.solUsd ?? null,
+      source: sample?.source ?? "stage1_tick",
     });
 
     return {
@@ -119,29 +143,38 @@ export async function computeCandle(
       close,
       high,
       low,
-      timestamp: Date.now(),
+      volume,
+      timestamp: candle.t,
+      timeframe,
       color,
       momentum,
+      momentumPct,
     };
   } catch (err) {
     console.error(`[CANDLE] ERROR for ${tokenMint}: ${err.message}`);
-
-    return {
-      open:
-        typeof lastClose === "number" && !isNaN(lastClose) ? lastClose : 0,
-      close:
-        typeof lastClose === "number" && !isNaN(lastClose) ? lastClose : 0,
-      high:
-        typeof highMarketCap === "number" && isFinite(highMarketCap)
-          ? highMarketCap
-          : 0,
-      low:
-        typeof lowMarketCap === "number" && isFinite(lowMarketCap)
-          ? lowMarketCap
-          : 0,
-      timestamp: Date.now(),
-      color: "red",
-      momentum: 0,
-    };
+    return neutralCandle(highMarketCap, lowMarketCap, lastClose, null, timeframe);
   }
-}
\ No newline at end of file
+}
+
+function neutralCandle(highMarketCap, lowMarketCap, lastClose, current, timeframe) {
+  const close =
+    typeof lastClose === "number" && !isNaN(lastClose) ? lastClose : current ?? 0;
+
+  return {
+    open: close,
+    close,
+    high:
+      typeof highMarketCap === "number" && isFinite(highMarketCap)
+        ? highMarketCap
+        : close,
+    low:
+      typeof lowMarketCap === "number" && isFinite(lowMarketCap)
+        ? lowMarketCap
+        : close,
+    timestamp: Date.now(),
+    timeframe,
+    color: "red",
+    momentum: 0,
+    momentumPct: 0,
+  };
+}
@@ -0,0 +1,205 @@
+// curve_progress.js (ESM)
+// Real Pump bonding-curve progress from the decoded curve account:
+//   progressPct = tokens sold / initial real token reserves
+//   solRaised   = real SOL reserves
+// Samples are kept per mint so the detector can see progress velocity.
+
+import { PublicKey } from "@solana/web3.js";
+import { decodePumpBondingCurve } from "./pumpfun_price.js";
+import { PUMP_PROGRAM_ID } from "./pumpfun_decoder.js";
+import { withRpcLimit } from "./rpcLimiter.js";
+
+// Fallback when the Global account cannot be read (793.1M tokens, 6 decimals)
+const DEFAULT_INITIAL_REAL_TOKEN_RESERVES = BigInt(
+  process.env.PUMP_INITIAL_REAL_TOKEN_RESERVES || "793100000000000"
+);
+
+const VELOCITY_WINDOW_MS = Number(process.env.STAGE1_VELOCITY_WINDOW_MS || 5 * 60 * 1000);
+const MAX_SAMPLES_PER_MINT = Number(process.env.STAGE1_MAX_CURVE_SAMPLES || 120);
+const MAX_TRACKED_MINTS = Number(process.env.STAGE1_MAX_TRACKED_CURVES || 5_000);
+
+// Global: discriminator(8) initialized(1) authority(32) fee_recipient(32)
+//         initial_virtual_token_reserves(8) initial_virtual_sol_reserves(8)
+//         initial_real_token_reserves(8) ...
+const GLOBAL_INITIAL_REAL_TOKEN_RESERVES_OFFSET = 89;
+
+const [GLOBAL_PDA] = PublicKey.findProgramAddressSync(
+  [Buffer.from("global")],
+  PUMP_PROGRAM_ID
+);
+
+const PROGRESS = new Map();
+
+let initialRealTokenReserves = DEFAULT_INITIAL_REAL_TOKEN_RESERVES;
+let initialReservesLoaded = false;
+
+// ---------------- helpers ----------------
+export function bondingCurvePdaForMint(mint) {
+  const mintPk = mint instanceof PublicKey ? mint : new PublicKey(String(mint).trim());
+  const [pda] = PublicKey.findProgramAddressSync(
+    [Buffer.from("bonding-curve"), mintPk.toBuffer()],
+    PUMP_PROGRAM_ID
+  );
+  return pda;
+}
+
+/**
+ * Read initial_real_token_reserves from the Pump Global account (once).
+ * Keeps the env/default value when the account cannot be read.
+ */
+export async function loadInitialRealTokenReserves(conn) {
+  if (initialReservesLoaded) return initialRealTokenReserves;
+
+  try {
+    const acc = await withRpcLimit(() => conn.getAccountInfo(GLOBAL_PDA));
+    if (acc?.data?.length >= GLOBAL_INITIAL_REAL_TOKEN_RESERVES_OFFSET + 8) {
+      const v = acc.data.readBigUInt64LE(GLOBAL_INITIAL_REAL_TOKEN_RESERVES_OFFSET);
+      if (v > 0n) initialRealTokenReserves = v;
+    }
+    initialReservesLoaded = true;
+  } catch (err) {
+    console.warn("[CURVE_PROGRESS] Global account read failed, using default reserves:", err?.message || err);
+  }
+
+  return initialRealTokenReserves;
+}
+
+/**
+ * @param {{ realTokenReserves: bigint, realSolReserves: bigint, complete: boolean }} curve
+ * @returns {{ progressPct: number, solRaised: number, realTokenReserves: string, complete: boolean }}
+ */
+export function computeCurveProgress(curve, initialReserves = initialRealTokenReserves) {
+  const real = BigInt(curve.realTokenReserves ?? 0n);
+  const init = BigInt(initialReserves);
+
+  let progressPct;
+  if (curve.complete) {
+    progressPct = 100;
+  } else if (init <= 0n || real >= init) {
+    progressPct = 0;
+  } else {
+    progressPct = Number(((init - real) * 10_000n) / init) / 100;
+  }
+
+  return {
+    progressPct,
+    solRaised: Number(curve.realSolReserves ?? 0n) / 1e9,
+    realTokenReserves: real.toString(),
+    complete: !!curve.complete,
+  };
+}
+
+function computeVelocity(samples, now) {
+  const windowStart = now - VELOCITY_WINDOW_MS;
+  const inWindow = samples.filter((s) => s.ts >= windowStart);
+  if (inWindow.length < 2) return null;
+
+  const first = inWindow[0];
+  const last = inWindow[inWindow.length - 1];
+  const minutes = (last.ts - first.ts) / 60_000;
+  if (minutes <= 0) return null;
+
+  return (last.progressPct - first.progressPct) / minutes;
+}
+
+// ---------------- tracker ----------------
+/**
+ * Record a decoded curve account sample for a mint.
+ * @returns {object} progress snapshot (see getCurveProgress)
+ */
+export function recordCurveSample(mint, curve, { bondingCurve = null, slot = null, ts = Date.now() } = {}) {
+  const p = computeCurveProgress(curve);
+
+  let entry = PROGRESS.get(mint);
+  if (!entry) {
+    entry = {
+      mint,
+      bondingCurve,
+      firstSeenAt: ts,
+      samples: [],
+    };
+    PROGRESS.set(mint, entry);
+
+    if (PROGRESS.size > MAX_TRACKED_MINTS) {
+      PROGRESS.delete(PROGRESS.keys().next().value);
+    }
+  }
+
+  if (bondingCurve) entry.bondingCurve = bondingCurve;
+
+  const last = entry.samples[entry.samples.length - 1];
+  if (!last || last.ts !== ts || last.progressPct !== p.progressPct) {
+    entry.samples.push({ ts, slot, progressPct: p.progressPct, solRaised: p.solRaised });
+    if (entry.samples.length > MAX_SAMPLES_PER_MINT) entry.samples.shift();
+  }
+
+  entry.latest = { ...p, slot, ts };
+
+  return getCurveProgress(mint);
+}
+
+export function getCurveProgress(mint) {
+  const entry = PROGRESS.get(mint);
+  if (!entry?.latest) return null;
+
+  const now = entry.latest.ts;
+  const maxProgressPct = Math.max(...entry.samples.map((s) => s.progressPct));
+
+  return {
+    mint,
+    bondingCurve: entry.bondingCurve,
+    progressPct: entry.latest.progressPct,
+    maxProgressPct,
+    solRaised: entry.latest.solRaised,
+    complete: entry.latest.complete,
+    velocityPctPerMin: computeVelocity(entry.samples, now),
+    samples: entry.samples.length,
+    firstSeenAt: entry.firstSeenAt,
+    updatedAt: entry.latest.ts,
+    slot: entry.latest.slot,
+  };
+}
+
+export function forgetCurveProgress(mint) {
+  return PROGRESS.delete(mint);
+}
+
+/**
+ * Fetch and record curve accounts for many mints (getMultipleAccountsInfo, 100 per call).
+ * @returns {Promise<Array<object>>} progress snapshots for mints whose curve exists
+ */
+export async function refreshCurveProgress(conn, mints, { slot = null } = {}) {
+  await loadInitialRealTokenReserves(conn);
+
+  const list = [...new Set(mints)].filter(Boolean);
+  const out = [];
+
+  for (let i = 0; i < list.length; i += 100) {
+    const chunk = list.slice(i, i + 100);
+    const pdas = chunk.map((m) => PROGRESS.get(m)?.bondingCurve
+      ? new PublicKey(PROGRESS.get(m).bondingCurve)
+      : bondingCurvePdaForMint(m));
+
+    const infos = await withRpcLimit(() => conn.getMultipleAccountsInfo(pdas, "confirmed"));
+    const ts = Date.now();
+
+    infos.forEach((info, idx) => {
+      if (!info?.data) return;
+
+      let curve;
+      try {
+        curve = decodePumpBondingCurve(info.data);
+      } catch {
+        return;
+      }
+
+      out.push(recordCurveSample(chunk[idx], curve, {
+        bondingCurve: pdas[idx].toBase58(),
+        slot,
+        ts,
+      }));
+    });
+  }
+
+  return out;
+}
@@ -0,0 +1,178 @@
+// decision_journal.js (ESM)
+// Append-only JSONL audit trail of every buy-decision evaluation:
+//   { ts, mint, stage, status, reason, inputs, scores, data, durationMs, repeats }
+//
+// Identical consecutive results for the same mint/stage (e.g. Stage-1 "wait"
+// every tick) are folded: one line per DECISION_JOURNAL_REPEAT_MS; `repeats`
+// counts the evaluations folded into the line before it.
+//
+// CLI:
+//   node decision_journal.js <mint> [--limit N] [--stage NAME] [--json]
+
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+
+export const DECISION_JOURNAL_FILE = path.resolve(
+  process.env.DECISION_JOURNAL_FILE || "./decision_journal.jsonl"
+);
+
+const REPEAT_MS = Number(process.env.DECISION_JOURNAL_REPEAT_MS || 60_000);
+
+// `${mint}:${stage}` -> { key, status, reason, writtenAt, repeats }
+const LAST_WRITTEN = new Map();
+
+// bigint -> string; PublicKey already serializes to base58 via toJSON
+function replacer(_key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+/**
+ * Append one decision. Never throws: the journal must not break trading.
+ * @param {{ mint: string, stage: string, status: string, reason?: string, inputs?: object, scores?: object, data?: object, durationMs?: number }} entry
+ */
+export function appendDecision(entry) {
+  const mint = String(entry?.mint || "").trim();
+  const stage = String(entry?.stage || "").trim();
+  if (!mint || !stage) return false;
+
+  const slot = `${mint}:${stage}`;
+  const key = `${entry.status}|${entry.reason ?? ""}`;
+  const now = Date.now();
+  const last = LAST_WRITTEN.get(slot);
+
+  if (last && last.key === key && now - last.writtenAt < REPEAT_MS) {
+    last.repeats += 1;
+    return false;
+  }
+
+  const lines = [];
+
+  // the previous result changed: close its folded run first
+  if (last && last.key !== key && last.repeats > 0) {
+    lines.push({
+      ts: new Date(now).toISOString(),
+      mint,
+      stage,
+      status: last.status,
+      reason: last.reason,
+      inputs: null,
+      scores: null,
+      data: null,
+      durationMs: null,
+      repeats: last.repeats,
+    });
+  }
+
+  lines.push({
+    ts: new Date(now).toISOString(),
+    mint,
+    stage,
+    status: entry.status,
+    reason: entry.reason ?? null,
+    inputs: entry.inputs ?? null,
+    scores: entry.scores ?? null,
+    data: entry.data ?? null,
+    durationMs: entry.durationMs ?? null,
+    repeats: last && last.key === key ? last.repeats : 0,
+  });
+
+  try {
+    fs.appendFileSync(
+      DECISION_JOURNAL_FILE,
+      lines.map((l) => JSON.stringify(l, replacer)).join("\n") + "\n"
+    );
+    LAST_WRITTEN.set(slot, {
+      key,
+      status: entry.status,
+      reason: entry.reason ?? null,
+      writtenAt: now,
+      repeats: 0,
+    });
+    return true;
+  } catch (err) {
+    console.error("[DECISION_JOURNAL] append failed:", err?.message || err);
+    return false;
+  }
+}
+
+/**
+ * Decision history for a mint, oldest first.
+ * @param {string} mint
+ * @param {{ stage?: string, limit?: number }} [opts]
+ */
+export async function readDecisions(mint, { stage = null, limit = 0 } = {}) {
+  const target = String(mint || "").trim();
+  if (!fs.existsSync(DECISION_JOURNAL_FILE)) return [];
+
+  const rl = readline.createInterface({
+    input: fs.createReadStream(DECISION_JOURNAL_FILE, { encoding: "utf8" }),
+    crlfDelay: Infinity,
+  });
+
+  const out = [];
+
+  for await (const line of rl) {
+    // cheap pre-filter before parsing
+    if (!line || (target && !line.includes(target))) continue;
+
+    let rec;
+    try {
+      rec = JSON.parse(line);
+    } catch {
+      continue;
+    }
+
+    if (target && rec.mint !== target) continue;
+    if (stage && rec.stage !== stage) continue;
+
+    out.push(rec);
+    if (limit > 0 && out.length > limit) out.shift();
+  }
+
+  return out;
+}
+
+// ---------------- CLI ----------------
+function parseArgs(argv) {
+  const args = { mint: null, limit: 0, stage: null, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--json") args.json = true;
+    else if (a === "--limit") args.limit = Number(argv[++i] || 0);
+    else if (a === "--stage") args.stage = argv[++i] || null;
+    else if (!args.mint) args.mint = a;
+  }
+
+  return args;
+}
+
+function formatLine(rec) {
+  const repeats = rec.repeats ? ` (+${rec.repeats} folded)` : "";
+  const reason = rec.reason ? ` reason=${rec.reason}` : "";
+  const scores = rec.scores ? ` scores=${JSON.stringify(rec.scores)}` : "";
+  const took = rec.durationMs != null ? ` ${rec.durationMs}ms` : "";
+  return `${rec.ts}  ${rec.stage.padEnd(10)} ${String(rec.status).toUpperCase().padEnd(7)}${reason}${scores}${took}${repeats}`;
+}
+
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.mint) {
+    console.error("Usage: node decision_journal.js <mint> [--limit N] [--stage NAME] [--json]");
+    process.exit(1);
+  }
+
+  const records = await readDecisions(args.mint, args);
+
+  if (args.json) {
+    console.log(JSON.stringify(records, null, 2));
+  } else if (!records.length) {
+    console.log(`No decisions recorded for ${args.mint} in ${DECISION_JOURNAL_FILE}`);
+  } else {
+    console.log(`Decision history for ${args.mint} (${records.length} entries)`);
+    for (const rec of records) console.log(formatLine(rec));
+  }
+}
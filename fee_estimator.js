@@ -0,0 +1,128 @@
+// fee_estimator.js (ESM)
+// Priority-fee estimation for every transaction builder.
+//
+// getRecentPrioritizationFees is asked for the writable accounts the
+// transaction locks (curve, pool, vaults, ATAs), so the estimate reflects
+// contention on exactly those accounts. The per-slot samples are reduced to a
+// percentile per level and clamped to [min, max]:
+//
+//   level    percentile (env)            default
+//   low      PRIORITY_FEE_PCT_LOW        25
+//   normal   PRIORITY_FEE_PCT_NORMAL     60
+//   urgent   PRIORITY_FEE_PCT_URGENT     90   (x PRIORITY_FEE_URGENT_MULTIPLIER)
+//
+// PRIORITY_FEE_MIN_MICROLAMPORTS / PRIORITY_FEE_MAX_MICROLAMPORTS cap all
+// levels; PRIORITY_FEE_FALLBACK_MICROLAMPORTS is used when the RPC call fails.
+
+import "dotenv/config";
+import { ComputeBudgetProgram, PublicKey } from "@solana/web3.js";
+
+export const FEE_LEVELS = ["low", "normal", "urgent"];
+
+const PERCENTILES = {
+  low: Number(process.env.PRIORITY_FEE_PCT_LOW || 25),
+  normal: Number(process.env.PRIORITY_FEE_PCT_NORMAL || 60),
+  urgent: Number(process.env.PRIORITY_FEE_PCT_URGENT || 90),
+};
+
+const URGENT_MULTIPLIER = Number(process.env.PRIORITY_FEE_URGENT_MULTIPLIER || 1.5);
+const MIN_MICROLAMPORTS = Number(process.env.PRIORITY_FEE_MIN_MICROLAMPORTS || 5_000);
+const MAX_MICROLAMPORTS = Number(process.env.PRIORITY_FEE_MAX_MICROLAMPORTS || 2_000_000);
+const FALLBACK_MICROLAMPORTS = Number(process.env.PRIORITY_FEE_FALLBACK_MICROLAMPORTS || 50_000);
+const CACHE_MS = Number(process.env.PRIORITY_FEE_CACHE_MS || 2_000);
+const DEFAULT_CU_LIMIT = Number(process.env.DEFAULT_CU_LIMIT || 300_000);
+
+// the RPC accepts at most 128 accounts
+const MAX_FEE_ACCOUNTS = 128;
+
+// accounts key -> { fees: number[], fetchedAt }
+const FEE_CACHE = new Map();
+
+// ---------------- helpers ----------------
+function percentile(sorted, pct) {
+  if (!sorted.length) return 0;
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil((pct / 100) * sorted.length) - 1));
+  return sorted[idx];
+}
+
+function clamp(v) {
+  return Math.min(MAX_MICROLAMPORTS, Math.max(MIN_MICROLAMPORTS, Math.round(v)));
+}
+
+/** Writable, non-program accounts locked by a set of instructions. */
+export function writableAccountsOf(instructions) {
+  const keys = new Set();
+  for (const ix of instructions || []) {
+    if (ix?.programId?.equals?.(ComputeBudgetProgram.programId)) continue;
+    for (const meta of ix?.keys || []) {
+      if (meta.isWritable) keys.add(meta.pubkey.toBase58());
+    }
+  }
+  return [...keys].slice(0, MAX_FEE_ACCOUNTS);
+}
+
+/** Fee level for an exit reason from sellCaller (RUG:/TOP1:/CRASH: escalate). */
+export function feeLevelForSellReason(reason) {
+  const r = String(reason || "").toUpperCase();
+  if (/^(RUG|TOP1|CRASH|EMERGENCY)/.test(r)) return "urgent";
+  if (r.startsWith("TIME")) return "low";
+  return "normal";
+}
+
+async function fetchRecentFees(conn, accounts) {
+  const key = [...accounts].sort().join(",");
+  const cached = FEE_CACHE.get(key);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_MS) return cached.fees;
+
+  const res = await conn.getRecentPrioritizationFees({
+    lockedWritableAccounts: accounts.map((a) => (a instanceof PublicKey ? a : new PublicKey(a))),
+  });
+
+  const fees = (res || []).map((r) => Number(r.prioritizationFee) || 0).sort((a, b) => a - b);
+  FEE_CACHE.set(key, { fees, fetchedAt: Date.now() });
+
+  if (FEE_CACHE.size > 500) FEE_CACHE.delete(FEE_CACHE.keys().next().value);
+  return fees;
+}
+
+// ---------------- PUBLIC API ----------------
+/**
+ * Priority fee (microLamports per CU) for a transaction locking `accounts`.
+ * @param {import("@solana/web3.js").Connection} conn
+ * @param {{ accounts?: Array<string|PublicKey>, level?: "low"|"normal"|"urgent" }} [opts]
+ * @returns {Promise<{ microLamports: number, level: string, samples: number, source: string }>}
+ */
+export async function estimatePriorityFee(conn, { accounts = [], level = "normal" } = {}) {
+  const lvl = FEE_LEVELS.includes(level) ? level : "normal";
+
+  try {
+    const fees = await fetchRecentFees(conn, accounts);
+    let fee = percentile(fees, PERCENTILES[lvl]);
+    if (lvl === "urgent") fee *= URGENT_MULTIPLIER;
+
+    return { microLamports: clamp(fee), level: lvl, samples: fees.length, source: "rpc" };
+  } catch (err) {
+    console.warn("[FEE_ESTIMATOR] recent fees unavailable, using fallback:", err?.message || err);
+    const fee = lvl === "urgent" ? FALLBACK_MICROLAMPORTS * URGENT_MULTIPLIER : FALLBACK_MICROLAMPORTS;
+    return { microLamports: clamp(fee), level: lvl, samples: 0, source: "fallback" };
+  }
+}
+
+/**
+ * Compute-budget instructions for `instructions`, priced for their writable accounts.
+ * Pass `fee` (from estimatePriorityFee) to reuse an estimate instead of fetching a new one.
+ * @returns {Promise<import("@solana/web3.js").TransactionInstruction[]>}
+ */
+export async function buildComputeBudgetIxs(conn, instructions, { level = "normal", units = DEFAULT_CU_LIMIT, fee = null } = {}) {
+  fee ??= await estimatePriorityFee(conn, {
+    accounts: writableAccountsOf(instructions),
+    level,
+  });
+
+  console.log("[FEE_ESTIMATOR]", { level: fee.level, microLamports: fee.microLamports, units, samples: fee.samples, source: fee.source });
+
+  return [
+    ComputeBudgetProgram.setComputeUnitLimit({ units }),
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports: fee.microLamports }),
+  ];
+}
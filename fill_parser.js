@@ -0,0 +1,242 @@
+// fill_parser.js (ESM)
+// Actual fills from confirmed transactions instead of quoted sizes.
+//
+// For one wallet and mint, a getTransaction response is reduced to:
+//   tokenDeltaRaw        change of the wallet's token balance (+ buy, - sell)
+//   walletLamports       wallet SOL delta, wrapped SOL (WSOL accounts) included
+//   networkFeeLamports   meta.fee = base fee (5000 / signature) + priority fee
+//   rentLamports         token account rent paid (+) or refunded on close (-)
+//   protocol / creator / lp fee lamports from the Pump and PumpSwap trade events
+//
+//   tradeLamports     = walletLamports + networkFee + rent   SOL through the swap, fees and tips included
+//   effectiveLamports = walletLamports + rent                what the fill really cost / returned
+//   effectivePriceSol = |effective| / tokens, swapPriceSol = |trade| / tokens
+//
+// Rent is kept out of the price: it comes back when the account is closed.
+
+import "dotenv/config";
+import bs58 from "bs58";
+import { Connection } from "@solana/web3.js";
+import { OFFLINE_PUMP_AMM_PROGRAM, PUMP_AMM_PROGRAM_ID } from "@pump-fun/pump-swap-sdk";
+import { PUMP_PROGRAM_ID, decodePumpInstruction, resolveAccountKeys } from "./pumpfun_decoder.js";
+
+const COMMITMENT = process.env.COMMITMENT || "confirmed";
+const RPC_URL = process.env.SIGNER_URL_1 || process.env.RPC_URL || "https://api.mainnet-beta.solana.com";
+const FETCH_RETRIES = Number(process.env.FILL_FETCH_RETRIES || 5);
+const FETCH_DELAY_MS = Number(process.env.FILL_FETCH_DELAY_MS || 800);
+
+const WSOL_MINT = "So11111111111111111111111111111111111111112";
+const LAMPORTS_PER_SIGNATURE = 5_000;
+
+// Anchor emit_cpi! prefix: sha256("anchor:event")[0..8]
+const EVENT_IX_TAG = Buffer.from([228, 69, 165, 46, 81, 203, 154, 29]);
+
+let connection = null;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ---------------- helpers ----------------
+function getConnection() {
+  if (!connection) connection = new Connection(RPC_URL, COMMITMENT);
+  return connection;
+}
+
+function toBase58(v) {
+  return typeof v === "string" ? v : v?.toBase58?.() ?? String(v ?? "");
+}
+
+function num(v) {
+  const n = Number(v?.toString?.() ?? v ?? 0);
+  return Number.isFinite(n) ? n : 0;
+}
+
+// Pump TradeEvent / PumpSwap buyEvent + sellEvent emitted by the wallet's swaps
+function tradeFees(tx, keys, owner, mint) {
+  const fees = { protocolFeeLamports: 0, creatorFeeLamports: 0, lpFeeLamports: 0 };
+
+  for (const group of tx.meta?.innerInstructions || []) {
+    for (const ix of group.instructions || []) {
+      const programId = keys[ix.programIdIndex];
+      if (!programId) continue;
+
+      const data = typeof ix.data === "string" ? Buffer.from(bs58.decode(ix.data)) : Buffer.from(ix.data || []);
+      if (data.length < 16 || !data.subarray(0, 8).equals(EVENT_IX_TAG)) continue;
+
+      if (programId.equals(PUMP_PROGRAM_ID)) {
+        const ev = decodePumpInstruction(data);
+        if (ev?.name !== "TradeEvent" || ev.data.user !== owner || ev.data.mint !== mint) continue;
+        fees.protocolFeeLamports += num(ev.data.fee);
+        fees.creatorFeeLamports += num(ev.data.creatorFee);
+        continue;
+      }
+
+      if (programId.equals(PUMP_AMM_PROGRAM_ID)) {
+        let ev = null;
+        try {
+          ev = OFFLINE_PUMP_AMM_PROGRAM.coder.events.decode(data.subarray(8).toString("base64"));
+        } catch {
+          ev = null;
+        }
+        if (!ev || (ev.name !== "buyEvent" && ev.name !== "sellEvent") || toBase58(ev.data.user) !== owner) continue;
+        fees.protocolFeeLamports += num(ev.data.protocolFee);
+        fees.creatorFeeLamports += num(ev.data.coinCreatorFee);
+        fees.lpFeeLamports += num(ev.data.lpFee);
+      }
+    }
+  }
+
+  return fees;
+}
+
+function withPrices(fill) {
+  const tokens = Math.abs(Number(fill.tokenDeltaRaw)) / 10 ** fill.decimals;
+  const sign = fill.side === "buy" ? -1 : 1; // buy: SOL leaves the wallet
+  const effective = (sign * fill.effectiveLamports) / 1e9;
+  const trade = (sign * fill.tradeLamports) / 1e9;
+
+  return {
+    ...fill,
+    effectiveSol: effective,
+    effectivePriceSol: tokens > 0 && effective > 0 ? effective / tokens : null,
+    swapPriceSol: tokens > 0 && trade > 0 ? trade / tokens : null,
+  };
+}
+
+// ---------------- PUBLIC API ----------------
+/**
+ * Fill of `owner` in `mint` from a getTransaction response (legacy or v0).
+ * @param {object} tx
+ * @param {{ owner: string|import("@solana/web3.js").PublicKey, mint: string|import("@solana/web3.js").PublicKey }} opts
+ * @returns {object|null} null when the wallet is not part of the transaction
+ */
+export function parseFill(tx, { owner, mint }) {
+  const meta = tx?.meta;
+  if (!meta) return null;
+
+  const ownerStr = toBase58(owner);
+  const mintStr = toBase58(mint);
+  const keys = resolveAccountKeys(tx);
+  const ownerIdx = keys.findIndex((k) => k.toBase58() === ownerStr);
+  if (ownerIdx < 0) return null;
+
+  const pre = meta.preBalances || [];
+  const post = meta.postBalances || [];
+  const lamportDelta = (i) => num(post[i]) - num(pre[i]);
+
+  // wallet-owned token accounts, by account index
+  const accounts = new Map();
+  for (const [side, list] of [["pre", meta.preTokenBalances], ["post", meta.postTokenBalances]]) {
+    for (const b of list || []) {
+      if (b.owner !== ownerStr) continue;
+      const acc = accounts.get(b.accountIndex) || { mint: b.mint, pre: 0n, post: 0n, decimals: 0 };
+      acc[side] = BigInt(b.uiTokenAmount?.amount || "0");
+      acc.decimals = b.uiTokenAmount?.decimals ?? acc.decimals;
+      accounts.set(b.accountIndex, acc);
+    }
+  }
+
+  let tokenDeltaRaw = 0n;
+  let decimals = 6;
+  let wrappedLamports = 0;
+  let rentLamports = 0;
+
+  for (const [index, acc] of accounts) {
+    if (acc.mint === WSOL_MINT) {
+      wrappedLamports += lamportDelta(index);
+      continue;
+    }
+    rentLamports += lamportDelta(index);
+    if (acc.mint === mintStr) {
+      tokenDeltaRaw += acc.post - acc.pre;
+      decimals = acc.decimals;
+    }
+  }
+
+  const walletLamports = lamportDelta(ownerIdx) + wrappedLamports;
+  const networkFeeLamports = ownerIdx === 0 ? num(meta.fee) : 0;
+  const baseFeeLamports = ownerIdx === 0
+    ? Math.min(networkFeeLamports, LAMPORTS_PER_SIGNATURE * (tx.transaction?.signatures?.length || 1))
+    : 0;
+
+  const signature = tx.transaction?.signatures?.[0];
+
+  return withPrices({
+    signature: typeof signature === "string" ? signature : signature ? bs58.encode(signature) : null,
+    slot: tx.slot ?? null,
+    blockTime: tx.blockTime ?? null,
+    ok: !meta.err,
+    side: tokenDeltaRaw > 0n ? "buy" : tokenDeltaRaw < 0n ? "sell" : null,
+    mint: mintStr,
+    tokenDeltaRaw: tokenDeltaRaw.toString(),
+    decimals,
+    walletLamports,
+    networkFeeLamports,
+    baseFeeLamports,
+    priorityFeeLamports: networkFeeLamports - baseFeeLamports,
+    rentLamports,
+    ...tradeFees(tx, keys, ownerStr, mintStr),
+    tradeLamports: walletLamports + networkFeeLamports + rentLamports,
+    effectiveLamports: walletLamports + rentLamports,
+  });
+}
+
+/**
+ * Fetch and parse one confirmed signature, retrying while the RPC has not
+ * indexed it yet. Never throws: returns null when no fill can be read.
+ * @param {import("@solana/web3.js").Connection|null} conn - defaults to SIGNER_URL_1 / RPC_URL
+ */
+export async function fetchFill(conn, signature, { owner, mint }) {
+  const c = conn || getConnection();
+
+  for (let i = 0; i < FETCH_RETRIES; i++) {
+    try {
+      const tx = await c.getTransaction(signature, {
+        commitment: COMMITMENT,
+        maxSupportedTransactionVersion: 0,
+      });
+      if (tx) return parseFill(tx, { owner, mint });
+    } catch (e) {
+      console.log(`[FILL_FETCH_RETRY] sig=${signature} try=${i + 1} err=${e?.message || e}`);
+    }
+    await sleep(FETCH_DELAY_MS);
+  }
+
+  console.log(`[FILL_UNAVAILABLE] sig=${signature}`);
+  return null;
+}
+
+/**
+ * Combined fill of several signatures (split sells). Null when none parsed.
+ * @returns {Promise<object|null>} summed lamport / token fields, prices over the total, per-signature `fills`
+ */
+export async function fetchFills(conn, signatures, { owner, mint }) {
+  const fills = [];
+  for (const sig of signatures || []) {
+    const fill = await fetchFill(conn, sig, { owner, mint });
+    if (fill?.ok) fills.push(fill);
+  }
+  if (!fills.length) return null;
+
+  const sum = (key) => fills.reduce((s, f) => s + f[key], 0);
+  const tokenDeltaRaw = fills.reduce((s, f) => s + BigInt(f.tokenDeltaRaw), 0n);
+
+  return withPrices({
+    signatures: fills.map((f) => f.signature),
+    ok: true,
+    side: tokenDeltaRaw > 0n ? "buy" : tokenDeltaRaw < 0n ? "sell" : null,
+    mint: toBase58(mint),
+    tokenDeltaRaw: tokenDeltaRaw.toString(),
+    decimals: fills[0].decimals,
+    walletLamports: sum("walletLamports"),
+    networkFeeLamports: sum("networkFeeLamports"),
+    baseFeeLamports: sum("baseFeeLamports"),
+    priorityFeeLamports: sum("priorityFeeLamports"),
+    rentLamports: sum("rentLamports"),
+    protocolFeeLamports: sum("protocolFeeLamports"),
+    creatorFeeLamports: sum("creatorFeeLamports"),
+    lpFeeLamports: sum("lpFeeLamports"),
+    tradeLamports: sum("tradeLamports"),
+    effectiveLamports: sum("effectiveLamports"),
+    fills,
+  });
+}
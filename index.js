@@ -9,6 +9,9 @@ import { startWalletReporter, stopWalletReporter } from "./walletbalance.js";
 import { startCrashProtection, stopCrashProtection } from "./crash-protection.js";
 import { startActivePositionList, stopActivePositionList } from "./active_PositionList.js";
 import { startBondingDetector, stopBondingDetector } from "./pumpfun_Poll_Stage1.js";
+import { startMissedTracker, stopMissedTracker } from "./missed_tracker.js";
+import { startMigrationSniper, stopMigrationSniper } from "./migration_sniper.js";
+import { flushCandles } from "./candle_engine.js";
 
 const ENABLED = {
   crashProtection: String(process.env.ENABLE_CRASH_PROTECTION || "true") === "true",
@@ -17,6 +20,8 @@ const ENABLED = {
   sellCaller: String(process.env.ENABLE_SELLCALLER || "true") === "true",
   walletReporter: String(process.env.ENABLE_WALLET_REPORTER || "true") === "true",
   activePositionList: String(process.env.ENABLE_ACTIVE_POSITION_LIST || "true") === "true",
+  missedTracker: String(process.env.ENABLE_MISSED_TRACKER || "true") === "true",
+  migrationSniper: String(process.env.ENABLE_MIGRATION_SNIPER || "false") === "true",
 };
 
 let started = false;
@@ -29,10 +34,12 @@ export async function startAll() {
 
   if (ENABLED.crashProtection) startCrashProtection();
   if (ENABLED.bondingDetector) await startBondingDetector();
+  if (ENABLED.migrationSniper) startMigrationSniper();
   if (ENABLED.buyCaller) startBuyCaller();
   if (ENABLED.sellCaller) startSellCaller();
   if (ENABLED.walletReporter) startWalletReporter();
   if (ENABLED.activePositionList) await startActivePositionList();
+  if (ENABLED.missedTracker) startMissedTracker();
 
   console.log("[index] all started");
 }
@@ -43,13 +50,22 @@ export async function stopAll(reason = "manual") {
 
   console.log("[index] stopping modules", { reason });
 
+  await stopMissedTracker(reason).catch(() => {});
   await stopActivePositionList(reason).catch(() => {});
   await stopWalletReporter(reason).catch(() => {});
   await stopSellCaller(reason).catch(() => {});
   await stopBuyCaller(reason).catch(() => {});
+  await stopMigrationSniper(reason).catch(() => {});
   await stopBondingDetector(reason).catch(() => {});
   await stopCrashProtection(reason).catch(() => {});
 
+  // candles are persisted on an unref'd timer; write the pending window now
+  try {
+    flushCandles();
+  } catch (err) {
+    console.error("[index] candle flush failed:", err?.message || err);
+  }
+
   console.log("[index] all stopped");
 }
 
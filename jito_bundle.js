@@ -0,0 +1,278 @@
+// jito_bundle.js (ESM)
+// Optional Jito bundle path for migration buys and exits.
+//
+// The swap instructions plus a tip transfer to a Jito tip account are signed
+// as one transaction and submitted as a single-tx bundle to the block engine
+// (JITO_BLOCK_ENGINE_URL). A bundle is all-or-nothing and never sits in the
+// public mempool, so it cannot be sandwiched.
+//
+// Status is polled via getInflightBundleStatuses and the signature itself
+// until JITO_BUNDLE_TIMEOUT_MS. If the bundle does not land, the same signed
+// bytes are handed to tx_manager.js (so the bundle and the fallback can never
+// both execute), which rebuilds without the tip once they expire. With
+// JITO_FALLBACK_RPC=0 the signature is watched until its blockhash expires
+// instead: until then the bundle can still land.
+//
+// Transient RPC errors while polling are retried, and engine / RPC text stays
+// out of thrown messages (kept as `cause`): callers fail over on RPC errors,
+// which must never re-run a trade whose bytes may still land.
+//
+// Tip sizing: max(level base, trade lamports x JITO_TIP_BPS), clamped to
+// [JITO_TIP_MIN_LAMPORTS, JITO_TIP_MAX_LAMPORTS].
+//   level    env                         default
+//   low      JITO_TIP_LAMPORTS_LOW       10_000
+//   normal   JITO_TIP_LAMPORTS_NORMAL    50_000
+//   urgent   JITO_TIP_LAMPORTS_URGENT    200_000
+//
+// When to bundle: JITO_BUNDLE_BUYS / JITO_BUNDLE_SELLS = off | urgent | all.
+
+import "dotenv/config";
+import { PublicKey, SystemProgram } from "@solana/web3.js";
+import { signTransaction, sendTransaction } from "./tx_manager.js";
+
+const COMMITMENT = process.env.COMMITMENT || "confirmed";
+const BLOCK_ENGINE_URL = String(process.env.JITO_BLOCK_ENGINE_URL || "https://mainnet.block-engine.jito.wtf").replace(/\/+$/, "");
+const AUTH_UUID = process.env.JITO_AUTH_UUID || "";
+const HTTP_TIMEOUT_MS = Number(process.env.JITO_HTTP_TIMEOUT_MS || 5_000);
+const BUNDLE_TIMEOUT_MS = Number(process.env.JITO_BUNDLE_TIMEOUT_MS || 20_000);
+const POLL_MS = Number(process.env.JITO_POLL_MS || 1_000);
+const FALLBACK_RPC = process.env.JITO_FALLBACK_RPC !== "0";
+// longer than a blockhash lifetime (~150 blocks)
+const POLL_GIVEUP_MS = Number(process.env.JITO_POLL_GIVEUP_MS || 120_000);
+
+const TIP_BASE = {
+  low: Number(process.env.JITO_TIP_LAMPORTS_LOW || 10_000),
+  normal: Number(process.env.JITO_TIP_LAMPORTS_NORMAL || 50_000),
+  urgent: Number(process.env.JITO_TIP_LAMPORTS_URGENT || 200_000),
+};
+const TIP_BPS = Number(process.env.JITO_TIP_BPS || 10);
+const TIP_MIN_LAMPORTS = Number(process.env.JITO_TIP_MIN_LAMPORTS || 1_000);
+const TIP_MAX_LAMPORTS = Number(process.env.JITO_TIP_MAX_LAMPORTS || 1_000_000);
+
+const BUNDLE_BUYS = String(process.env.JITO_BUNDLE_BUYS || "off").toLowerCase();
+const BUNDLE_SELLS = String(process.env.JITO_BUNDLE_SELLS || "off").toLowerCase();
+
+// mainnet tip accounts (getTipAccounts); override with JITO_TIP_ACCOUNTS
+const DEFAULT_TIP_ACCOUNTS = [
+  "96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5",
+  "HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe",
+  "Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY",
+  "ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49",
+  "DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh",
+  "ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt",
+  "DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL",
+  "3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT",
+];
+
+const TIP_ACCOUNTS = (process.env.JITO_TIP_ACCOUNTS
+  ? process.env.JITO_TIP_ACCOUNTS.split(",").map((s) => s.trim()).filter(Boolean)
+  : DEFAULT_TIP_ACCOUNTS
+).map((a) => new PublicKey(a));
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ---------------- block engine JSON-RPC ----------------
+async function blockEngineCall(pathname, method, params) {
+  const res = await fetch(`${BLOCK_ENGINE_URL}${pathname}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(AUTH_UUID ? { "x-jito-auth": AUTH_UUID } : {}),
+    },
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params }),
+    signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+  });
+
+  const json = await res.json().catch(() => null);
+  if (!res.ok || json?.error) {
+    throw new Error(`${method} failed (HTTP ${res.status}): ${json?.error?.message || res.statusText}`);
+  }
+  return json.result;
+}
+
+async function sendBundle(rawTxs) {
+  return blockEngineCall("/api/v1/bundles", "sendBundle", [
+    rawTxs.map((raw) => Buffer.from(raw).toString("base64")),
+    { encoding: "base64" },
+  ]);
+}
+
+// Pending | Landed | Failed | Invalid (unknown / older than 5 minutes)
+async function getInflightStatus(bundleId) {
+  const result = await blockEngineCall("/api/v1/getInflightBundleStatuses", "getInflightBundleStatuses", [[bundleId]]);
+  return result?.value?.[0] || null;
+}
+
+// ---------------- tips ----------------
+/**
+ * Tip for a bundle at `level`, scaled by the trade size.
+ * @param {{ level?: string, tradeLamports?: number|bigint|string }} [opts]
+ */
+export function computeTipLamports({ level = "normal", tradeLamports = 0 } = {}) {
+  const base = TIP_BASE[level] ?? TIP_BASE.normal;
+  const scaled = Math.floor((Number(tradeLamports) || 0) * TIP_BPS / 10_000);
+  return Math.min(TIP_MAX_LAMPORTS, Math.max(TIP_MIN_LAMPORTS, base, scaled));
+}
+
+function tipInstruction(payer, lamports) {
+  const tipAccount = TIP_ACCOUNTS[Math.floor(Math.random() * TIP_ACCOUNTS.length)];
+  return SystemProgram.transfer({ fromPubkey: payer, toPubkey: tipAccount, lamports });
+}
+
+/** Whether a buy / sell at `level` should go through a bundle (JITO_BUNDLE_BUYS / JITO_BUNDLE_SELLS). */
+export function shouldUseBundle(kind, level = "normal") {
+  const mode = kind === "buy" ? BUNDLE_BUYS : BUNDLE_SELLS;
+  if (mode === "all") return true;
+  if (mode === "urgent") return level === "urgent";
+  return false;
+}
+
+// ---------------- bundle lifecycle ----------------
+function isConfirmed(status) {
+  const level = status?.confirmationStatus;
+  if (COMMITMENT === "finalized") return level === "finalized";
+  return level === "confirmed" || level === "finalized";
+}
+
+// One signature status round: landed | failed | expired | pending | poll_error
+async function checkSignature(conn, signed) {
+  try {
+    const { value } = await conn.getSignatureStatuses([signed.signature]);
+    const status = value?.[0] || null;
+
+    if (status?.err) return { status: "failed", slot: status.slot, err: status.err };
+    if (isConfirmed(status)) return { status: "landed", slot: status.slot };
+    if (status) return { status: "pending", seen: true };
+
+    const height = await conn.getBlockHeight(COMMITMENT);
+    return height > signed.lastValidBlockHeight ? { status: "expired" } : { status: "pending", seen: false };
+  } catch (e) {
+    console.log("[JITO_BUNDLE] status poll failed:", e?.message || e);
+    return { status: "poll_error" };
+  }
+}
+
+async function waitForBundle(conn, bundleId, signed) {
+  const deadline = Date.now() + BUNDLE_TIMEOUT_MS;
+  let engineStatus = null;
+
+  while (Date.now() < deadline) {
+    await sleep(POLL_MS);
+
+    const sig = await checkSignature(conn, signed);
+    if (sig.status === "landed" || sig.status === "failed" || sig.status === "expired") {
+      return { ...sig, engineStatus };
+    }
+
+    try {
+      engineStatus = (await getInflightStatus(bundleId))?.status || engineStatus;
+    } catch (e) {
+      console.log("[JITO_BUNDLE] engine status poll failed:", e?.message || e);
+    }
+
+    // dropped by the block engine; still pending on chain is handled above
+    if (engineStatus === "Failed" && sig.status === "pending" && !sig.seen) {
+      return { status: "not_landed", engineStatus };
+    }
+  }
+
+  return { status: "not_landed", engineStatus: engineStatus || "Timeout" };
+}
+
+// No RPC fallback: the signed bytes can land until their blockhash expires
+async function waitForExpiry(conn, signed) {
+  let failingSince = null;
+
+  for (;;) {
+    const sig = await checkSignature(conn, signed);
+    if (sig.status === "landed" || sig.status === "failed" || sig.status === "expired") return sig;
+
+    if (sig.status === "poll_error") {
+      failingSince ??= Date.now();
+      if (Date.now() - failingSince >= POLL_GIVEUP_MS) return { status: "unknown" };
+    } else failingSince = null;
+
+    await sleep(POLL_MS);
+  }
+}
+
+/**
+ * Submit `instructions` + tip as a bundle, falling back to tx_manager RPC sending.
+ * @param {import("@solana/web3.js").Connection} conn
+ * @param {import("@solana/web3.js").TransactionInstruction[]} instructions - already priced / CU-limited
+ * @param {import("@solana/web3.js").Keypair[]} signers - signers[0] pays the tip
+ * @param {{ label?: string, level?: string, tradeLamports?: number|bigint|string }} [opts]
+ * @returns {Promise<{ status: string, signature: string, via: "bundle"|"rpc", bundleId: string|null, tipLamports: number, slot?: number, err?: any }>}
+ */
+export async function submitBundle(conn, instructions, signers, { label = "tx", level = "normal", tradeLamports = 0 } = {}) {
+  const tipLamports = computeTipLamports({ level, tradeLamports });
+  const signed = await signTransaction(
+    conn,
+    [...instructions, tipInstruction(signers[0].publicKey, tipLamports)],
+    signers
+  );
+
+  let bundleId = null;
+  let outcome;
+
+  try {
+    bundleId = await sendBundle([signed.raw]);
+    console.log("[JITO_BUNDLE] sent", { label, bundleId, signature: signed.signature, tipLamports, level });
+  } catch (e) {
+    // a transport error does not prove the engine never got it: the signature stays watched
+    console.log("[JITO_BUNDLE] submit failed:", e?.message || e);
+  }
+
+  outcome = bundleId
+    ? await waitForBundle(conn, bundleId, signed)
+    : { status: "not_landed", engineStatus: "SendError" };
+
+  console.log("[JITO_BUNDLE]", { label, bundleId, signature: signed.signature, ...outcome });
+
+  if (outcome.status === "landed" || outcome.status === "failed") {
+    return { ...outcome, signature: signed.signature, via: "bundle", bundleId, tipLamports };
+  }
+
+  if (!FALLBACK_RPC) {
+    if (outcome.status === "not_landed") {
+      console.log("[JITO_BUNDLE] not landed yet, watching until expiry", { label, engineStatus: outcome.engineStatus });
+      outcome = { ...(await waitForExpiry(conn, signed)), engineStatus: outcome.engineStatus };
+      console.log("[JITO_BUNDLE]", { label, bundleId, signature: signed.signature, ...outcome });
+    }
+    return { ...outcome, signature: signed.signature, via: "bundle", bundleId, tipLamports };
+  }
+
+  // same bytes first (bundle and fallback cannot both execute), then a tipless rebuild
+  console.log("[JITO_BUNDLE] not landed, falling back to RPC", { label, engineStatus: outcome.engineStatus });
+  const signature = await sendTransaction(conn, instructions, signers, {
+    label: `${label}_fallback`,
+    signed: outcome.status === "expired" ? null : signed,
+  });
+
+  return { status: "landed", signature, via: "rpc", bundleId, tipLamports };
+}
+
+const ERROR_CODES = { failed: "TX_FAILED", expired: "BUNDLE_NOT_LANDED", unknown: "TX_UNCONFIRMED" };
+
+/**
+ * Drop-in for tx_manager sendTransaction(): returns the landed signature,
+ * throws with err.code TX_FAILED / TX_EXPIRED / TX_UNCONFIRMED /
+ * BUNDLE_NOT_LANDED (expired, can no longer land) otherwise.
+ */
+export async function sendBundledTransaction(conn, instructions, signers, opts = {}) {
+  const res = await submitBundle(conn, instructions, signers, opts);
+
+  if (res.status === "landed") return res.signature;
+
+  const messages = {
+    failed: `Bundle tx failed: ${res.signature}`,
+    expired: `Bundle ${res.bundleId || "(unsent)"} did not land before its blockhash expired: ${res.signature}`,
+    unknown: `Bundle tx sent but outcome unknown, check before retrying: ${res.signature}`,
+  };
+  const error = new Error(messages[res.status] || messages.unknown, {
+    cause: { err: res.err ?? null, engineStatus: res.engineStatus ?? null },
+  });
+  error.code = ERROR_CODES[res.status] || ERROR_CODES.unknown;
+  error.signatures = [res.signature];
+  throw error;
+}
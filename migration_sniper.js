@@ -0,0 +1,426 @@
+// migration_sniper.js (ESM)
+// Migration sniping mode: watches curves close to completion and buys the
+// PumpSwap pool as soon as it exists.
+//
+//   1. watch    candidates with progress >= SNIPE_WATCH_PROGRESS_PCT, plus mints
+//               handed off by buyCaller when Stage 4 finds no migrated pool yet
+//   2. checks   SNIPE_STAGES run once while watching (buy_pipeline.js), so
+//               nothing slow is left for the migration moment
+//   3. complete bonding-curve `complete` flag (curve_progress.js), slot recorded
+//   4. pool     canonical pool (canonicalPumpPoolPda) exists with quote liquidity
+//               >= SNIPE_MIN_POOL_SOL; pool creation slot from its first signature
+//   5. buy      executeAmmMigrationBuy with the sniper's own size / slippage /
+//               hourly cap, unless more than SNIPE_MAX_SLOT_DELAY slots passed
+//               since the pool was created (or the curve completed), or the
+//               mint is already held / being bought by buyCaller
+//
+// Lifecycle matches the other modules: idempotent start, no overlapping ticks,
+// stop waits for the in-flight tick.
+
+import "dotenv/config";
+import path from "path";
+import fetch from "node-fetch";
+import { Connection, PublicKey } from "@solana/web3.js";
+import { canonicalPumpPoolPda } from "@pump-fun/pump-sdk";
+import { OnlinePumpAmmSdk } from "@pump-fun/pump-swap-sdk";
+import { withRpcLimit } from "./rpcLimiter.js";
+import { saveMapToFile, loadMapFromFile } from "./memoryHelper.js";
+import { refreshCurveProgress } from "./curve_progress.js";
+import { listCandidates, removeCandidate } from "./candidate_store.js";
+import { runBuyPipeline } from "./buy_pipeline.js";
+import { appendDecision } from "./decision_journal.js";
+import "./buy_stages.js";
+import { executeAmmMigrationBuy, loadActivePositions } from "./swapexecutorAMM_pumpswap.js";
+import { computeBuySize } from "./position_sizing.js";
+
+const SNIPE_STATE_FILE = path.resolve(process.env.SNIPE_STATE_FILE || "./migration_sniper.json");
+// buyCaller's buying / bought state, read-only here
+const BUY_TOKEN_FILE = path.resolve(process.env.BUY_TOKEN_FILE || "./buyToken.json");
+
+const SNIPE_LOOP_MS = Number(process.env.SNIPE_LOOP_MS || 2_000);
+const WATCH_PROGRESS_PCT = Number(process.env.SNIPE_WATCH_PROGRESS_PCT || 90);
+const WATCH_TTL_MS = Number(process.env.SNIPE_WATCH_TTL_MS || 2 * 60 * 60 * 1000);
+const MAX_WATCH = Number(process.env.SNIPE_MAX_WATCH || 50);
+// finished entries are kept this long so a mint is not watched twice
+const RETAIN_MS = Number(process.env.SNIPE_RETAIN_MS || 24 * 60 * 60 * 1000);
+
+// ~0.4s per slot: 150 slots is about one minute
+const MAX_SLOT_DELAY = Number(process.env.SNIPE_MAX_SLOT_DELAY || 150);
+// give up when no pool shows up this many slots after the curve completed
+const POOL_WAIT_SLOTS = Number(process.env.SNIPE_POOL_WAIT_SLOTS || 1_500);
+const SIG_LOOKBACK = Number(process.env.SNIPE_SIG_LOOKBACK || 100);
+
+const MIN_POOL_SOL = Number(process.env.SNIPE_MIN_POOL_SOL || 50);
+const SNIPE_SOL_AMOUNT = Number(process.env.SNIPE_SOL_AMOUNT || 0.05);
+const SNIPE_SLIPPAGE_BPS = Number(process.env.SNIPE_SLIPPAGE_BPS || 1_000);
+const MAX_SNIPES_PER_HOUR = Number(process.env.SNIPE_MAX_PER_HOUR || 3);
+const SNIPE_FEE_LEVEL = process.env.SNIPE_FEE_LEVEL || "urgent";
+
+const SNIPE_STAGES = String(process.env.SNIPE_STAGES ?? "security,token2022")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+const RPC_URL = process.env.SNIPE_RPC_URL || process.env.RPC_URL_1;
+
+const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID;
+
+// mint -> { mint, source, addedAt, status, reason, checks, completeSlot,
+//           completeAt, pool, poolSlot, poolSol, signature, snipedAt }
+// status: watching | sniped | skipped | failed
+const SNIPES = loadMapFromFile(SNIPE_STATE_FILE);
+
+let connection = null;
+let sniperTimer = null;
+let sniperTickRunning = false;
+
+// ---------------- helpers ----------------
+function persist() {
+  saveMapToFile(SNIPES, SNIPE_STATE_FILE);
+}
+
+function getConnection() {
+  if (!connection) {
+    if (!RPC_URL) throw new Error("SNIPE_RPC_URL or RPC_URL_1 is required");
+    connection = new Connection(RPC_URL, "confirmed");
+  }
+  return connection;
+}
+
+async function sendTelegram(text) {
+  if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID) return;
+
+  try {
+    await fetch(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ chat_id: TELEGRAM_CHAT_ID, text, disable_web_page_preview: true }),
+    });
+  } catch (err) {
+    console.error("[SNIPER] telegram error:", err?.message || err);
+  }
+}
+
+function watching() {
+  return [...SNIPES.values()].filter((s) => s.status === "watching");
+}
+
+// Open position, or a buyCaller buy in flight / done (read from its file:
+// buyCaller_bonding.js imports this module)
+function alreadyHeld(mint) {
+  if (loadActivePositions().some((p) => p?.mint === mint)) return true;
+
+  const buyState = loadMapFromFile(BUY_TOKEN_FILE).get(mint);
+  return buyState?.status === "buying" || buyState?.status === "bought";
+}
+
+function snipesLastHour(now) {
+  let n = 0;
+  for (const s of SNIPES.values()) {
+    if (s.status === "sniped" && now - (s.snipedAt || 0) < 60 * 60 * 1000) n += 1;
+  }
+  return n;
+}
+
+function finish(rec, status, reason, extra = {}) {
+  Object.assign(rec, extra, { status, reason, finishedAt: Date.now() });
+
+  appendDecision({
+    mint: rec.mint,
+    stage: "migration_snipe",
+    status: status === "sniped" ? "pass" : "reject",
+    reason,
+    inputs: { source: rec.source, completeSlot: rec.completeSlot, poolSlot: rec.poolSlot },
+    data: { pool: rec.pool, poolSol: rec.poolSol, signature: rec.signature ?? null, ...extra },
+  });
+
+  console.log("[SNIPER]", { mint: rec.mint, status, reason });
+}
+
+// ---------------- PUBLIC API ----------------
+/**
+ * Add a mint to the migration watch list.
+ * @param {string} mint
+ * @param {{ source?: string, checked?: boolean }} [opts] - checked: pre-buy
+ *   checks already passed (e.g. buyCaller ran them before Stage 4)
+ */
+export function watchMigration(mint, { source = "manual", checked = false } = {}) {
+  const key = String(mint || "").trim();
+  if (!key || SNIPES.has(key)) return false;
+
+  if (watching().length >= MAX_WATCH) {
+    console.log("[SNIPER] watch list full", { mint: key, source });
+    return false;
+  }
+
+  SNIPES.set(key, {
+    mint: key,
+    source,
+    addedAt: Date.now(),
+    status: "watching",
+    reason: null,
+    checks: checked || !SNIPE_STAGES.length ? "pass" : null,
+    completeSlot: null,
+    completeAt: null,
+    pool: null,
+    poolSlot: null,
+    poolSol: null,
+  });
+  persist();
+
+  console.log("[SNIPER] watching for migration", { mint: key, source });
+  return true;
+}
+
+export function isMigrationSniperRunning() {
+  return !!sniperTimer;
+}
+
+export function getSnipeState(mint) {
+  return SNIPES.get(String(mint || "").trim()) || null;
+}
+
+/**
+ * Stop watching a mint bought elsewhere (buyCaller). The entry is finished,
+ * not deleted, so syncFromCandidates does not watch it again.
+ * @returns {boolean} true when a watching entry was dropped
+ */
+export function dropMigrationWatch(mint, reason = "already_held") {
+  const rec = getSnipeState(mint);
+  if (rec?.status !== "watching") return false;
+
+  finish(rec, "skipped", reason);
+  persist();
+  return true;
+}
+
+// ---------------- STEPS ----------------
+function syncFromCandidates() {
+  for (const c of listCandidates()) {
+    const pct = Number(c?.progress?.progressPct);
+    if (c?.progress?.complete || (Number.isFinite(pct) && pct >= WATCH_PROGRESS_PCT)) {
+      watchMigration(c.mint, { source: "candidate_store" });
+    }
+  }
+}
+
+async function runChecks(rec) {
+  const ctx = { mint: rec.mint, inputs: { source: "migration_sniper" }, results: {} };
+  const outcome = await runBuyPipeline(ctx, { order: SNIPE_STAGES });
+
+  if (outcome.status === "pass") rec.checks = "pass";
+  else if (outcome.status === "reject") finish(rec, "skipped", outcome.reason || "checks_failed");
+}
+
+// Slot of the pool's first transaction; null while none is indexed yet.
+// A busy fresh pool passes SIG_LOOKBACK swaps within one tick, so pages are
+// walked back (`before`) while they stay inside the MAX_SLOT_DELAY window;
+// a page reaching past it returns its oldest slot (too late to snipe anyway).
+async function fetchPoolCreationSlot(conn, poolPk, slot) {
+  const minSlot = slot - MAX_SLOT_DELAY;
+  let before;
+  let oldest = null;
+
+  for (;;) {
+    const sigs = await withRpcLimit(() =>
+      conn.getSignaturesForAddress(poolPk, { limit: SIG_LOOKBACK, before }, "confirmed")
+    );
+    if (!sigs.length) return oldest?.slot ?? null;
+
+    oldest = sigs[sigs.length - 1];
+    if (sigs.length < SIG_LOOKBACK || oldest.slot < minSlot) return oldest.slot;
+    before = oldest.signature;
+  }
+}
+
+async function fetchLivePool(conn, mint) {
+  const mintPk = new PublicKey(mint);
+  const poolPk = canonicalPumpPoolPda(mintPk);
+
+  let pool;
+  try {
+    pool = await withRpcLimit(() => new OnlinePumpAmmSdk(conn).fetchPool(poolPk));
+  } catch {
+    return null;
+  }
+  if (!pool?.baseMint?.equals?.(mintPk)) return null;
+
+  const bal = await withRpcLimit(() =>
+    conn.getTokenAccountBalance(pool.poolQuoteTokenAccount, "confirmed")
+  );
+
+  return {
+    poolPk,
+    poolSol: Number(bal?.value?.uiAmountString ?? bal?.value?.uiAmount ?? 0),
+  };
+}
+
+async function snipe(rec, slot) {
+  const now = Date.now();
+
+  if (alreadyHeld(rec.mint)) {
+    finish(rec, "skipped", "already_held");
+    return;
+  }
+
+  if (snipesLastHour(now) >= MAX_SNIPES_PER_HOUR) {
+    finish(rec, "skipped", "hourly_limit");
+    return;
+  }
+
+  const delay = slot - (rec.poolSlot ?? rec.completeSlot);
+  if (delay > MAX_SLOT_DELAY) {
+    finish(rec, "skipped", "slot_delay_exceeded", { slotDelay: delay });
+    return;
+  }
+
+  try {
+    // SNIPE_SOL_AMOUNT unless POSITION_SIZING_MODE=risk
+    const size = await computeBuySize({ strategy: "snipe", liquiditySol: rec.poolSol, fixedSol: SNIPE_SOL_AMOUNT });
+    if (!size.ok) {
+      finish(rec, "skipped", String(size.reason).toLowerCase(), { sizing: size.rationale });
+      return;
+    }
+
+    // pool already verified in fetchLivePool: no second lookup on the hot path
+    const res = await executeAmmMigrationBuy({
+      mint: rec.mint,
+      poolPk: new PublicKey(rec.pool),
+      amountRaw: size.amountLamports,
+      slippageFrac: SNIPE_SLIPPAGE_BPS / 10_000,
+      feeLevel: SNIPE_FEE_LEVEL,
+      sizing: size.rationale,
+    });
+
+    if (!res?.ok) {
+      finish(rec, "failed", String(res?.reason || "buy_declined").toLowerCase());
+      return;
+    }
+
+    finish(rec, "sniped", "buy_success", {
+      signature: res.signature,
+      snipedAt: Date.now(),
+      slotDelay: delay,
+    });
+
+    await removeCandidate(rec.mint, "migration_snipe").catch(() => {});
+    await sendTelegram(
+      `🎯 Migration snipe ${rec.mint}\nPool: ${rec.pool}\nLiquidity: ${rec.poolSol.toFixed(2)} SOL\nSlot delay: ${delay}\nTx: https://solscan.io/tx/${res.signature}`
+    );
+  } catch (err) {
+    finish(rec, "failed", "buy_execution_fail", { error: err?.message || String(err) });
+    await sendTelegram(`❌ Migration snipe failed for ${rec.mint}: ${err?.message || err}`);
+  }
+}
+
+// ---------------- CORE LOOP ----------------
+async function runSniperTick(label) {
+  if (sniperTickRunning) return;
+
+  sniperTickRunning = true;
+
+  try {
+    const conn = getConnection();
+    const now = Date.now();
+
+    for (const rec of SNIPES.values()) {
+      if (rec.status !== "watching" && now - (rec.finishedAt || rec.addedAt) > RETAIN_MS) {
+        SNIPES.delete(rec.mint);
+      }
+    }
+
+    syncFromCandidates();
+
+    for (const rec of watching()) {
+      if (rec.completeSlot == null && now - rec.addedAt > WATCH_TTL_MS) {
+        finish(rec, "skipped", "watch_expired");
+      } else if (!rec.checks) {
+        await runChecks(rec);
+      }
+    }
+
+    const active = watching();
+    if (!active.length) return;
+
+    const slot = await withRpcLimit(() => conn.getSlot("confirmed"));
+
+    // ---- complete flag ----
+    const pending = active.filter((r) => r.completeSlot == null).map((r) => r.mint);
+    if (pending.length) {
+      const snaps = await refreshCurveProgress(conn, pending, { slot });
+      for (const snap of snaps) {
+        if (!snap.complete) continue;
+        const rec = SNIPES.get(snap.mint);
+        rec.completeSlot = slot;
+        rec.completeAt = now;
+        console.log("[SNIPER] curve complete", { mint: snap.mint, slot });
+      }
+    }
+
+    // ---- pool creation ----
+    for (const rec of watching()) {
+      if (rec.completeSlot == null || rec.checks !== "pass") continue;
+
+      const live = await fetchLivePool(conn, rec.mint);
+
+      if (!live) {
+        if (slot - rec.completeSlot > POOL_WAIT_SLOTS) finish(rec, "skipped", "pool_not_created");
+        continue;
+      }
+
+      rec.pool = live.poolPk.toBase58();
+      rec.poolSol = live.poolSol;
+      // not indexed yet: the delay is measured from the curve completion
+      if (rec.poolSlot == null) rec.poolSlot = await fetchPoolCreationSlot(conn, live.poolPk, slot);
+
+      if (live.poolSol < MIN_POOL_SOL) {
+        console.log("[SNIPER] pool liquidity below minimum", { mint: rec.mint, poolSol: live.poolSol });
+        continue;
+      }
+
+      await snipe(rec, slot);
+    }
+  } catch (err) {
+    console.error(`[SNIPER] ${label} error:`, String(err?.message || err));
+  } finally {
+    persist();
+    sniperTickRunning = false;
+  }
+}
+
+// ---------------- START / STOP ----------------
+export function startMigrationSniper() {
+  if (sniperTimer) return;
+
+  console.log("[SNIPER] started", {
+    SNIPE_LOOP_MS,
+    WATCH_PROGRESS_PCT,
+    MAX_SLOT_DELAY,
+    MIN_POOL_SOL,
+    SNIPE_SOL_AMOUNT,
+    MAX_SNIPES_PER_HOUR,
+    stages: SNIPE_STAGES,
+    watching: watching().length,
+  });
+
+  sniperTimer = setInterval(() => {
+    void runSniperTick("loop");
+  }, SNIPE_LOOP_MS);
+
+  void runSniperTick("initial");
+}
+
+export async function stopMigrationSniper(reason = "manual") {
+  if (!sniperTimer) return;
+
+  clearInterval(sniperTimer);
+  sniperTimer = null;
+
+  while (sniperTickRunning) {
+    await new Promise((r) => setTimeout(r, 200));
+  }
+
+  persist();
+  console.log("[SNIPER] stopped", { reason });
+}
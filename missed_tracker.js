@@ -0,0 +1,287 @@
+// missed_tracker.js (ESM)
+// Follows rejected / timed-out candidates for a while after buyCaller drops
+// them and records the PnL we would have had buying at rejection time.
+// Results are aggregated per rejection reason and reported to Telegram, so
+// filters that save money can be told apart from filters that cost winners.
+
+import "dotenv/config";
+import path from "path";
+import fetch from "node-fetch";
+import { getPumpFunPriceOnce } from "./pumpfun_price.js";
+import { saveMapToFile, loadMapFromFile } from "./memoryHelper.js";
+
+const MISSED_FILE = path.resolve(process.env.MISSED_TRACKER_FILE || "./missed_tracker.json");
+
+const SAMPLE_MS = Number(process.env.MISSED_SAMPLE_MS || 60_000);
+const WINDOW_MS = Number(process.env.MISSED_WINDOW_MS || 6 * 60 * 60 * 1000);
+const RETAIN_MS = Number(process.env.MISSED_RETAIN_MS || 7 * 24 * 60 * 60 * 1000);
+const REPORT_MS = Number(process.env.MISSED_REPORT_MS || 6 * 60 * 60 * 1000);
+const MAX_TRACKED = Number(process.env.MISSED_MAX_TRACKED || 200);
+
+// a rejected mint that reached this gain counts as a missed winner
+const WINNER_PCT = Number(process.env.MISSED_WINNER_PCT || 100);
+
+const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID;
+
+// mint -> { mint, reason, stage, rejectedAt, entryPriceSol, lastPriceSol,
+//           maxPriceSol, minPriceSol, samples, lastSampleAt, done, doneAt }
+const MISSED = loadMapFromFile(MISSED_FILE);
+
+let missedTimer = null;
+let missedTickRunning = false;
+let lastReportAt = Date.now();
+
+// ---------------- helpers ----------------
+function persist() {
+  saveMapToFile(MISSED, MISSED_FILE);
+}
+
+function pnlPct(entry, price) {
+  const e = Number(entry);
+  const p = Number(price);
+  if (!Number.isFinite(e) || !Number.isFinite(p) || e <= 0) return null;
+  return ((p - e) / e) * 100;
+}
+
+async function sendTelegram(text) {
+  if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID) return;
+
+  try {
+    await fetch(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        chat_id: TELEGRAM_CHAT_ID,
+        text,
+        disable_web_page_preview: true,
+      }),
+    });
+  } catch (err) {
+    console.error("[MISSED] telegram error:", err?.message || err);
+  }
+}
+
+function activeCount() {
+  let n = 0;
+  for (const rec of MISSED.values()) if (!rec.done) n += 1;
+  return n;
+}
+
+// ---------------- PUBLIC API ----------------
+/**
+ * Start following a dropped candidate. The entry price is the first price
+ * sampled after rejection (or priceSol when the caller already has it).
+ */
+export function trackRejection(mint, reason, { stage = null, priceSol = null } = {}) {
+  const cleanMint = String(mint || "").trim();
+  if (!cleanMint || MISSED.has(cleanMint)) return false;
+
+  if (activeCount() >= MAX_TRACKED) {
+    console.log("[MISSED] tracker full, not following", { mint: cleanMint, reason });
+    return false;
+  }
+
+  const p = Number(priceSol);
+  const entry = Number.isFinite(p) && p > 0 ? p : null;
+
+  MISSED.set(cleanMint, {
+    mint: cleanMint,
+    reason: String(reason || "unknown"),
+    stage,
+    rejectedAt: Date.now(),
+    entryPriceSol: entry,
+    lastPriceSol: entry,
+    maxPriceSol: entry,
+    minPriceSol: entry,
+    samples: entry ? 1 : 0,
+    lastSampleAt: entry ? Date.now() : null,
+    done: false,
+    doneAt: null,
+  });
+  persist();
+
+  console.log("[MISSED] following rejected mint", { mint: cleanMint, reason });
+  return true;
+}
+
+/**
+ * Hypothetical PnL per rejection reason (finished and in-window mints).
+ * @returns {Array<{ reason, count, finished, avgPnlPct, avgMaxPnlPct, savedCount, missedWinners, bestMint, bestMaxPnlPct }>}
+ */
+export function getMissedReport() {
+  const byReason = new Map();
+
+  for (const rec of MISSED.values()) {
+    const finalPnl = pnlPct(rec.entryPriceSol, rec.lastPriceSol);
+    const maxPnl = pnlPct(rec.entryPriceSol, rec.maxPriceSol);
+    if (finalPnl == null) continue;
+
+    let agg = byReason.get(rec.reason);
+    if (!agg) {
+      agg = {
+        reason: rec.reason,
+        count: 0,
+        finished: 0,
+        sumPnl: 0,
+        sumMaxPnl: 0,
+        savedCount: 0,
+        missedWinners: 0,
+        bestMint: null,
+        bestMaxPnlPct: -Infinity,
+      };
+      byReason.set(rec.reason, agg);
+    }
+
+    agg.count += 1;
+    if (rec.done) agg.finished += 1;
+    agg.sumPnl += finalPnl;
+    agg.sumMaxPnl += maxPnl;
+    if (finalPnl < 0) agg.savedCount += 1;
+    if (maxPnl >= WINNER_PCT) agg.missedWinners += 1;
+    if (maxPnl > agg.bestMaxPnlPct) {
+      agg.bestMaxPnlPct = maxPnl;
+      agg.bestMint = rec.mint;
+    }
+  }
+
+  return [...byReason.values()]
+    .map(({ sumPnl, sumMaxPnl, ...agg }) => ({
+      ...agg,
+      avgPnlPct: sumPnl / agg.count,
+      avgMaxPnlPct: sumMaxPnl / agg.count,
+    }))
+    .sort((a, b) => b.missedWinners - a.missedWinners || b.avgPnlPct - a.avgPnlPct);
+}
+
+export async function sendMissedReport() {
+  const rows = getMissedReport();
+  if (!rows.length) return false;
+
+  const lines = rows.map(
+    (r) =>
+      `${r.reason}: n=${r.count} (done ${r.finished}) | avg ${r.avgPnlPct.toFixed(1)}% | ` +
+      `avg peak ${r.avgMaxPnlPct.toFixed(1)}% | saved ${r.savedCount} | ` +
+      `missed winners ${r.missedWinners}` +
+      (r.missedWinners ? ` (best ${r.bestMint} +${r.bestMaxPnlPct.toFixed(0)}%)` : "")
+  );
+
+  const text =
+    `📉 Missed-opportunity report (window ${Math.round(WINDOW_MS / 3_600_000)}h, winner ≥ ${WINNER_PCT}%)\n` +
+    lines.join("\n");
+
+  console.log("[MISSED] report\n" + text);
+  await sendTelegram(text);
+  return true;
+}
+
+// ---------------- CORE LOOP ----------------
+async function sampleOne(rec, now) {
+  let priceSol;
+  try {
+    const res = await getPumpFunPriceOnce(rec.mint);
+    priceSol = Number(res?.priceSol);
+  } catch (err) {
+    console.log("[MISSED] price fetch failed", { mint: rec.mint, error: err?.message || err });
+    return;
+  }
+
+  if (!Number.isFinite(priceSol) || priceSol <= 0) return;
+
+  if (rec.entryPriceSol == null) {
+    rec.entryPriceSol = priceSol;
+    rec.maxPriceSol = priceSol;
+    rec.minPriceSol = priceSol;
+  }
+
+  rec.lastPriceSol = priceSol;
+  rec.maxPriceSol = Math.max(rec.maxPriceSol, priceSol);
+  rec.minPriceSol = Math.min(rec.minPriceSol, priceSol);
+  rec.samples += 1;
+  rec.lastSampleAt = now;
+}
+
+async function runMissedTick(label) {
+  if (missedTickRunning) return;
+
+  missedTickRunning = true;
+
+  try {
+    const now = Date.now();
+
+    for (const rec of MISSED.values()) {
+      if (!missedTimer && label !== "initial") break;
+
+      if (rec.done) {
+        if (now - (rec.doneAt || rec.rejectedAt) > RETAIN_MS) MISSED.delete(rec.mint);
+        continue;
+      }
+
+      await sampleOne(rec, now);
+
+      if (now - rec.rejectedAt >= WINDOW_MS) {
+        rec.done = true;
+        rec.doneAt = now;
+        console.log("[MISSED] window closed", {
+          mint: rec.mint,
+          reason: rec.reason,
+          pnlPct: pnlPct(rec.entryPriceSol, rec.lastPriceSol),
+          maxPnlPct: pnlPct(rec.entryPriceSol, rec.maxPriceSol),
+        });
+      }
+    }
+
+    persist();
+
+    if (now - lastReportAt >= REPORT_MS) {
+      lastReportAt = now;
+      await sendMissedReport();
+    }
+  } catch (err) {
+    console.error(`[MISSED] ${label} error:`, String(err?.message || err));
+  } finally {
+    missedTickRunning = false;
+  }
+}
+
+// ---------------- START / STOP ----------------
+export function startMissedTracker() {
+  if (missedTimer) return;
+
+  console.log("[MISSED] started", {
+    SAMPLE_MS,
+    WINDOW_MS,
+    REPORT_MS,
+    tracked: MISSED.size,
+    active: activeCount(),
+  });
+
+  missedTimer = setInterval(() => {
+    void runMissedTick("loop");
+  }, SAMPLE_MS);
+
+  void runMissedTick("initial");
+}
+
+export async function stopMissedTracker(reason = "manual") {
+  if (!missedTimer) return;
+
+  clearInterval(missedTimer);
+  missedTimer = null;
+
+  while (missedTickRunning) {
+    await new Promise((r) => setTimeout(r, 200));
+  }
+
+  persist();
+  console.log("[MISSED] stopped", { reason });
+}
+
+// ---------------- CLI ----------------
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  if (process.argv[2] === "report") {
+    console.table(getMissedReport());
+  } else {
+    startMissedTracker();
+  }
+}
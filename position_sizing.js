@@ -0,0 +1,210 @@
+// position_sizing.js (ESM)
+// Buy size from live wallet state instead of a fixed SOL_TO_SPEND.
+//
+// POSITION_SIZING_MODE=risk (default "fixed" keeps SOL_TO_SPEND / BUY_INPUT_SOL):
+//   equity      = SOL balance + open exposure (cost basis of active positions)
+//   deployable  = balance - SIZING_FEE_RESERVE_SOL - per-trade reserve x open slots
+//   slot budget = deployable / (MAX_ENTRY - open positions)
+//   risk size   = equity x SIZING_RISK_PCT_<STRATEGY>   (MIGRATED / CURVE / SNIPE)
+//   headroom    = equity x SIZING_MAX_EXPOSURE_PCT - exposure
+//   size        = min(risk size, slot budget, headroom) x score scale x liquidity scale
+// clamped to [SIZING_MIN_SOL, SIZING_MAX_SOL]; below the minimum the buy is declined.
+//
+// Optional scaling (SIZING_SCALE_BY_SCORE / SIZING_SCALE_BY_LIQUIDITY) maps a
+// security score 0..100 or pool liquidity up to SIZING_FULL_LIQUIDITY_SOL onto
+// [SIZING_MIN_SCALE, 1]. Every result carries a `rationale` for the position record.
+
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { Connection, PublicKey, LAMPORTS_PER_SOL } from "@solana/web3.js";
+import { setTradeSizing } from "./walletbalance.js";
+
+const MODE = String(process.env.POSITION_SIZING_MODE || "fixed").toLowerCase();
+const ACTIVE_POSITIONS_FILE = path.resolve(process.env.ACTIVE_POSITIONS_FILE || "./active_positions.json");
+const RPC_URL = process.env.SIGNER_URL_1 || process.env.RPC_URL || "https://api.mainnet-beta.solana.com";
+const WALLET_ADDRESS = process.env.WALLET_ADDRESS;
+
+const MAX_ENTRY = Number(process.env.MAX_ENTRY || 10);
+const FEE_RESERVE_SOL = Number(process.env.SIZING_FEE_RESERVE_SOL || 0.05);
+const PER_TRADE_RESERVE_SOL = Number(process.env.SIZING_PER_TRADE_RESERVE_SOL || 0.01);
+const MAX_EXPOSURE_PCT = Number(process.env.SIZING_MAX_EXPOSURE_PCT || 60);
+const MIN_SOL = Number(process.env.SIZING_MIN_SOL || 0.01);
+const MAX_SOL = Number(process.env.SIZING_MAX_SOL || 1);
+
+const RISK_PCT = {
+  migrated: Number(process.env.SIZING_RISK_PCT_MIGRATED || 5),
+  curve: Number(process.env.SIZING_RISK_PCT_CURVE || 3),
+  snipe: Number(process.env.SIZING_RISK_PCT_SNIPE || 4),
+};
+
+const SCALE_BY_SCORE = String(process.env.SIZING_SCALE_BY_SCORE || "false") === "true";
+const SCALE_BY_LIQUIDITY = String(process.env.SIZING_SCALE_BY_LIQUIDITY || "false") === "true";
+const MIN_SCALE = Number(process.env.SIZING_MIN_SCALE || 0.5);
+const FULL_LIQUIDITY_SOL = Number(process.env.SIZING_FULL_LIQUIDITY_SOL || 100);
+
+// pump tokens are 6 decimals; only used for positions recorded without amountSol
+const LEGACY_TOKEN_DECIMALS = 6;
+
+let connection = null;
+
+// ---------------- helpers ----------------
+function getConnection() {
+  if (!connection) connection = new Connection(RPC_URL, "confirmed");
+  return connection;
+}
+
+function readPositions() {
+  try {
+    if (!fs.existsSync(ACTIVE_POSITIONS_FILE)) return [];
+    const parsed = JSON.parse(fs.readFileSync(ACTIVE_POSITIONS_FILE, "utf8") || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function positionCostSol(pos) {
+  const amountSol = Number(pos?.amountSol);
+  if (Number.isFinite(amountSol) && amountSol > 0) return amountSol;
+
+  const tokens = Number(pos?.amountToken) / 10 ** LEGACY_TOKEN_DECIMALS;
+  const price = Number(pos?.buyPriceSOL);
+  return Number.isFinite(tokens) && Number.isFinite(price) ? tokens * price : 0;
+}
+
+// null / undefined / NaN stay unknown (Number(null) would be 0)
+function optionalNumber(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function scaleBetween(ratio) {
+  const r = Math.min(1, Math.max(0, ratio));
+  return MIN_SCALE + (1 - MIN_SCALE) * r;
+}
+
+function round9(x) {
+  return Math.floor(x * 1e9) / 1e9;
+}
+
+// same env the executors read: curve buys BUY_INPUT_SOL (or SOL_TO_SPEND), AMM buys SOL_TO_SPEND
+function fixedSizeSol(strategy, fixedSol) {
+  const envSol = strategy === "curve"
+    ? process.env.BUY_INPUT_SOL || process.env.SOL_TO_SPEND
+    : process.env.SOL_TO_SPEND;
+  const sol = Number(fixedSol ?? envSol);
+  return Number.isFinite(sol) && sol > 0 ? sol : 0;
+}
+
+// ---------------- PUBLIC API ----------------
+/** Open exposure: count and SOL cost basis of active positions. */
+export function getOpenExposure() {
+  const positions = readPositions();
+  const exposureSol = positions.reduce((sum, p) => sum + positionCostSol(p), 0);
+  return { openCount: positions.length, exposureSol };
+}
+
+/** Scale factor for an optional liquidity figure (1 when disabled / unknown). */
+export function liquidityScale(liquiditySol) {
+  const liq = optionalNumber(liquiditySol);
+  if (!SCALE_BY_LIQUIDITY || liq === null) return 1;
+  return scaleBetween(liq / FULL_LIQUIDITY_SOL);
+}
+
+/**
+ * Size the next buy.
+ * @param {{ strategy?: "migrated"|"curve"|"snipe", securityScore?: number|null, liquiditySol?: number|null,
+ *   balanceLamports?: number|null, fixedSol?: number }} [opts] - fixedSol: caller's own size in fixed mode
+ * @returns {Promise<{ ok: boolean, amountLamports: string, amountSol: number, reason: string|null, rationale: object }>}
+ */
+export async function computeBuySize({
+  strategy = "migrated",
+  securityScore = null,
+  liquiditySol = null,
+  balanceLamports = null,
+  fixedSol = null,
+} = {}) {
+  if (MODE !== "risk") {
+    const amountSol = fixedSizeSol(strategy, fixedSol);
+    const rationale = { mode: "fixed", strategy, amountSol };
+    setTradeSizing({ tradeAmount: amountSol, computeUnits: PER_TRADE_RESERVE_SOL });
+    return { ok: amountSol > 0, amountLamports: String(Math.floor(amountSol * 1e9)), amountSol, reason: amountSol > 0 ? null : "SIZE_NOT_CONFIGURED", rationale };
+  }
+
+  if (balanceLamports == null) {
+    if (!WALLET_ADDRESS) throw new Error("WALLET_ADDRESS missing for position sizing");
+    balanceLamports = await getConnection().getBalance(new PublicKey(WALLET_ADDRESS), "confirmed");
+  }
+
+  const balanceSol = Number(balanceLamports) / LAMPORTS_PER_SOL;
+  const { openCount, exposureSol } = getOpenExposure();
+  const equitySol = balanceSol + exposureSol;
+
+  const openSlots = Math.max(0, MAX_ENTRY - openCount);
+  const reserveSol = FEE_RESERVE_SOL + PER_TRADE_RESERVE_SOL * openSlots;
+  const deployableSol = Math.max(0, balanceSol - reserveSol);
+
+  const riskPct = RISK_PCT[strategy] ?? RISK_PCT.migrated;
+  const riskSol = equitySol * (riskPct / 100);
+  const slotSol = openSlots > 0 ? deployableSol / openSlots : 0;
+  const headroomSol = Math.max(0, equitySol * (MAX_EXPOSURE_PCT / 100) - exposureSol);
+
+  const score = optionalNumber(securityScore);
+  const scoreScale = SCALE_BY_SCORE && score !== null ? scaleBetween(score / 100) : 1;
+  const liqScale = liquidityScale(liquiditySol);
+
+  const baseSol = Math.min(riskSol, slotSol, headroomSol);
+  const limitedBy = baseSol === riskSol ? "risk" : baseSol === slotSol ? "slot_budget" : "exposure_cap";
+  const amountSol = round9(Math.min(MAX_SOL, baseSol * scoreScale * liqScale));
+
+  const rationale = {
+    mode: "risk",
+    strategy,
+    balanceSol: round9(balanceSol),
+    exposureSol: round9(exposureSol),
+    equitySol: round9(equitySol),
+    openCount,
+    maxEntry: MAX_ENTRY,
+    reserveSol: round9(reserveSol),
+    riskPct,
+    riskSol: round9(riskSol),
+    slotSol: round9(slotSol),
+    headroomSol: round9(headroomSol),
+    limitedBy: amountSol === MAX_SOL ? "max_sol" : limitedBy,
+    securityScore: score,
+    scoreScale,
+    liquiditySol: optionalNumber(liquiditySol),
+    liquidityScale: liqScale,
+    amountSol,
+  };
+
+  setTradeSizing({ tradeAmount: amountSol, computeUnits: PER_TRADE_RESERVE_SOL });
+
+  let reason = null;
+  if (openSlots <= 0) reason = "MAX_ENTRY_REACHED";
+  else if (amountSol < MIN_SOL) reason = deployableSol < MIN_SOL ? "INSUFFICIENT_FUNDS" : "SIZE_BELOW_MIN";
+
+  console.log("[POSITION_SIZING]", { ...rationale, reason });
+
+  return { ok: !reason, amountLamports: String(Math.floor(amountSol * 1e9)), amountSol, reason, rationale };
+}
+
+/**
+ * Apply the liquidity scale once the pool is known (executors), when the
+ * size was computed without it. Returns the updated lamports and rationale.
+ */
+export function applyLiquidityScale(amountLamports, rationale, liquiditySol) {
+  if (!rationale || rationale.mode !== "risk" || rationale.liquiditySol != null || optionalNumber(liquiditySol) === null) {
+    return { amountLamports: String(amountLamports), rationale };
+  }
+
+  const scale = liquidityScale(liquiditySol);
+  const scaled = Math.max(Math.floor(MIN_SOL * 1e9), Math.floor(Number(amountLamports) * scale));
+
+  return {
+    amountLamports: String(scaled),
+    rationale: { ...rationale, liquiditySol: Number(liquiditySol), liquidityScale: scale, amountSol: scaled / 1e9 },
+  };
+}
@@ -0,0 +1,223 @@
+// price_backfill.js (ESM)
+// Rebuilds a mint's recent price history from on-chain swaps so Stage-1 can
+// measure retracement against the real ATH instead of whatever the bot
+// happened to sample.
+//
+//   bonding curve : Pump TradeEvent (post-trade virtual reserves)
+//   PumpSwap pool : pool vault balances after each transaction
+//
+// Prices are SOL per token; market caps use the current SOL/USD and circulating
+// supply, the same inputs stage1_retracement.js uses for live samples.
+
+import "dotenv/config";
+import { Connection, PublicKey } from "@solana/web3.js";
+import { withRpcLimit } from "./rpcLimiter.js";
+import { decodePumpTransaction } from "./pumpfun_decoder.js";
+import { decodePumpBondingCurve, calcPumpCurvePriceSol } from "./pumpfun_price.js";
+import { bondingCurvePdaForMint } from "./curve_progress.js";
+import { resolvePumpSwapPool } from "./poolResolver.js";
+import { getCirculatingSupply } from "./circulatingSupply.js";
+import { fetchSolPriceUSD } from "./solPriceFetcher.js";
+import { seedMarketCapMemory } from "./stage1_retracement.js";
+import { recordTick } from "./candle_engine.js";
+
+const RPC_URL =
+  process.env.PRICE_BACKFILL_RPC_URL ||
+  process.env.SOLANA_RPC_URL ||
+  "https://api.mainnet-beta.solana.com";
+
+const MAX_SIGNATURES = Number(process.env.PRICE_BACKFILL_MAX_SIGNATURES || 300);
+const TX_BATCH = Number(process.env.PRICE_BACKFILL_TX_BATCH || 25);
+const MAX_AGE_MS = Number(process.env.PRICE_BACKFILL_MAX_AGE_MS || 24 * 60 * 60 * 1000);
+
+const WSOL_MINT = "So11111111111111111111111111111111111111112";
+const PUMP_TOKEN_DECIMALS = 6;
+
+const connection = new Connection(RPC_URL, "confirmed");
+
+// ---------------- fetch ----------------
+async function fetchSignatures(address, maxSignatures, minBlockTime) {
+  const out = [];
+  let before;
+
+  while (out.length < maxSignatures) {
+    const page = await withRpcLimit(() =>
+      connection.getSignaturesForAddress(address, {
+        before,
+        limit: Math.min(1000, maxSignatures - out.length),
+      })
+    );
+    if (!page.length) break;
+
+    for (const s of page) {
+      if (minBlockTime && s.blockTime && s.blockTime < minBlockTime) return out;
+      if (!s.err) out.push(s.signature);
+    }
+
+    before = page[page.length - 1].signature;
+  }
+
+  return out;
+}
+
+async function fetchTransactions(signatures) {
+  const out = [];
+
+  for (let i = 0; i < signatures.length; i += TX_BATCH) {
+    const chunk = signatures.slice(i, i + TX_BATCH);
+    const txs = await withRpcLimit(() =>
+      connection.getTransactions(chunk, {
+        commitment: "confirmed",
+        maxSupportedTransactionVersion: 0,
+      })
+    );
+    txs.forEach((tx, idx) => {
+      if (tx && !tx.meta?.err) out.push({ signature: chunk[idx], tx });
+    });
+  }
+
+  return out;
+}
+
+// ---------------- parsers ----------------
+function parseCurveTrades(mint, txs) {
+  const points = [];
+
+  for (const { signature, tx } of txs) {
+    for (const ev of decodePumpTransaction(tx)) {
+      const t = ev.trade;
+      if (!t || ev.mint !== mint) continue;
+
+      const priceSol = calcPumpCurvePriceSol(t, PUMP_TOKEN_DECIMALS);
+      if (!priceSol) continue;
+
+      points.push({
+        ts: Number(t.timestamp ?? tx.blockTime) * 1000,
+        priceSol,
+        volumeSol: Number(t.solAmount) / 1e9,
+        signature,
+        source: "curve",
+      });
+    }
+  }
+
+  return points;
+}
+
+function vaultBalance(balances, owner, mint) {
+  const b = (balances || []).find((x) => x.owner === owner && x.mint === mint);
+  return b ? Number(b.uiTokenAmount?.uiAmountString ?? b.uiTokenAmount?.uiAmount) : null;
+}
+
+function parsePoolSwaps(mint, poolAddress, txs) {
+  const points = [];
+
+  for (const { signature, tx } of txs) {
+    const meta = tx.meta;
+    const base = vaultBalance(meta?.postTokenBalances, poolAddress, mint);
+    const quote = vaultBalance(meta?.postTokenBalances, poolAddress, WSOL_MINT);
+    if (!base || !quote) continue;
+
+    const prevQuote = vaultBalance(meta?.preTokenBalances, poolAddress, WSOL_MINT);
+
+    points.push({
+      ts: Number(tx.blockTime) * 1000,
+      priceSol: quote / base,
+      volumeSol: prevQuote != null ? Math.abs(quote - prevQuote) : 0,
+      signature,
+      source: "pool",
+    });
+  }
+
+  return points;
+}
+
+async function isCurveComplete(curvePk) {
+  const info = await withRpcLimit(() => connection.getAccountInfo(curvePk));
+  if (!info?.data) return false;
+  try {
+    return decodePumpBondingCurve(info.data).complete;
+  } catch {
+    return false;
+  }
+}
+
+// ---------------- PUBLIC API ----------------
+/**
+ * Price series (oldest first) from the bonding curve and, once migrated, the
+ * PumpSwap pool.
+ * @returns {Promise<Array<{ ts: number, priceSol: number, volumeSol: number, signature: string, source: string }>>}
+ */
+export async function fetchPriceHistory(mint, { maxSignatures = MAX_SIGNATURES, maxAgeMs = MAX_AGE_MS } = {}) {
+  const cleanMint = String(mint || "").trim();
+  if (!cleanMint) throw new Error("Missing mint for price backfill");
+
+  const minBlockTime = maxAgeMs ? Math.floor((Date.now() - maxAgeMs) / 1000) : null;
+  const curvePk = bondingCurvePdaForMint(cleanMint);
+
+  const curveTxs = await fetchTransactions(await fetchSignatures(curvePk, maxSignatures, minBlockTime));
+  const points = parseCurveTrades(cleanMint, curveTxs);
+
+  if (await isCurveComplete(curvePk)) {
+    try {
+      const poolPk = await resolvePumpSwapPool(new PublicKey(cleanMint));
+      const poolTxs = await fetchTransactions(await fetchSignatures(poolPk, maxSignatures, minBlockTime));
+      points.push(...parsePoolSwaps(cleanMint, poolPk.toBase58(), poolTxs));
+    } catch (err) {
+      console.warn("[PRICE_BACKFILL] pool history skipped", { mint: cleanMint, error: err?.message });
+    }
+  }
+
+  return points.filter((p) => Number.isFinite(p.ts) && p.ts > 0).sort((a, b) => a.ts - b.ts);
+}
+
+/**
+ * Backfill a mint: seed Stage-1 high/low (ATH and the swing low after it) and
+ * the candle engine with historical market caps.
+ * @returns {Promise<{ ok: boolean, points: number, athMcap?: number, swingLowMcap?: number, reason?: string }>}
+ */
+export async function backfillPriceHistory(mint, opts = {}) {
+  const cleanMint = String(mint || "").trim();
+
+  const history = await fetchPriceHistory(cleanMint, opts);
+  if (!history.length) return { ok: false, points: 0, reason: "no_trades" };
+
+  const supply = await getCirculatingSupply(cleanMint);
+  const solUsd = await fetchSolPriceUSD();
+  if (!(supply?.circulatingSupply > 0) || !(solUsd > 0)) {
+    return { ok: false, points: history.length, reason: "supply_or_sol_price_unavailable" };
+  }
+
+  const toMcap = (priceSol) => priceSol * solUsd * supply.circulatingSupply;
+
+  let athIdx = 0;
+  history.forEach((p, i) => {
+    if (p.priceSol > history[athIdx].priceSol) athIdx = i;
+
+    recordTick(cleanMint, {
+      value: toMcap(p.priceSol),
+      volume: p.volumeSol,
+      ts: p.ts,
+    });
+  });
+
+  const athMcap = toMcap(history[athIdx].priceSol);
+  const afterAth = history.slice(athIdx);
+  const swingLowMcap = toMcap(Math.min(...afterAth.map((p) => p.priceSol)));
+
+  seedMarketCapMemory(cleanMint, {
+    highMcap: athMcap,
+    lowMcap: swingLowMcap,
+    supply: supply.circulatingSupply,
+  });
+
+  console.log("[PRICE_BACKFILL] seeded", {
+    mint: cleanMint,
+    points: history.length,
+    from: new Date(history[0].ts).toISOString(),
+    athMcap,
+    swingLowMcap,
+  });
+
+  return { ok: true, points: history.length, athMcap, swingLowMcap };
+}
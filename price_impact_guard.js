@@ -0,0 +1,141 @@
+// price_impact_guard.js (ESM)
+// Pre-trade depth / impact check for PumpSwap buys.
+//
+// Constant product with the pool fee taken from the input:
+//   net    = in / (1 + fee)
+//   out    = base * net / (quote + net)
+//   impact = (in / out) / (quote / base) - 1 = (1 + fee) * (1 + net / quote) - 1
+// so the largest input within MAX_PRICE_IMPACT_PCT is quote * (limit - fee).
+// As in the SDK, `quote` is the vault balance plus pool.virtualQuoteReserves.
+//
+// A buy is refused when the quote reserve is below MIN_POOL_LIQUIDITY_SOL or
+// the impact limit is at or below the pool fee. Above the limit it is
+// downsized to the largest allowed size (PRICE_IMPACT_ACTION=downsize, the
+// default) unless that is under MIN_DOWNSIZE_PCT of the intended size, or
+// refused outright (PRICE_IMPACT_ACTION=refuse).
+
+import "dotenv/config";
+import BN from "bn.js";
+import { PublicKey } from "@solana/web3.js";
+import { computeFeesBps } from "@pump-fun/pump-swap-sdk";
+
+const ENABLED = String(process.env.ENABLE_PRICE_IMPACT_GUARD || "true") === "true";
+const MAX_IMPACT_PCT = Number(process.env.MAX_PRICE_IMPACT_PCT || 5);
+const MIN_LIQUIDITY_SOL = Number(process.env.MIN_POOL_LIQUIDITY_SOL || 20);
+const ACTION = String(process.env.PRICE_IMPACT_ACTION || "downsize").toLowerCase();
+const MIN_DOWNSIZE_PCT = Number(process.env.MIN_DOWNSIZE_PCT || 25);
+
+// used when the pool's fee schedule cannot be read
+const FALLBACK_FEE_BPS = Number(process.env.PUMPSWAP_FALLBACK_FEE_BPS || 125);
+
+const BPS = 10_000n;
+
+// ---------------- helpers ----------------
+function toBigInt(v) {
+  if (typeof v === "bigint") return v;
+  if (BN.isBN(v)) return BigInt(v.toString());
+  return BigInt(String(v ?? 0).split(".")[0] || "0");
+}
+
+/**
+ * Total PumpSwap buy fee (lp + protocol + coin creator) for an SDK swap state.
+ * @param {import("@pump-fun/pump-swap-sdk").SwapSolanaState} state
+ */
+export function poolFeeBpsFromState(state) {
+  try {
+    const { pool, globalConfig, feeConfig, baseMintAccount } = state;
+    const fees = computeFeesBps({
+      globalConfig,
+      feeConfig,
+      creator: pool.creator,
+      baseMintSupply: new BN(String(baseMintAccount.supply)),
+      baseMint: pool.baseMint,
+      baseReserve: state.poolBaseAmount,
+      quoteReserve: state.poolQuoteAmount.add(pool.virtualQuoteReserves ?? new BN(0)),
+      quoteMint: pool.quoteMint,
+      isMayhemMode: pool.isMayhemMode,
+      creatorFeeBps: pool.creatorFeeBps,
+    });
+
+    // no creator fee is charged while the pool has no coin creator
+    const hasCreator = pool.coinCreator && !pool.coinCreator.equals(PublicKey.default);
+
+    return (
+      fees.lpFeeBps.toNumber() +
+      fees.protocolFeeBps.toNumber() +
+      (hasCreator ? fees.creatorFeeBps.toNumber() : 0)
+    );
+  } catch (e) {
+    console.log("[PRICE_IMPACT] fee schedule unavailable, using fallback:", e?.message || e);
+    return FALLBACK_FEE_BPS;
+  }
+}
+
+// ---------------- math ----------------
+/**
+ * Expected output and impact of a quote-input buy (all amounts raw).
+ * @returns {{ amountInRaw: bigint, expectedOutRaw: bigint, feeBps: number, impactPct: number }}
+ */
+export function estimateBuyImpact({ quoteReserveRaw, baseReserveRaw, amountInRaw, feeBps }) {
+  const quote = toBigInt(quoteReserveRaw);
+  const base = toBigInt(baseReserveRaw);
+  const amountIn = toBigInt(amountInRaw);
+
+  const net = (amountIn * BPS) / (BPS + BigInt(feeBps));
+  const expectedOutRaw = quote + net > 0n ? (base * net) / (quote + net) : 0n;
+
+  // (1 + fee) * (1 + net / quote) - 1, in float: only the ratio matters here
+  const impactPct = quote > 0n
+    ? ((1 + feeBps / 10_000) * (1 + Number(net) / Number(quote)) - 1) * 100
+    : Infinity;
+
+  return { amountInRaw: amountIn, expectedOutRaw, feeBps, impactPct };
+}
+
+/** Largest quote input whose impact (fees included) stays within `maxImpactPct`. */
+export function maxBuyForImpact({ quoteReserveRaw, feeBps, maxImpactPct = MAX_IMPACT_PCT }) {
+  const headroomBps = Math.floor(maxImpactPct * 100) - feeBps;
+  if (headroomBps <= 0) return 0n;
+  return (toBigInt(quoteReserveRaw) * BigInt(headroomBps)) / BPS;
+}
+
+// ---------------- PUBLIC API ----------------
+/**
+ * Decide whether a buy of `amountInRaw` lamports may proceed. The liquidity
+ * floor applies to the real vault balance, pricing to vault + virtual.
+ * @returns {{ ok: boolean, action: "proceed"|"downsize"|"refuse", amountInRaw: bigint, reason: string|null,
+ *   impactPct: number, expectedOutRaw: bigint, feeBps: number, quoteReserveSol: number }}
+ */
+export function checkBuyImpact({ quoteReserveRaw, virtualQuoteReserveRaw = 0n, baseReserveRaw, amountInRaw, feeBps }) {
+  const quoteReserveSol = Number(toBigInt(quoteReserveRaw)) / 1e9;
+  const effectiveQuoteRaw = toBigInt(quoteReserveRaw) + toBigInt(virtualQuoteReserveRaw);
+  const est = estimateBuyImpact({ quoteReserveRaw: effectiveQuoteRaw, baseReserveRaw, amountInRaw, feeBps });
+  const base = { ...est, quoteReserveSol };
+
+  if (!ENABLED) return { ...base, ok: true, action: "proceed", reason: null };
+
+  if (quoteReserveSol < MIN_LIQUIDITY_SOL) {
+    return { ...base, ok: false, action: "refuse", reason: "LOW_LIQUIDITY" };
+  }
+
+  if (est.impactPct <= MAX_IMPACT_PCT) return { ...base, ok: true, action: "proceed", reason: null };
+
+  const maxIn = maxBuyForImpact({ quoteReserveRaw: effectiveQuoteRaw, feeBps });
+  const minIn = (est.amountInRaw * BigInt(Math.round(MIN_DOWNSIZE_PCT * 100))) / BPS;
+
+  if (ACTION !== "downsize" || maxIn <= 0n || maxIn < minIn) {
+    return { ...base, ok: false, action: "refuse", reason: "PRICE_IMPACT_TOO_HIGH" };
+  }
+
+  const downsized = estimateBuyImpact({ quoteReserveRaw: effectiveQuoteRaw, baseReserveRaw, amountInRaw: maxIn, feeBps });
+  return {
+    ...downsized,
+    quoteReserveSol,
+    ok: true,
+    action: "downsize",
+    reason: "PRICE_IMPACT_DOWNSIZED",
+    intendedAmountInRaw: est.amountInRaw,
+    intendedImpactPct: est.impactPct,
+  };
+}
+
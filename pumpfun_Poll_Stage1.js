@@ -1,162 +1,373 @@
+// pumpfun_Poll_Stage1.js (ESM)
+// Stage-1 bonding detector: walks every confirmed slot (slot_ingester.js), decodes
+// Pump program activity, tracks real curve progress from the bonding-curve account
+// (curve_progress.js) and promotes mints past MAX_CURVE_THRESHOLD percent into
+// the candidate store (candidate_store.js).
+//
+// Lifecycle matches buyCaller_bonding.js: idempotent start, no overlapping ticks,
+// stop waits for the in-flight tick. The last processed slot is persisted so a
+// restart resumes where it stopped instead of skipping or re-reading blocks.
+//
+// STAGE1_INGEST_MODE=stream adds the websocket stream (pumpfun_stream.js). While
+// the stream is healthy the poller only keeps the cursor at the tip; when it goes
+// down the poller backfills from that cursor.
+
 import dotenv from 'dotenv'; // Load environment variables from .env
-import { Connection, PublicKey } from '@solana/web3.js';
-import fs from 'fs';
+import { Connection } from '@solana/web3.js';
+import path from 'path';
 import fetch from 'node-fetch'; // Using fetch to send messages to Telegram
-import bs58 from 'bs58'; // Base58 encoding for Solana public keys
+import { decodePumpTransaction } from './pumpfun_decoder.js';
+import { startPumpStream, stopPumpStream, isPumpStreamHealthy } from './pumpfun_stream.js';
+import { saveMapToFile, loadMapFromFile } from './memoryHelper.js';
+import { createSlotRangeIngester } from './slot_ingester.js';
+import { addCandidate, getCandidate } from './candidate_store.js';
+import {
+  bondingCurvePdaForMint,
+  computeCurveProgress,
+  recordCurveSample,
+  refreshCurveProgress,
+  getCurveProgress,
+  forgetCurveProgress,
+} from './curve_progress.js';
 
 // Load environment variables
 dotenv.config();
 
-// Set the program ID of the bonding curve
-const PUMP_PROGRAM_ID = new PublicKey('6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P');  // Example program ID
-const bondingCandidatesFile = 'bonding_candidates.json';
+const CURSOR_FILE = path.resolve(
+  process.env.STAGE1_CURSOR_FILE || './stage1_cursor.json'
+);
+
+const DETECTOR_LOOP_MS = Number(process.env.STAGE1_DETECTOR_LOOP_MS || 10_000);
+const MAX_SLOTS_PER_BATCH = Number(process.env.STAGE1_MAX_SLOTS_PER_BATCH || 150);
+const INGEST_CONCURRENCY = Number(process.env.STAGE1_INGEST_CONCURRENCY || 4);
+const INGEST_BUDGET_MS = Number(process.env.STAGE1_INGEST_BUDGET_MS || 8_000);
+const MAX_MISSING_RETRIES = Number(process.env.STAGE1_MAX_MISSING_RETRIES || 5);
+
+const INGEST_MODE = String(process.env.STAGE1_INGEST_MODE || 'poll').toLowerCase();
+const STREAM_ENABLED = INGEST_MODE === 'stream';
+const CURVE_MAP_MAX = Number(process.env.STAGE1_CURVE_MAP_MAX || 50_000);
 
 // Load RPC URLs from the environment variables
-const rpcUrls = [process.env.RPC_URL_1, process.env.RPC_URL_2];
+const rpcUrls = [process.env.RPC_URL_1, process.env.RPC_URL_2].filter(Boolean);
 let currentRpcIndex = 0; // Start with the first RPC URL
 
 // Telegram bot configuration from .env
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || '';
 const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID || '';
 
-// Load curve threshold configuration from .env
+// Curve progress thresholds (% of initial real token reserves sold) from .env
 const CURVE_WATCH_THRESHOLD = parseFloat(process.env.CURVE_WATCH_THRESHOLD) || 20;
 const MAX_CURVE_THRESHOLD = parseFloat(process.env.MAX_CURVE_THRESHOLD) || 50;
 
+// Watched mints with no curve update for this long are dropped
+const WATCH_TTL_MS = Number(process.env.STAGE1_WATCH_TTL_MS || 6 * 60 * 60 * 1000);
+
+const DETECTOR_STATE = loadMapFromFile(CURSOR_FILE);
+
 let memoryWatch = {};
 
+// bonding curve PDA -> mint, so curve account updates can be attributed
+const CURVE_TO_MINT = new Map();
+const MINT_TO_CURVE = new Map();
+
+// mints with Pump activity since the last progress refresh (mint -> last event)
+const TOUCHED_MINTS = new Map();
+
+let detectorTimer = null;
+let detectorTickRunning = false;
+
+// ---------------- CURSOR ----------------
+function getLastProcessedSlot() {
+  const slot = Number(DETECTOR_STATE.get('lastProcessedSlot'));
+  return Number.isInteger(slot) && slot > 0 ? slot : null;
+}
+
+function setLastProcessedSlot(slot) {
+  DETECTOR_STATE.set('lastProcessedSlot', slot);
+  DETECTOR_STATE.set('updatedAt', Date.now());
+  saveMapToFile(DETECTOR_STATE, CURSOR_FILE);
+}
+
+// ---------------- RPC ----------------
 // Function to switch to the next RPC URL in case of failure
 function switchRpcUrl() {
   currentRpcIndex = (currentRpcIndex + 1) % rpcUrls.length;
   console.log(`Switching to RPC URL: ${rpcUrls[currentRpcIndex]}`);
 }
 
-// Get Solana connection with failover and max supported transaction version
+// Get Solana connection with failover (one pass over the configured RPCs)
 async function getConnection() {
-  try {
-    const connection = new Connection(rpcUrls[currentRpcIndex], {
-      commitment: 'confirmed',
-    });
+  if (!rpcUrls.length) throw new Error('RPC_URL_1 or RPC_URL_2 is required');
 
-    // Ensure connection works
-    await connection.getSlot('confirmed');
-    return connection;
-  } catch (error) {
-    console.error(`Error connecting to RPC URL: ${rpcUrls[currentRpcIndex]}. Switching to another RPC.`);
-    switchRpcUrl(); // Switch to the next RPC URL
-    return getConnection(); // Retry with the new RPC URL
+  let lastErr = null;
+
+  for (let i = 0; i < rpcUrls.length; i++) {
+    try {
+      const connection = new Connection(rpcUrls[currentRpcIndex], {
+        commitment: 'confirmed',
+      });
+
+      // Ensure connection works
+      await connection.getSlot('confirmed');
+      return connection;
+    } catch (error) {
+      lastErr = error;
+      console.error(`Error connecting to RPC URL: ${rpcUrls[currentRpcIndex]}. Switching to another RPC.`);
+      switchRpcUrl();
+    }
   }
+
+  throw new Error(`No RPC available: ${lastErr?.message || lastErr}`);
 }
 
-// Function to detect the mint at bonding curve level
-async function detectMintAtCurve() {
-  setInterval(async () => {
-    const connection = await getConnection(); // Get connection with failover
+// ---------------- BLOCK PROCESSING ----------------
+function rememberCurve(ev) {
+  if (!ev.mint || MINT_TO_CURVE.has(ev.mint)) return;
 
+  let curve = ev.bondingCurve || memoryWatch[ev.mint]?.bondingCurve || null;
+  if (!curve) {
     try {
-      const latestBlock = await connection.getSlot('confirmed');
+      curve = bondingCurvePdaForMint(ev.mint).toBase58();
+    } catch {
+      return;
+    }
+  }
 
-      // Use getBlock with maxSupportedTransactionVersion: 1
-      const blockData = await connection.getBlock(latestBlock, {
-        commitment: 'confirmed',
-        transactionDetails: 'full',
-        maxSupportedTransactionVersion: 1, // Ensure compatibility with version 1
-      });
+  CURVE_TO_MINT.set(curve, ev.mint);
+  MINT_TO_CURVE.set(ev.mint, curve);
 
-      const transactions = blockData.transactions;
-
-      for (let tx of transactions) {
-        const { transaction } = tx;
-
-        // Check if instructions exist and is iterable
-        if (transaction.message && Array.isArray(transaction.message.instructions)) {
-          for (let instruction of transaction.message.instructions) {
-            if (instruction.programId && instruction.programId.equals(PUMP_PROGRAM_ID)) {
-              // Assuming the mint address and curve data are encoded in the instruction data
-              try {
-                const mintAddress = instruction.data.slice(0, 32); // Extract the first 32 bytes for the mint address
-                const curveValue = parseFloat(instruction.data.slice(32, 36).toString()); // Extract curve value
-
-                const mintAddressStr = bs58.encode(mintAddress); // Base58 encoded mint address
-                const fullMintAddress = mintAddressStr + "pump";
-
-                if (curveValue >= CURVE_WATCH_THRESHOLD) {
-                  handleNewMint(fullMintAddress, curveValue);
-                }
-              } catch (err) {
-                console.warn('Error extracting mint data from instruction:', err);
-              }
-            }
-          }
-        } else {
-          // Log transaction when instructions are missing or invalid
-          console.warn('Transaction does not have valid instructions or they are missing:', transaction);
-          
-          // Handle alternative mint extraction from transaction data
-          try {
-            if (transaction.message.data) {
-              const mintAddress = transaction.message.data.slice(0, 32); // Extract mint address if possible
-              const curveValue = parseFloat(transaction.message.data.slice(32, 36).toString()); // Extract curve value
-
-              const mintAddressStr = bs58.encode(mintAddress); // Base58 encoded mint address
-              const fullMintAddress = mintAddressStr + "pump";
-
-              if (curveValue >= CURVE_WATCH_THRESHOLD) {
-                handleNewMint(fullMintAddress, curveValue);
-              }
-            }
-          } catch (err) {
-            console.warn('Error extracting mint data from message data:', err);
-          }
-        }
-      }
+  if (CURVE_TO_MINT.size > CURVE_MAP_MAX) {
+    const [oldCurve, oldMint] = CURVE_TO_MINT.entries().next().value;
+    CURVE_TO_MINT.delete(oldCurve);
+    MINT_TO_CURVE.delete(oldMint);
+  }
+}
 
-      for (const mintAddressStr in memoryWatch) {
-        const mintData = memoryWatch[mintAddressStr];
-        const curveValue = mintData.curveValue;
-
-        if (curveValue >= MAX_CURVE_THRESHOLD) {
-          let bondingCandidates = [];
-          if (fs.existsSync(bondingCandidatesFile)) {
-            bondingCandidates = JSON.parse(fs.readFileSync(bondingCandidatesFile, 'utf-8'));
-          }
-
-          const mintExists = bondingCandidates.some(candidate => candidate.mint === mintAddressStr);
-          if (!mintExists) {
-            bondingCandidates.push({
-              mint: mintAddressStr,
-              seenAt: mintData.seenAt,
-              curveValue: mintData.curveValue,
-            });
-            fs.writeFileSync(bondingCandidatesFile, JSON.stringify({ mints: bondingCandidates }, null, 2));
-            console.log(`Mint exceeded threshold and saved to JSON: ${mintAddressStr}`);
-            await sendTelegram(`Mint exceeded max threshold and added to JSON: ${mintAddressStr}`);
-          }
-        }
-      }
-    } catch (error) {
-      console.error('Error fetching block data:', error);
+// Shared by the block poller and the websocket stream
+function handleDecodedEvents(events) {
+  for (const ev of events) {
+    if (!ev.mint) continue;
+
+    if (STREAM_ENABLED) rememberCurve(ev);
+
+    // trade events carry post-trade reserves: skip curves well below the watch line
+    const hint = progressHintFromEvent(ev);
+    if (hint != null && hint < CURVE_WATCH_THRESHOLD && !memoryWatch[ev.mint]) continue;
+
+    TOUCHED_MINTS.set(ev.mint, ev);
+  }
+}
+
+function handleCurveAccount({ bondingCurve, curve, slot }) {
+  const mint = CURVE_TO_MINT.get(bondingCurve);
+  if (!mint) return;
+
+  const snapshot = recordCurveSample(mint, curve, { bondingCurve, slot });
+  void applyCurveProgress(snapshot, { type: 'curve_account', bondingCurve, slot, signature: null });
+}
+
+// Read the curve account of every touched mint and apply the real progress
+async function refreshTouchedMints() {
+  if (!TOUCHED_MINTS.size) return;
+
+  const touched = new Map(TOUCHED_MINTS);
+  TOUCHED_MINTS.clear();
+
+  // the stream already delivers account updates for curves it has mapped
+  const mints = [...touched.keys()].filter(
+    (mint) => !(STREAM_ENABLED && isPumpStreamHealthy() && getCurveProgress(mint))
+  );
+  if (!mints.length) return;
+
+  const connection = await getConnection();
+  const snapshots = await refreshCurveProgress(connection, mints);
+
+  for (const snapshot of snapshots) {
+    await applyCurveProgress(snapshot, touched.get(snapshot.mint));
+  }
+}
+
+function pruneWatch() {
+  const now = Date.now();
+
+  for (const mint of Object.keys(memoryWatch)) {
+    if (now - (memoryWatch[mint].updatedAt || 0) > WATCH_TTL_MS) {
+      delete memoryWatch[mint];
+      forgetCurveProgress(mint);
+    }
+  }
+}
+
+function processBlock(slot, blockData) {
+  const transactions = blockData?.transactions || [];
+
+  for (const tx of transactions) {
+    let events;
+    try {
+      events = decodePumpTransaction(tx, { slot, blockTime: blockData.blockTime });
+    } catch (err) {
+      console.warn('Error decoding Pump instructions:', err?.message || err);
+      continue;
+    }
+
+    handleDecodedEvents(events);
+  }
+}
+
+const ingester = createSlotRangeIngester({
+  getConnection,
+  getCursor: getLastProcessedSlot,
+  setCursor: setLastProcessedSlot,
+  onBlock: processBlock,
+  concurrency: INGEST_CONCURRENCY,
+  maxSlotsPerBatch: MAX_SLOTS_PER_BATCH,
+  maxMissingRetries: MAX_MISSING_RETRIES,
+  label: 'STAGE1_INGEST',
+});
+
+export function getBondingDetectorLag() {
+  return ingester.getStats();
+}
+
+// ---------------- CANDIDATES ----------------
+function candidateProgress(mintData) {
+  return {
+    progressPct: mintData.progressPct,
+    solRaised: mintData.solRaised,
+    velocityPctPerMin: mintData.velocityPctPerMin,
+    complete: mintData.complete,
+    bondingCurve: mintData.bondingCurve,
+  };
+}
+
+async function promoteWatchedMints() {
+  for (const mintAddressStr in memoryWatch) {
+    const mintData = memoryWatch[mintAddressStr];
+
+    if (mintData.progressPct < MAX_CURVE_THRESHOLD) continue;
+
+    // already stored at this progress: nothing to write
+    if (mintData.storedProgressPct === mintData.progressPct) continue;
+
+    // buyCaller may have consumed and removed it; do not re-add a mint it dropped
+    if (mintData.storedProgressPct != null && !getCandidate(mintAddressStr)) {
+      mintData.storedProgressPct = mintData.progressPct;
+      continue;
     }
-  }, 10000); // Poll every 10 seconds
+
+    const { added } = await addCandidate(mintAddressStr, {
+      source: 'stage1_detector',
+      progress: candidateProgress(mintData),
+    });
+    mintData.storedProgressPct = mintData.progressPct;
+
+    if (!added) continue;
+
+    console.log(`Mint exceeded threshold and saved to candidate store: ${mintAddressStr}`, {
+      progressPct: mintData.progressPct,
+      velocityPctPerMin: mintData.velocityPctPerMin,
+    });
+    await sendTelegram(
+      `Mint exceeded max threshold and added to candidates: ${mintAddressStr}\n` +
+      `Curve progress: ${mintData.progressPct.toFixed(2)}% | SOL raised: ${mintData.solRaised.toFixed(2)}\n` +
+      `Velocity: ${formatVelocity(mintData.velocityPctPerMin)}`
+    );
+  }
+}
+
+// ---------------- CORE LOOP ----------------
+async function runDetectorTick(label) {
+  if (detectorTickRunning) return;
+
+  detectorTickRunning = true;
+
+  try {
+    if (STREAM_ENABLED && isPumpStreamHealthy()) {
+      // live activity comes from the stream; keep the cursor at the tip
+      await ingester.skipToTip();
+    } else {
+      if (STREAM_ENABLED) console.warn('[STAGE1_DETECTOR] stream unhealthy, polling blocks');
+
+      // stop requested: the ingester leaves the rest for the next start
+      await ingester.ingestToTip({
+        budgetMs: INGEST_BUDGET_MS,
+        shouldStop: () => !detectorTimer,
+      });
+    }
+
+    await refreshTouchedMints();
+    pruneWatch();
+    await promoteWatchedMints();
+  } catch (error) {
+    console.error(`[STAGE1_DETECTOR] ${label} error:`, String(error?.message || error));
+  } finally {
+    detectorTickRunning = false;
+  }
 }
 
-// Centralized function to handle a new mint
-async function handleNewMint(fullMintAddress, curveValue) {
-  if (!memoryWatch[fullMintAddress]) {
-    memoryWatch[fullMintAddress] = {
-      mint: fullMintAddress,
+// Progress implied by a decoded event (pre-filter only; the account is authoritative)
+function progressHintFromEvent(ev) {
+  if (ev.type === 'create') return 0;
+
+  const trade = ev.trade;
+  if (typeof trade?.realTokenReserves !== 'bigint') return null;
+
+  return computeCurveProgress({
+    realTokenReserves: trade.realTokenReserves,
+    realSolReserves: trade.realSolReserves ?? 0n,
+    complete: false,
+  }).progressPct;
+}
+
+function formatVelocity(v) {
+  return v == null ? 'n/a' : `${v.toFixed(2)}%/min`;
+}
+
+// Centralized function to apply a curve progress snapshot to the watch list
+async function applyCurveProgress(snapshot, ev = null) {
+  if (!snapshot) return;
+
+  const mint = snapshot.mint;
+  const existing = memoryWatch[mint];
+
+  if (!existing) {
+    if (snapshot.progressPct < CURVE_WATCH_THRESHOLD) return;
+
+    memoryWatch[mint] = {
+      mint,
       seenAt: new Date().toISOString(),
-      curveValue: curveValue,
+      bondingCurve: snapshot.bondingCurve || ev?.bondingCurve || null,
+      progressPct: snapshot.progressPct,
+      maxProgressPct: snapshot.maxProgressPct,
+      solRaised: snapshot.solRaised,
+      velocityPctPerMin: snapshot.velocityPctPerMin,
+      complete: snapshot.complete,
+      lastEvent: ev?.type || null,
+      lastSignature: ev?.signature || null,
+      updatedAt: Date.now(),
     };
-    console.log(`Added mint to memory watch: ${fullMintAddress} with curve value: ${curveValue}`);
-    console.log(`Number of mints in memory: ${Object.keys(memoryWatch).length}`);
-    await sendTelegram(`New mint detected at bonding curve: ${fullMintAddress} with curve value: ${curveValue}`);
-  } else {
-    memoryWatch[fullMintAddress].curveValue = Math.max(memoryWatch[fullMintAddress].curveValue, curveValue);
-    memoryWatch[fullMintAddress].seenAt = new Date().toISOString();
-    console.log(`Updated mint curve in memory watch: ${fullMintAddress} with curve value: ${curveValue}`);
+    console.log(`Added mint to memory watch: ${mint} at curve progress ${snapshot.progressPct}%`);
     console.log(`Number of mints in memory: ${Object.keys(memoryWatch).length}`);
+    await sendTelegram(
+      `New mint detected at bonding curve: ${mint}\n` +
+      `Curve progress: ${snapshot.progressPct.toFixed(2)}% | SOL raised: ${snapshot.solRaised.toFixed(2)}`
+    );
+    return;
   }
+
+  existing.progressPct = snapshot.progressPct;
+  existing.maxProgressPct = snapshot.maxProgressPct;
+  existing.solRaised = snapshot.solRaised;
+  existing.velocityPctPerMin = snapshot.velocityPctPerMin;
+  existing.complete = snapshot.complete;
+  existing.bondingCurve ||= snapshot.bondingCurve || ev?.bondingCurve || null;
+  existing.lastEvent = ev?.type || existing.lastEvent;
+  existing.lastSignature = ev?.signature || existing.lastSignature;
+  existing.updatedAt = Date.now();
+  console.log(`Updated mint curve in memory watch: ${mint}`, {
+    progressPct: snapshot.progressPct,
+    velocity: formatVelocity(snapshot.velocityPctPerMin),
+  });
 }
 
 // Function to send a Telegram alert
@@ -185,5 +396,53 @@ async function sendTelegram(text) {
   }
 }
 
-// Start detection
-detectMintAtCurve();
\ No newline at end of file
+// ---------------- START / STOP ----------------
+export async function startBondingDetector() {
+  if (detectorTimer) return;
+
+  if (STREAM_ENABLED) {
+    startPumpStream({
+      onEvents: handleDecodedEvents,
+      onCurveAccount: handleCurveAccount,
+    });
+  }
+
+  console.log('[STAGE1_DETECTOR] started', {
+    INGEST_MODE,
+    DETECTOR_LOOP_MS,
+    MAX_SLOTS_PER_BATCH,
+    INGEST_CONCURRENCY,
+    cursorFile: CURSOR_FILE,
+    lastProcessedSlot: getLastProcessedSlot(),
+  });
+
+  detectorTimer = setInterval(() => {
+    void runDetectorTick('loop');
+  }, DETECTOR_LOOP_MS);
+
+  void runDetectorTick('initial');
+}
+
+export async function stopBondingDetector(reason = 'manual') {
+  if (!detectorTimer) return;
+
+  clearInterval(detectorTimer);
+  detectorTimer = null;
+
+  while (detectorTickRunning) {
+    await new Promise((r) => setTimeout(r, 200));
+  }
+
+  if (STREAM_ENABLED) await stopPumpStream(reason);
+
+  console.log('[STAGE1_DETECTOR] stopped', {
+    reason,
+    lastProcessedSlot: getLastProcessedSlot(),
+    lagSlots: ingester.getStats().lagSlots,
+  });
+}
+
+// ---------------- CLI ----------------
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  void startBondingDetector();
+}
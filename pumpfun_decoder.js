@@ -0,0 +1,356 @@
+// pumpfun_decoder.js (ESM)
+// Decodes Pump bonding-curve program instructions and self-CPI events with the
+// program IDL shipped in @pump-fun/pump-sdk.
+//
+// Works on getBlock / getTransaction responses (legacy and v0 messages with
+// address lookup tables) and walks both outer and inner instructions.
+// decodePumpLogs() covers logsSubscribe payloads ("Program data:" lines).
+//
+// Yields typed events:
+//   { type: "create" | "buy" | "sell" | "complete" | "migrate", mint, ... }
+
+import { PublicKey } from "@solana/web3.js";
+import { BorshCoder } from "@coral-xyz/anchor";
+import bs58 from "bs58";
+import { pumpIdl } from "@pump-fun/pump-sdk";
+
+export const PUMP_PROGRAM_ID = new PublicKey(pumpIdl.address);
+
+const coder = new BorshCoder(pumpIdl);
+
+// Anchor emit_cpi! prefix: sha256("anchor:event")[0..8]
+const EVENT_IX_TAG = Buffer.from([228, 69, 165, 46, 81, 203, 154, 29]);
+
+export const PUMP_BONDING_CURVE_DISCRIMINATOR = Buffer.from(
+  pumpIdl.accounts.find((a) => a.name === "BondingCurve").discriminator
+);
+
+const IX_ACCOUNT_NAMES = new Map(
+  pumpIdl.instructions.map((ix) => [ix.name, ix.accounts.map((a) => a.name)])
+);
+
+const IX_TYPES = {
+  create: "create",
+  create_v2: "create",
+  create_v3: "create",
+  buy: "buy",
+  buy_v2: "buy",
+  buy_exact_sol_in: "buy",
+  buy_exact_quote_in_v2: "buy",
+  sell: "sell",
+  sell_v2: "sell",
+  migrate: "migrate",
+  migrate_v2: "migrate",
+};
+
+// ---------------- helpers ----------------
+function snakeToCamel(s) {
+  return String(s).replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+}
+
+// BN -> bigint, PublicKey -> base58, snake_case -> camelCase (recursive)
+function normalizeValue(v) {
+  if (v == null) return v;
+  if (v instanceof PublicKey) return v.toBase58();
+  if (typeof v === "object" && typeof v.toArrayLike === "function") {
+    return BigInt(v.toString());
+  }
+  if (Array.isArray(v)) return v.map(normalizeValue);
+  if (typeof v === "object") {
+    return Object.fromEntries(
+      Object.entries(v).map(([k, val]) => [snakeToCamel(k), normalizeValue(val)])
+    );
+  }
+  return v;
+}
+
+function toBuffer(data) {
+  if (Buffer.isBuffer(data)) return data;
+  if (data instanceof Uint8Array) return Buffer.from(data);
+  if (typeof data === "string") return Buffer.from(bs58.decode(data));
+  return Buffer.alloc(0);
+}
+
+function toPk(k) {
+  return k instanceof PublicKey ? k : new PublicKey(k);
+}
+
+// ---------------- account keys ----------------
+export function resolveAccountKeys(tx) {
+  const message = tx?.transaction?.message;
+  if (!message) return [];
+
+  const loaded = tx?.meta?.loadedAddresses;
+
+  if (typeof message.getAccountKeys === "function") {
+    const lookups =
+      loaded && (loaded.writable?.length || loaded.readonly?.length)
+        ? {
+            writable: (loaded.writable || []).map(toPk),
+            readonly: (loaded.readonly || []).map(toPk),
+          }
+        : undefined;
+
+    const keys =
+      message.version === 0
+        ? message.getAccountKeys({ accountKeysFromLookups: lookups })
+        : message.getAccountKeys();
+
+    return keys.keySegments().flat().map(toPk);
+  }
+
+  // JSON-shaped message (accountKeys as strings)
+  const staticKeys = (message.accountKeys || []).map((k) => toPk(k?.pubkey ?? k));
+  return [
+    ...staticKeys,
+    ...(loaded?.writable || []).map(toPk),
+    ...(loaded?.readonly || []).map(toPk),
+  ];
+}
+
+// Flattens outer + inner instructions into execution order.
+function listInstructions(tx) {
+  const message = tx?.transaction?.message;
+  if (!message) return [];
+
+  const outer = Array.isArray(message.compiledInstructions)
+    ? message.compiledInstructions.map((ix) => ({
+        programIdIndex: ix.programIdIndex,
+        accounts: ix.accountKeyIndexes,
+        data: ix.data,
+      }))
+    : (message.instructions || []).map((ix) => ({
+        programIdIndex: ix.programIdIndex,
+        accounts: ix.accounts || [],
+        data: ix.data,
+      }));
+
+  const innerByIndex = new Map();
+  for (const group of tx?.meta?.innerInstructions || []) {
+    innerByIndex.set(group.index, group.instructions || []);
+  }
+
+  const out = [];
+  outer.forEach((ix, i) => {
+    out.push({ ...ix, outerIndex: i, inner: false });
+
+    for (const inner of innerByIndex.get(i) || []) {
+      out.push({
+        programIdIndex: inner.programIdIndex,
+        accounts: inner.accounts || [],
+        data: inner.data,
+        outerIndex: i,
+        inner: true,
+      });
+    }
+  });
+
+  return out;
+}
+
+// ---------------- decoding ----------------
+export function decodePumpEventData(data) {
+  const buf = toBuffer(data);
+
+  try {
+    const decoded = coder.events.decode(buf.toString("base64"));
+    if (!decoded) return null;
+    return { name: decoded.name, data: normalizeValue(decoded.data) };
+  } catch {
+    return null;
+  }
+}
+
+export function decodePumpInstruction(data, accountKeys = []) {
+  const buf = toBuffer(data);
+
+  if (buf.length >= 8 && buf.subarray(0, 8).equals(EVENT_IX_TAG)) {
+    const event = decodePumpEventData(buf.subarray(8));
+    return event ? { kind: "event", ...event } : null;
+  }
+
+  let decoded;
+  try {
+    decoded = coder.instruction.decode(buf);
+  } catch {
+    return null;
+  }
+  if (!decoded) return null;
+
+  const names = IX_ACCOUNT_NAMES.get(decoded.name) || [];
+  const accounts = {};
+  names.forEach((name, i) => {
+    if (accountKeys[i]) accounts[snakeToCamel(name)] = toPk(accountKeys[i]).toBase58();
+  });
+
+  return {
+    kind: "instruction",
+    name: decoded.name,
+    args: normalizeValue(decoded.data),
+    accounts,
+  };
+}
+
+function eventFromInstruction(ix, base) {
+  const type = IX_TYPES[ix.name];
+  if (!type) return null;
+
+  const a = ix.accounts;
+
+  return {
+    ...base,
+    type,
+    source: "instruction",
+    instruction: ix.name,
+    mint: a.mint || a.baseMint || null,
+    bondingCurve: a.bondingCurve || null,
+    user: a.user || null,
+    args: ix.args,
+  };
+}
+
+function attachCpiEvent(events, ev, base) {
+  const { name, data } = ev;
+
+  if (name === "TradeEvent") {
+    const type = data.isBuy ? "buy" : "sell";
+    const target = [...events]
+      .reverse()
+      .find((e) => e.type === type && e.mint === data.mint && !e.trade);
+
+    if (target) {
+      target.trade = data;
+      return;
+    }
+
+    events.push({ ...base, type, source: "event", mint: data.mint, user: data.user, trade: data });
+    return;
+  }
+
+  if (name === "CreateEvent") {
+    const target = [...events]
+      .reverse()
+      .find((e) => e.type === "create" && e.mint === data.mint && !e.create);
+
+    if (target) {
+      target.create = data;
+      return;
+    }
+
+    events.push({
+      ...base,
+      type: "create",
+      source: "event",
+      mint: data.mint,
+      bondingCurve: data.bondingCurve,
+      user: data.user,
+      create: data,
+    });
+    return;
+  }
+
+  if (name === "CompleteEvent") {
+    events.push({
+      ...base,
+      type: "complete",
+      source: "event",
+      mint: data.mint,
+      bondingCurve: data.bondingCurve,
+      user: data.user,
+      complete: data,
+    });
+  }
+}
+
+/**
+ * Decode every Pump program instruction (outer + inner) of a transaction.
+ * @param {object} tx - getBlock / getTransaction transaction response
+ * @param {{ slot?: number, blockTime?: number }} [ctx]
+ * @returns {Array<object>} typed events, in execution order
+ */
+export function decodePumpTransaction(tx, ctx = {}) {
+  if (!tx?.transaction?.message) return [];
+  if (tx?.meta?.err) return [];
+
+  let keys;
+  try {
+    keys = resolveAccountKeys(tx);
+  } catch (e) {
+    console.warn("[PUMP_DECODER] account key resolution failed", e?.message || e);
+    return [];
+  }
+
+  const signature = tx.transaction.signatures?.[0]
+    ? typeof tx.transaction.signatures[0] === "string"
+      ? tx.transaction.signatures[0]
+      : bs58.encode(tx.transaction.signatures[0])
+    : null;
+
+  const base = {
+    signature,
+    slot: ctx.slot ?? tx.slot ?? null,
+    blockTime: ctx.blockTime ?? tx.blockTime ?? null,
+  };
+
+  const events = [];
+
+  for (const ix of listInstructions(tx)) {
+    const programId = keys[ix.programIdIndex];
+    if (!programId || !programId.equals(PUMP_PROGRAM_ID)) continue;
+
+    const ixKeys = ix.accounts.map((i) => keys[i]);
+    const decoded = decodePumpInstruction(ix.data, ixKeys);
+    if (!decoded) continue;
+
+    if (decoded.kind === "event") {
+      attachCpiEvent(events, decoded, { ...base, inner: ix.inner });
+      continue;
+    }
+
+    const ev = eventFromInstruction(decoded, { ...base, inner: ix.inner });
+    if (ev) events.push(ev);
+  }
+
+  return events;
+}
+
+/**
+ * Decode Pump CPI events from transaction logs (logsSubscribe / meta.logMessages).
+ * Only "Program data:" lines emitted while the Pump program is executing count.
+ * @param {string[]} logs
+ * @param {{ signature?: string, slot?: number }} [ctx]
+ * @returns {Array<object>} typed events (source: "log")
+ */
+export function decodePumpLogs(logs, ctx = {}) {
+  if (!Array.isArray(logs)) return [];
+
+  const pumpId = PUMP_PROGRAM_ID.toBase58();
+  const stack = [];
+  const events = [];
+  const base = {
+    signature: ctx.signature ?? null,
+    slot: ctx.slot ?? null,
+    blockTime: null,
+  };
+
+  for (const line of logs) {
+    const invoke = /^Program (\w+) invoke \[\d+\]$/.exec(line);
+    if (invoke) {
+      stack.push(invoke[1]);
+      continue;
+    }
+
+    if (/^Program \w+ (success|failed)/.test(line)) {
+      stack.pop();
+      continue;
+    }
+
+    if (!line.startsWith("Program data: ")) continue;
+    if (stack[stack.length - 1] !== pumpId) continue;
+
+    const ev = decodePumpEventData(Buffer.from(line.slice("Program data: ".length), "base64"));
+    if (ev) attachCpiEvent(events, ev, { ...base, inner: true });
+  }
+
+  return events.map((e) => ({ ...e, source: "log" }));
+}
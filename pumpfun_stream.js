@@ -0,0 +1,260 @@
+// pumpfun_stream.js (ESM)
+// WebSocket ingestion for the Stage-1 detector:
+//   - logsSubscribe on the Pump program -> decoded create/buy/sell/complete events
+//   - programSubscribe on Pump bonding-curve accounts -> decoded curve state
+//
+// Signatures are deduped (a resubscribe can replay recent logs). A watchdog
+// rebuilds the Connection and resubscribes when the socket goes quiet; while
+// the stream is unhealthy, isPumpStreamHealthy() is false and the detector
+// falls back to block polling.
+
+import "dotenv/config";
+import { Connection } from "@solana/web3.js";
+import bs58 from "bs58";
+import {
+  decodePumpLogs,
+  PUMP_PROGRAM_ID,
+  PUMP_BONDING_CURVE_DISCRIMINATOR,
+} from "./pumpfun_decoder.js";
+import { decodePumpBondingCurve } from "./pumpfun_price.js";
+
+const COMMITMENT = process.env.COMMITMENT || "confirmed";
+
+const HTTP_URLS = [process.env.RPC_URL_1, process.env.RPC_URL_2].filter(Boolean);
+const WS_URLS = [process.env.STAGE1_WS_URL_1, process.env.STAGE1_WS_URL_2].filter(Boolean);
+
+// Pump is busy enough that a quiet socket means a dead socket
+const STALE_MS = Number(process.env.STAGE1_STREAM_STALE_MS || 20_000);
+const HEALTH_CHECK_MS = Number(process.env.STAGE1_STREAM_HEALTH_CHECK_MS || 5_000);
+const RECONNECT_BASE_MS = Number(process.env.STAGE1_STREAM_RECONNECT_MS || 2_000);
+const RECONNECT_MAX_MS = Number(process.env.STAGE1_STREAM_RECONNECT_MAX_MS || 60_000);
+const DEDUPE_MAX = Number(process.env.STAGE1_STREAM_DEDUPE_MAX || 20_000);
+
+let started = false;
+let conn = null;
+let endpointIndex = 0;
+let logsSubId = null;
+let accountSubId = null;
+let healthTimer = null;
+let reconnectTimer = null;
+let reconnectAttempts = 0;
+let handlers = { onEvents: null, onCurveAccount: null };
+
+const SEEN_SIGNATURES = new Set();
+
+const stats = {
+  connectedAt: null,
+  lastMessageAt: null,
+  lastSlot: null,
+  reconnects: 0,
+  logMessages: 0,
+  duplicateSignatures: 0,
+  accountUpdates: 0,
+};
+
+// ---------------- helpers ----------------
+function toWsUrl(httpUrl) {
+  return String(httpUrl).replace(/^http/i, "ws");
+}
+
+function pickEndpoint() {
+  const count = Math.max(HTTP_URLS.length, WS_URLS.length);
+  if (!count) throw new Error("RPC_URL_1 or STAGE1_WS_URL_1 is required for streaming");
+
+  const i = endpointIndex % count;
+  const http = HTTP_URLS[i] || HTTP_URLS[0];
+  const ws = WS_URLS[i] || WS_URLS[0] || toWsUrl(http);
+
+  return { http: http || ws.replace(/^ws/i, "http"), ws };
+}
+
+// Returns true the first time a signature is seen
+function rememberSignature(signature) {
+  if (!signature) return true;
+  if (SEEN_SIGNATURES.has(signature)) return false;
+
+  SEEN_SIGNATURES.add(signature);
+
+  if (SEEN_SIGNATURES.size > DEDUPE_MAX) {
+    // Set keeps insertion order: drop the oldest entry
+    SEEN_SIGNATURES.delete(SEEN_SIGNATURES.values().next().value);
+  }
+
+  return true;
+}
+
+function markAlive(slot) {
+  stats.lastMessageAt = Date.now();
+  if (Number.isInteger(slot)) stats.lastSlot = Math.max(stats.lastSlot || 0, slot);
+  reconnectAttempts = 0;
+}
+
+// ---------------- callbacks ----------------
+function handleLogs(logInfo, ctx) {
+  markAlive(ctx?.slot);
+  stats.logMessages += 1;
+
+  if (logInfo?.err) return;
+  if (!rememberSignature(logInfo?.signature)) {
+    stats.duplicateSignatures += 1;
+    return;
+  }
+
+  const events = decodePumpLogs(logInfo?.logs, {
+    signature: logInfo.signature,
+    slot: ctx?.slot,
+  });
+
+  if (!events.length || !handlers.onEvents) return;
+
+  try {
+    handlers.onEvents(events);
+  } catch (err) {
+    console.error("[STAGE1_STREAM] onEvents failed:", err?.message || err);
+  }
+}
+
+function handleProgramAccount(keyed, ctx) {
+  markAlive(ctx?.slot);
+  stats.accountUpdates += 1;
+
+  if (!handlers.onCurveAccount) return;
+
+  let curve;
+  try {
+    curve = decodePumpBondingCurve(keyed.accountInfo.data);
+  } catch {
+    return;
+  }
+
+  try {
+    handlers.onCurveAccount({
+      bondingCurve: keyed.accountId.toBase58(),
+      curve,
+      slot: ctx?.slot ?? null,
+    });
+  } catch (err) {
+    console.error("[STAGE1_STREAM] onCurveAccount failed:", err?.message || err);
+  }
+}
+
+// ---------------- subscribe / teardown ----------------
+async function teardown() {
+  const old = conn;
+  const ids = [logsSubId, accountSubId];
+
+  conn = null;
+  logsSubId = null;
+  accountSubId = null;
+
+  if (!old) return;
+
+  await Promise.allSettled([
+    ids[0] != null ? old.removeOnLogsListener(ids[0]) : null,
+    ids[1] != null ? old.removeProgramAccountChangeListener(ids[1]) : null,
+  ]);
+}
+
+function subscribe() {
+  const { http, ws } = pickEndpoint();
+
+  conn = new Connection(http, { commitment: COMMITMENT, wsEndpoint: ws });
+
+  logsSubId = conn.onLogs(PUMP_PROGRAM_ID, handleLogs, COMMITMENT);
+
+  accountSubId = conn.onProgramAccountChange(
+    PUMP_PROGRAM_ID,
+    handleProgramAccount,
+    COMMITMENT,
+    [{ memcmp: { offset: 0, bytes: bs58.encode(PUMP_BONDING_CURVE_DISCRIMINATOR) } }]
+  );
+
+  stats.connectedAt = Date.now();
+  // grace period: the first message resets this
+  stats.lastMessageAt = Date.now();
+
+  console.log("[STAGE1_STREAM] subscribed", { ws, attempt: reconnectAttempts });
+}
+
+function scheduleReconnect(reason) {
+  if (!started || reconnectTimer) return;
+
+  const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** reconnectAttempts);
+  reconnectAttempts += 1;
+  stats.reconnects += 1;
+  endpointIndex += 1;
+
+  console.warn("[STAGE1_STREAM] reconnecting", { reason, delayMs: delay });
+
+  reconnectTimer = setTimeout(async () => {
+    reconnectTimer = null;
+    await teardown();
+    if (!started) return;
+
+    try {
+      subscribe();
+    } catch (err) {
+      console.error("[STAGE1_STREAM] subscribe failed:", err?.message || err);
+      scheduleReconnect("subscribe_failed");
+    }
+  }, delay);
+}
+
+function checkHealth() {
+  if (!started || reconnectTimer) return;
+
+  if (!isPumpStreamHealthy()) {
+    scheduleReconnect(`no messages for ${Date.now() - (stats.lastMessageAt || 0)}ms`);
+  }
+}
+
+// ---------------- PUBLIC API ----------------
+export function isPumpStreamHealthy() {
+  return (
+    started &&
+    !!conn &&
+    stats.lastMessageAt != null &&
+    Date.now() - stats.lastMessageAt < STALE_MS
+  );
+}
+
+export function getPumpStreamStats() {
+  return { ...stats, healthy: isPumpStreamHealthy(), dedupeSize: SEEN_SIGNATURES.size };
+}
+
+/**
+ * @param {object} opts
+ * @param {(events: object[]) => void} opts.onEvents
+ * @param {(update: { bondingCurve: string, curve: object, slot: number|null }) => void} [opts.onCurveAccount]
+ */
+export function startPumpStream({ onEvents, onCurveAccount } = {}) {
+  if (started) return;
+
+  started = true;
+  handlers = { onEvents: onEvents || null, onCurveAccount: onCurveAccount || null };
+
+  try {
+    subscribe();
+  } catch (err) {
+    console.error("[STAGE1_STREAM] subscribe failed:", err?.message || err);
+    scheduleReconnect("subscribe_failed");
+  }
+
+  healthTimer = setInterval(checkHealth, HEALTH_CHECK_MS);
+
+  console.log("[STAGE1_STREAM] started", { STALE_MS, HEALTH_CHECK_MS });
+}
+
+export async function stopPumpStream(reason = "manual") {
+  if (!started) return;
+
+  started = false;
+
+  if (healthTimer) { clearInterval(healthTimer); healthTimer = null; }
+  if (reconnectTimer) { clearTimeout(reconnectTimer); reconnectTimer = null; }
+
+  await teardown();
+
+  handlers = { onEvents: null, onCurveAccount: null };
+  console.log("[STAGE1_STREAM] stopped", { reason });
+}
@@ -1 +1 @@
-// sellCaller_pumpfun.js (ESM)// Add candle_exit_guard integration (SELL signals) without changing your existing exits.import fs from "fs";import path from "path";import fetch from "node-fetch";import dotenv from "dotenv";import {  applyAdvancedGapTrailing,  clearTrailingState,} from "./advanced_trailing.js";import { getPumpFunPriceOnce } from "./pumpfun_Price2.js";import { runTop1GuardFromActivePositions } from "./top1_guard.js";import { executeAutoSellPumpfun } from "./autoSell_pumpfun.js";dotenv.config();// ---------------- signal buses ----------------const top1Signals = new Map(); // mint -> { action, reason, context, ts }let top1GuardStarted = false;const sellInFlight = new Set();const ACTIVE_POSITIONS_FILE = path.resolve(  process.env.ACTIVE_POSITIONS_FILE || "./active_positions.json");const POLL_INTERVAL_MS = Number(process.env.SELL_POLL_INTERVAL_MS || 10_000);const MAX_HOLD_HOURS = Number(process.env.MAX_HOLD_HOURS || 24);const MAIN_TARGET_PCT = Number(process.env.MAIN_TARGET_PCT || 200);const SELL_DRY_RUN = process.env.SELL_DRY_RUN === "1";// ---------------- utils ----------------function readPositions() {  try {    if (!fs.existsSync(ACTIVE_POSITIONS_FILE)) return [];    return JSON.parse(fs.readFileSync(ACTIVE_POSITIONS_FILE, "utf8") || "[]");  } catch {    return [];  }}function writePositions(arr) {  const tmp = `${ACTIVE_POSITIONS_FILE}.tmp`;  fs.writeFileSync(tmp, JSON.stringify(arr, null, 2), "utf8");  fs.renameSync(tmp, ACTIVE_POSITIONS_FILE);  console.log("[WRITE_POSITIONS_OK]", {    file: ACTIVE_POSITIONS_FILE,    count: Array.isArray(arr) ? arr.length : "not_array",  });}function nowMs() {  return Date.now();}async function sendTelegram(text) {  const token = process.env.TELEGRAM_BOT_TOKEN;  const chatId = process.env.TELEGRAM_CHAT_ID;  if (!token || !chatId) return;  await fetch(`https://api.telegram.org/bot${token}/sendMessage`, {    method: "POST",    headers: { "Content-Type": "application/json" },    body: JSON.stringify({ chat_id: chatId, text }),  }).catch(() => null);}function parseEntryPrice(pos) {  const ep = Number(    pos?.entryPrice ??      pos?.buyPriceSOL ??      pos?.buyPrice ??      pos?.buy_price ??      0  );  return Number.isFinite(ep) && ep > 0 ? ep : 0;}function resolveMint(pos) {  return (pos?.mintAddress || pos?.mint || "").toString().trim();}function resolveTimestampMs(pos) {  const raw =    pos?.openedAt ??    pos?.timestamp ??    pos?.boughtAt ??    pos?.createdAt ??    pos?.dateAdded ??    null;  if (raw == null) return 0;  // Case 1: already a number (correct format from your buy JSON)  if (typeof raw === "number" && Number.isFinite(raw)) {    return raw;  }  // Case 2: numeric string (e.g. "1742400000000")  if (typeof raw === "string" && /^\d+$/.test(raw.trim())) {    const n = Number(raw);    return Number.isFinite(n) ? n : 0;  }  // Case 3: ISO date string  const t = Date.parse(String(raw));  return Number.isFinite(t) ? t : 0;}function buildPriceRecord(pos) {  const mint = resolveMint(pos);  return { mint, migration: pos?.migration || null };}function computeProfitPct(entryPrice, currentPrice) {  const e = Number(entryPrice);  const p = Number(currentPrice);  if (!Number.isFinite(e) || !Number.isFinite(p) || e <= 0) return 0;  return ((p - e) / e) * 100;}// ---------------- EMERGENCY RUG EXIT ----------------function checkEmergencyRug(position, priceSOL) {  const mint = resolveMint(position);  if (!mint) return { shouldSell: false };  const p = Number(priceSOL);  if (!Number.isFinite(p) || p <= 0) return { shouldSell: false };  const entryPrice = parseEntryPrice(position);  const profitPct =    entryPrice > 0 ? ((p - entryPrice) / entryPrice) * 100 : 0;  const lossFromEntryPct =    entryPrice > 0 ? ((entryPrice - p) / entryPrice) * 100 : 0;  if (!position.rug) {    position.rug = {      lastPrice: p,      highestPrice: p,    };    return { shouldSell: false };  }  const prev = Number(position.rug.lastPrice) || 0;  const highest = Number(position.rug.highestPrice) || p;  const dropPctFromPrev = prev > 0 ? ((prev - p) / prev) * 100 : 0;  const dropPctFromHigh = highest > 0 ? ((highest - p) / highest) * 100 : 0;  position.rug.lastPrice = p;  if (p > highest) {    position.rug.highestPrice = p;  }  console.log("[RUG_CHECK]", {    mint,    price: p,    entryPrice,    profitPct,    lossFromEntryPct,    prev,    highest,    dropPctFromPrev,    dropPctFromHigh,  });  // sudden one-tick crash  if (dropPctFromPrev >= 55) {    return {      shouldSell: true,      reason: "rug_price_crash_tick",      dropPctFromPrev,    };  }  // hard stop from entry  if (lossFromEntryPct >= 40) {    return {      shouldSell: true,      reason: "rug_loss_from_entry",      lossFromEntryPct,    };  }  // deep collapse from local high, only after meaningful profit  if (profitPct >= 25 && dropPctFromHigh >= 70) {    return {      shouldSell: true,      reason: "rug_drop_from_high",      dropPctFromHigh,      profitPct,    };  }  return { shouldSell: false };}// ---------------- SELL EXECUTION ----------------async function trySellAndRemove(positions, pos, reason) {  const mint = resolveMint(pos);  const tokenAccount = pos.tokenAccount;  const amountRaw = pos.amountToken ?? pos.amountRaw ?? null;  if (sellInFlight.has(mint)) {    console.log(`[SELL_SKIP_INFLIGHT] mint=${mint} reason=${reason}`);    return { positions, removed: false };  }  sellInFlight.add(mint);  try {    console.log("[POS_CHECK]", {      mint,      tokenAccount: pos.tokenAccount || null,      amountToken: pos.amountToken || null,      buyPriceSOL: pos.buyPriceSOL || null,      dateAdded: pos.dateAdded || null,      pool: pos.pool || null,    });    if (!mint || !tokenAccount || !amountRaw) {      console.log("[SELL_SKIP]", {        mint: mint || null,        tokenAccount: tokenAccount || null,        amountRaw: amountRaw || null,        reason,      });      return { positions, removed: false };    }    console.log("[AUTOSELL_CALL]", {      mint,      tokenAccount,      amountRaw,      reason,      pool: pos.pool || null,    });    console.log(`[SELL] ${reason} mint=${mint} from token account=${tokenAccount}`);    await sendTelegram(      `SELL signal\nMint: ${mint}\nToken Account: ${tokenAccount}\nReason: ${reason}`    ).catch(() => null);    if (SELL_DRY_RUN) {      console.log(`[SELL-DRY-RUN] removed mint=${mint}`);      await sendTelegram(        `SELL (dry-run)\nMint: ${mint}\nToken Account: ${tokenAccount}\nReason: ${reason}`      ).catch(() => null);      top1Signals.delete(mint);      clearTrailingState(mint);      const nextPositions = positions.filter((p) => resolveMint(p) !== mint);      console.log("[POSITION_REMOVE_BEFORE_WRITE]", {        mint,        before: positions.length,        after: nextPositions.length,      });      writePositions(nextPositions);      console.log("[POSITION_REMOVE_AFTER_WRITE]", {        mint,        file: ACTIVE_POSITIONS_FILE,      });      return {        positions: nextPositions,        removed: true,      };    }    const res = await executeAutoSellPumpfun({      mint,      tokenAccount,      amountRaw,      ammPoolPublicKey: pos.pool || null,    }).catch((e) => {      console.log(`[SELL_FAIL] mint=${mint} err=${e?.message || e}`);      return null;    });    console.log("[AUTOSELL_RESULT]", {      mint,      result: res ?? null,    });    if (!res) {      await sendTelegram(        `SELL failed\nMint: ${mint}\nReason: ${reason}\nError: autosell threw`      ).catch(() => null);      return { positions, removed: false };    }    if (!res.ok) {      console.log(        `[SELL_RETRY] mint=${mint} retryable=${res.retryable} mode=${res.mode} reason=${res.reason || "unknown"}`      );      await sendTelegram(        `SELL not executed\nMint: ${mint}\nReason: ${reason}\nMode: ${res.mode}\nStatus: ${res.reason || "unknown"}`      ).catch(() => null);      return { positions, removed: false };    }    console.log(`[SELL_OK] mint=${mint} mode=${res.mode} sig=${res.signature}`);    await sendTelegram(      `SELL confirmed\nMint: ${mint}\nReason: ${reason}\nMode: ${res.mode}\nTx: https://solscan.io/tx/${res.signature}`    ).catch(() => null);    top1Signals.delete(mint);    clearTrailingState(mint);    const nextPositions = positions.filter((p) => resolveMint(p) !== mint);    console.log("[POSITION_REMOVE_BEFORE_WRITE]", {      mint,      before: positions.length,      after: nextPositions.length,    });    writePositions(nextPositions);    console.log("[POSITION_REMOVE_AFTER_WRITE]", {      mint,      file: ACTIVE_POSITIONS_FILE,    });    return {      positions: nextPositions,      removed: true,    };  } finally {    sellInFlight.delete(mint);  }}// ---------------- SIGNAL HANDLERS ----------------function top1OnSignal({ mint, action, reason, context }) {  const m = String(mint || "").trim();  if (!m) return;  console.log(`[TOP1_GUARD] action=${action} mint=${m} reason=${reason}`);  top1Signals.set(m, { action, reason, context, ts: Date.now() });}function startTop1Guard() {  if (top1GuardStarted) return;  top1GuardStarted = true;  void runTop1GuardFromActivePositions({ onSignal: top1OnSignal }).catch((e) => {    console.log("[top1_guard] crashed:", e?.message || e);    top1GuardStarted = false;  });}// ---------------- MAIN CYCLE ----------------export async function runSellCycleOnce() {  let positions = readPositions();  if (!positions.length) return { ok: true, positions: 0, removed: 0 };  let removedCount = 0;  for (const pos of [...positions]) {    const mint = resolveMint(pos);    if (!mint) continue;    if (!positions.some((p) => resolveMint(p) === mint)) continue;    // 0B) TOP1 GUARD OVERRIDE    const tSig = top1Signals.get(mint);    if (tSig?.action === "SELL") {      const out = await trySellAndRemove(positions, pos, `TOP1:${tSig.reason}`);      positions = out.positions;      if (out.removed) {        removedCount += 1;        top1Signals.delete(mint);      } else {        console.log(`[TOP1_GUARD] sell failed, will retry next tick mint=${mint}`);      }      continue;    }    console.log("[POS_CHECK]", {      mint,      tokenAccount: pos.tokenAccount || null,      amountToken: pos.amountToken || null,      buyPriceSOL: pos.buyPriceSOL || null,      dateAdded: pos.dateAdded || null,      pool: pos.pool || null,    });    const entryPrice = parseEntryPrice(pos);    if (!entryPrice) {      console.log(`[ENTRY_SKIP] mint=${mint} invalid entry price`);      continue;    }    // 1) TIME FIRST    const ts = resolveTimestampMs(pos);    console.log("[TIME_CHECK]", {      mint,      ts,      dateAdded: pos.dateAdded || null,      ageHours: ts ? (nowMs() - ts) / 3_600_000 : null,      maxHoldHours: MAX_HOLD_HOURS,    });    if (ts) {      const ageHours = (nowMs() - ts) / 3_600_000;      if (ageHours >= MAX_HOLD_HOURS) {        console.log(`[TIME_TRIGGER] mint=${mint} ageHours=${ageHours.toFixed(2)}`);        const out = await trySellAndRemove(          positions,          pos,          `TIME:${ageHours.toFixed(2)}h`        );        positions = out.positions;        if (out.removed) removedCount += 1;        continue;      }    }    // 2) PRICE FETCH AFTER TIME CHECK    const priceRes = await getPumpFunPriceOnce(buildPriceRecord(pos)).catch((e) => {      console.log(`[PRICE_FAIL] mint=${mint} err=${e?.message || e}`);      return null;    });    const price = Number(priceRes?.priceSOL);    console.log("[PRICE_CHECK]", {      mint,      raw: priceRes?.priceSOL ?? null,      parsed: Number.isFinite(price) ? price : null,    });    if (!Number.isFinite(price) || price <= 0) {      console.log(`[PRICE_SKIP] mint=${mint} invalid_price=${priceRes?.priceSOL}`);      continue;    }    // 3) EMERGENCY RUG    const rug = checkEmergencyRug(pos, price);    if (rug.shouldSell) {      const out = await trySellAndRemove(positions, pos, `RUG:${rug.reason}`);      positions = out.positions;      if (out.removed) removedCount += 1;      continue;    }    // 4) TARGET    const profitPct = computeProfitPct(entryPrice, price);    if (profitPct >= MAIN_TARGET_PCT) {      const out = await trySellAndRemove(        positions,        pos,        `TARGET:+${profitPct.toFixed(2)}%`      );      positions = out.positions;      if (out.removed) removedCount += 1;      continue;    }    // 5) TRAILING + LOCK    if (!pos.entryPrice) pos.entryPrice = entryPrice;    const trail = applyAdvancedGapTrailing(pos, price);    if (trail?.signal?.type === "LOCK_ON") {      const locked = Number(trail.signal.lockedProfitPct);      const profitNow = Number(trail.signal.profitPct);      pos.trailing ??= {};      pos.trailing.lock ??= {        active: true,        lockedProfitPct: locked,        notifiedAt: null,      };      const lockObj = pos.trailing.lock;      const lastNotified = lockObj.notifiedAt;      const shouldNotify =        lastNotified == null || Number(lastNotified) !== locked;      if (shouldNotify) {        lockObj.notifiedAt = locked;        await sendTelegram(          `LOCK updated\nMint: ${mint}\nProfit: ${profitNow.toFixed(2)}%\nLocked: ${locked.toFixed(2)}%`        ).catch(() => null);      }    }    if (trail?.shouldSell) {      const out = await trySellAndRemove(positions, pos, `TRAIL:${trail.reason}`);      positions = out.positions;      if (out.removed) removedCount += 1;      continue;    }    pos.lastPriceSOL = price;    pos.lastCheckedAt = new Date().toISOString();  }  writePositions(positions);  return { ok: true, positions: positions.length, removed: removedCount };}// ---------------- START/STOP LOOP ----------------let sellTimer = null;let sellTickRunning = false;async function runSellTick(label) {  if (sellTickRunning) return;  sellTickRunning = true;  try {    await runSellCycleOnce();  } catch (err) {    console.error(`[sellCaller] ${label} error:`, err?.message || err);  } finally {    sellTickRunning = false;  }}export function startSellCaller() {  if (sellTimer) return;  console.log("[sellCaller] started", { POLL_INTERVAL_MS });  startTop1Guard();  void runSellTick("initial tick");  sellTimer = setInterval(() => {    void runSellTick("loop tick");  }, POLL_INTERVAL_MS);}export async function stopSellCaller(reason = "manual") {  if (!sellTimer) return;  clearInterval(sellTimer);  sellTimer = null;  while (sellTickRunning) {    await new Promise((r) => setTimeout(r, 200));  }  console.log("[sellCaller] stopped", { reason });}if (process.argv[1] === new URL(import.meta.url).pathname) {  console.log("[NODE] sellCaller_pumpfun running");  startSellCaller();}
\ No newline at end of file
+// sellCaller_pumpfun.js (ESM)// Add candle_exit_guard integration (SELL signals) without changing your existing exits.import fs from "fs";import path from "path";import fetch from "node-fetch";import dotenv from "dotenv";import {  applyAdvancedGapTrailing,  clearTrailingState,} from "./advanced_trailing.js";import { getPumpFunPriceOnce } from "./pumpfun_Price2.js";import { runTop1GuardFromActivePositions } from "./top1_guard.js";import { executeAutoSellPumpfun } from "./autoSell_pumpfun.js";import { isTakeProfitEnabled, nextTranche, recordTranche } from "./take_profit.js";import { fetchFills } from "./fill_parser.js";import { appendTrade } from "./trade_history.js";dotenv.config();// ---------------- signal buses ----------------const top1Signals = new Map(); // mint -> { action, reason, context, ts }let top1GuardStarted = false;const sellInFlight = new Set();const ACTIVE_POSITIONS_FILE = path.resolve(  process.env.ACTIVE_POSITIONS_FILE || "./active_positions.json");const POLL_INTERVAL_MS = Number(process.env.SELL_POLL_INTERVAL_MS || 10_000);const MAX_HOLD_HOURS = Number(process.env.MAX_HOLD_HOURS || 24);const MAIN_TARGET_PCT = Number(process.env.MAIN_TARGET_PCT || 200);const SELL_DRY_RUN = process.env.SELL_DRY_RUN === "1";// owner of the sold token accounts, for reading exit fillsconst WALLET_ADDRESS = process.env.WALLET_ADDRESS;// ---------------- utils ----------------function readPositions() {  try {    if (!fs.existsSync(ACTIVE_POSITIONS_FILE)) return [];    return JSON.parse(fs.readFileSync(ACTIVE_POSITIONS_FILE, "utf8") || "[]");  } catch {    return [];  }}function writePositions(arr) {  const tmp = `${ACTIVE_POSITIONS_FILE}.tmp`;  fs.writeFileSync(tmp, JSON.stringify(arr, null, 2), "utf8");  fs.renameSync(tmp, ACTIVE_POSITIONS_FILE);  console.log("[WRITE_POSITIONS_OK]", {    file: ACTIVE_POSITIONS_FILE,    count: Array.isArray(arr) ? arr.length : "not_array",  });}function nowMs() {  return Date.now();}async function sendTelegram(text) {  const token = process.env.TELEGRAM_BOT_TOKEN;  const chatId = process.env.TELEGRAM_CHAT_ID;  if (!token || !chatId) return;  await fetch(`https://api.telegram.org/bot${token}/sendMessage`, {    method: "POST",    headers: { "Content-Type": "application/json" },    body: JSON.stringify({ chat_id: chatId, text }),  }).catch(() => null);}function parseEntryPrice(pos) {  const ep = Number(    pos?.entryPrice ??      pos?.buyPriceSOL ??      pos?.buyPrice ??      pos?.buy_price ??      0  );  return Number.isFinite(ep) && ep > 0 ? ep : 0;}function resolveMint(pos) {  return (pos?.mintAddress || pos?.mint || "").toString().trim();}function resolveTimestampMs(pos) {  const raw =    pos?.openedAt ??    pos?.timestamp ??    pos?.boughtAt ??    pos?.createdAt ??    pos?.dateAdded ??    null;  if (raw == null) return 0;  // Case 1: already a number (correct format from your buy JSON)  if (typeof raw === "number" && Number.isFinite(raw)) {    return raw;  }  // Case 2: numeric string (e.g. "1742400000000")  if (typeof raw === "string" && /^\d+$/.test(raw.trim())) {    const n = Number(raw);    return Number.isFinite(n) ? n : 0;  }  // Case 3: ISO date string  const t = Date.parse(String(raw));  return Number.isFinite(t) ? t : 0;}function buildPriceRecord(pos) {  const mint = resolveMint(pos);  return { mint, migration: pos?.migration || null };}function computeProfitPct(entryPrice, currentPrice) {  const e = Number(entryPrice);  const p = Number(currentPrice);  if (!Number.isFinite(e) || !Number.isFinite(p) || e <= 0) return 0;  return ((p - e) / e) * 100;}// ---------------- EMERGENCY RUG EXIT ----------------function checkEmergencyRug(position, priceSOL) {  const mint = resolveMint(position);  if (!mint) return { shouldSell: false };  const p = Number(priceSOL);  if (!Number.isFinite(p) || p <= 0) return { shouldSell: false };  const entryPrice = parseEntryPrice(position);  const profitPct =    entryPrice > 0 ? ((p - entryPrice) / entryPrice) * 100 : 0;  const lossFromEntryPct =    entryPrice > 0 ? ((entryPrice - p) / entryPrice) * 100 : 0;  if (!position.rug) {    position.rug = {      lastPrice: p,      highestPrice: p,    };    return { shouldSell: false };  }  const prev = Number(position.rug.lastPrice) || 0;  const highest = Number(position.rug.highestPrice) || p;  const dropPctFromPrev = prev > 0 ? ((prev - p) / prev) * 100 : 0;  const dropPctFromHigh = highest > 0 ? ((highest - p) / highest) * 100 : 0;  position.rug.lastPrice = p;  if (p > highest) {    position.rug.highestPrice = p;  }  console.log("[RUG_CHECK]", {    mint,    price: p,    entryPrice,    profitPct,    lossFromEntryPct,    prev,    highest,    dropPctFromPrev,    dropPctFromHigh,  });  // sudden one-tick crash  if (dropPctFromPrev >= 55) {    return {      shouldSell: true,      reason: "rug_price_crash_tick",      dropPctFromPrev,    };  }  // hard stop from entry  if (lossFromEntryPct >= 40) {    return {      shouldSell: true,      reason: "rug_loss_from_entry",      lossFromEntryPct,    };  }  // deep collapse from local high, only after meaningful profit  if (profitPct >= 25 && dropPctFromHigh >= 70) {    return {      shouldSell: true,      reason: "rug_drop_from_high",      dropPctFromHigh,      profitPct,    };  }  return { shouldSell: false };}// Actual exit fill over all sell signatures; null without WALLET_ADDRESS or when unreadable.async function readExitFill(mint, signatures) {  if (!WALLET_ADDRESS || !signatures?.length) return null;  const fill = await fetchFills(null, signatures, { owner: WALLET_ADDRESS, mint }).catch(() => null);  if (!fill) return null;  const { fills, ...summary } = fill;  console.log("[SELL_FILL]", {    mint,    exitPriceSol: summary.effectivePriceSol,    proceedsSol: summary.effectiveSol,    priorityFeeLamports: summary.priorityFeeLamports,    protocolFeeLamports: summary.protocolFeeLamports,    rentLamports: summary.rentLamports,  });  return summary;}// ---------------- SELL EXECUTION ----------------async function trySellAndRemove(positions, pos, reason) {  const mint = resolveMint(pos);  const tokenAccount = pos.tokenAccount;  const amountRaw = pos.amountToken ?? pos.amountRaw ?? null;  if (sellInFlight.has(mint)) {    console.log(`[SELL_SKIP_INFLIGHT] mint=${mint} reason=${reason}`);    return { positions, removed: false };  }  sellInFlight.add(mint);  try {    console.log("[POS_CHECK]", {      mint,      tokenAccount: pos.tokenAccount || null,      amountToken: pos.amountToken || null,      buyPriceSOL: pos.buyPriceSOL || null,      dateAdded: pos.dateAdded || null,      pool: pos.pool || null,    });    if (!mint || !tokenAccount || !amountRaw) {      console.log("[SELL_SKIP]", {        mint: mint || null,        tokenAccount: tokenAccount || null,        amountRaw: amountRaw || null,        reason,      });      return { positions, removed: false };    }    console.log("[AUTOSELL_CALL]", {      mint,      tokenAccount,      amountRaw,      reason,      pool: pos.pool || null,    });    console.log(`[SELL] ${reason} mint=${mint} from token account=${tokenAccount}`);    await sendTelegram(      `SELL signal\nMint: ${mint}\nToken Account: ${tokenAccount}\nReason: ${reason}`    ).catch(() => null);    if (SELL_DRY_RUN) {      console.log(`[SELL-DRY-RUN] removed mint=${mint}`);      await sendTelegram(        `SELL (dry-run)\nMint: ${mint}\nToken Account: ${tokenAccount}\nReason: ${reason}`      ).catch(() => null);      top1Signals.delete(mint);      clearTrailingState(mint);      const nextPositions = positions.filter((p) => resolveMint(p) !== mint);      console.log("[POSITION_REMOVE_BEFORE_WRITE]", {        mint,        before: positions.length,        after: nextPositions.length,      });      writePositions(nextPositions);      console.log("[POSITION_REMOVE_AFTER_WRITE]", {        mint,        file: ACTIVE_POSITIONS_FILE,      });      return {        positions: nextPositions,        removed: true,      };    }    const res = await executeAutoSellPumpfun({      mint,      tokenAccount,      amountRaw,      ammPoolPublicKey: pos.pool || null,      reason,    }).catch((e) => {      console.log(`[SELL_FAIL] mint=${mint} err=${e?.message || e}`);      return null;    });    console.log("[AUTOSELL_RESULT]", {      mint,      result: res ?? null,    });    if (!res) {      await sendTelegram(        `SELL failed\nMint: ${mint}\nReason: ${reason}\nError: autosell threw`      ).catch(() => null);      return { positions, removed: false };    }    if (!res.ok) {      console.log(        `[SELL_RETRY] mint=${mint} retryable=${res.retryable} mode=${res.mode} reason=${res.reason || "unknown"}`      );      await sendTelegram(        `SELL not executed\nMint: ${mint}\nReason: ${reason}\nMode: ${res.mode}\nStatus: ${res.reason || "unknown"}`      ).catch(() => null);      return { positions, removed: false };    }    const signatures = res.signatures || [];    console.log(`[SELL_OK] mint=${mint} mode=${res.mode} sigs=${signatures.join(",")}`);    const fill = await readExitFill(mint, signatures);    const costBasisSol = typeof pos.amountSol === "number" ? pos.amountSol : null;    const proceedsSol = fill?.effectivePriceSol ? fill.effectiveSol : null;    appendTrade({      side: "sell",      mint,      reason,      mode: res.mode,      signatures,      amountToken: String(amountRaw),      priceSol: fill?.effectivePriceSol ?? null,      costBasisSol,      proceedsSol,      pnlSol: proceedsSol != null && costBasisSol != null ? proceedsSol - costBasisSol : null,      fill,    });    await sendTelegram(      `SELL confirmed\nMint: ${mint}\nReason: ${reason}\nMode: ${res.mode}${fill?.effectivePriceSol ? `\nExit price: ${fill.effectivePriceSol} SOL\nProceeds: ${fill.effectiveSol.toFixed(4)} SOL` : ""}\nTx: ${signatures.map((s) => `https://solscan.io/tx/${s}`).join("\n")}`    ).catch(() => null);    top1Signals.delete(mint);    clearTrailingState(mint);    const nextPositions = positions.filter((p) => resolveMint(p) !== mint);    console.log("[POSITION_REMOVE_BEFORE_WRITE]", {      mint,      before: positions.length,      after: nextPositions.length,    });    writePositions(nextPositions);    console.log("[POSITION_REMOVE_AFTER_WRITE]", {      mint,      file: ACTIVE_POSITIONS_FILE,    });    return {      positions: nextPositions,      removed: true,    };  } finally {    sellInFlight.delete(mint);  }}// ---------------- PARTIAL SELL (take-profit tranche) ----------------// Sells part of the position and keeps it (with trailing / lock state) open.async function trySellTranche(positions, pos, tranche, priceSOL, profitPct) {  const mint = resolveMint(pos);  const tokenAccount = pos.tokenAccount;  const reason = `TP:+${tranche.targets.join("/")}%`;  if (sellInFlight.has(mint)) {    console.log(`[SELL_SKIP_INFLIGHT] mint=${mint} reason=${reason}`);    return false;  }  if (!mint || !tokenAccount) {    console.log("[TP_SKIP]", { mint: mint || null, tokenAccount: tokenAccount || null, reason });    return false;  }  sellInFlight.add(mint);  try {    console.log("[TP_TRANCHE]", {      mint,      targets: tranche.targets,      sellPct: tranche.sellPct,      amountRaw: tranche.amountRaw,      remainingBefore: pos.amountToken,      profitPct,    });    let res = { ok: true, mode: "dry_run", signatures: [] };    if (!SELL_DRY_RUN) {      res = await executeAutoSellPumpfun({        mint,        tokenAccount,        amountRaw: tranche.amountRaw,        ammPoolPublicKey: pos.pool || null,        reason,      }).catch((e) => {        console.log(`[TP_FAIL] mint=${mint} err=${e?.message || e}`);        return null;      });    }    if (!res?.ok) {      await sendTelegram(        `TAKE PROFIT not executed\nMint: ${mint}\nTargets: +${tranche.targets.join("% / +")}%\nStatus: ${res?.reason || "autosell threw"}`      ).catch(() => null);      return false;    }    const fill = SELL_DRY_RUN ? null : await readExitFill(mint, res.signatures);    const booked = recordTranche(pos, tranche, {      priceSOL,      profitPct,      signatures: res.signatures || [],      mode: res.mode,      fill,    });    writePositions(positions);    if (!SELL_DRY_RUN) {      appendTrade({        side: "sell",        mint,        reason,        mode: res.mode,        signatures: res.signatures || [],        amountToken: tranche.amountRaw,        priceSol: fill?.effectivePriceSol ?? priceSOL,        costBasisSol: booked.costSol,        proceedsSol: booked.proceedsSol,        pnlSol: booked.proceedsSol - booked.costSol,        fill,      });    }    console.log("[TP_OK]", { mint, mode: res.mode, ...booked });    await sendTelegram(      `TAKE PROFIT${SELL_DRY_RUN ? " (dry-run)" : ""}\nMint: ${mint}\nTargets: +${tranche.targets.join("% / +")}%\nSold: ${tranche.sellPct}% of position\nRemaining(raw): ${booked.remainingAmountToken}\nRealized: ~${booked.realizedSol.toFixed(4)} SOL${res.signatures?.length ? `\nTxs: ${res.signatures.join(", ")}` : ""}`    ).catch(() => null);    return true;  } finally {    sellInFlight.delete(mint);  }}// ---------------- SIGNAL HANDLERS ----------------function top1OnSignal({ mint, action, reason, context }) {  const m = String(mint || "").trim();  if (!m) return;  console.log(`[TOP1_GUARD] action=${action} mint=${m} reason=${reason}`);  top1Signals.set(m, { action, reason, context, ts: Date.now() });}function startTop1Guard() {  if (top1GuardStarted) return;  top1GuardStarted = true;  void runTop1GuardFromActivePositions({ onSignal: top1OnSignal }).catch((e) => {    console.log("[top1_guard] crashed:", e?.message || e);    top1GuardStarted = false;  });}// ---------------- MAIN CYCLE ----------------export async function runSellCycleOnce() {  let positions = readPositions();  if (!positions.length) return { ok: true, positions: 0, removed: 0 };  let removedCount = 0;  for (const pos of [...positions]) {    const mint = resolveMint(pos);    if (!mint) continue;    if (!positions.some((p) => resolveMint(p) === mint)) continue;    // 0B) TOP1 GUARD OVERRIDE    const tSig = top1Signals.get(mint);    if (tSig?.action === "SELL") {      const out = await trySellAndRemove(positions, pos, `TOP1:${tSig.reason}`);      positions = out.positions;      if (out.removed) {        removedCount += 1;        top1Signals.delete(mint);      } else {        console.log(`[TOP1_GUARD] sell failed, will retry next tick mint=${mint}`);      }      continue;    }    console.log("[POS_CHECK]", {      mint,      tokenAccount: pos.tokenAccount || null,      amountToken: pos.amountToken || null,      buyPriceSOL: pos.buyPriceSOL || null,      dateAdded: pos.dateAdded || null,      pool: pos.pool || null,    });    const entryPrice = parseEntryPrice(pos);    if (!entryPrice) {      console.log(`[ENTRY_SKIP] mint=${mint} invalid entry price`);      continue;    }    // 1) TIME FIRST    const ts = resolveTimestampMs(pos);    console.log("[TIME_CHECK]", {      mint,      ts,      dateAdded: pos.dateAdded || null,      ageHours: ts ? (nowMs() - ts) / 3_600_000 : null,      maxHoldHours: MAX_HOLD_HOURS,    });    if (ts) {      const ageHours = (nowMs() - ts) / 3_600_000;      if (ageHours >= MAX_HOLD_HOURS) {        console.log(`[TIME_TRIGGER] mint=${mint} ageHours=${ageHours.toFixed(2)}`);        const out = await trySellAndRemove(          positions,          pos,          `TIME:${ageHours.toFixed(2)}h`        );        positions = out.positions;        if (out.removed) removedCount += 1;        continue;      }    }    // 2) PRICE FETCH AFTER TIME CHECK    const priceRes = await getPumpFunPriceOnce(buildPriceRecord(pos)).catch((e) => {      console.log(`[PRICE_FAIL] mint=${mint} err=${e?.message || e}`);      return null;    });    const price = Number(priceRes?.priceSOL);    console.log("[PRICE_CHECK]", {      mint,      raw: priceRes?.priceSOL ?? null,      parsed: Number.isFinite(price) ? price : null,    });    if (!Number.isFinite(price) || price <= 0) {      console.log(`[PRICE_SKIP] mint=${mint} invalid_price=${priceRes?.priceSOL}`);      continue;    }    // 3) EMERGENCY RUG    const rug = checkEmergencyRug(pos, price);    if (rug.shouldSell) {      const out = await trySellAndRemove(positions, pos, `RUG:${rug.reason}`);      positions = out.positions;      if (out.removed) removedCount += 1;      continue;    }    // 4) TARGET (take-profit ladder when TAKE_PROFIT_LADDER is set)    const profitPct = computeProfitPct(entryPrice, price);    const tranche = isTakeProfitEnabled() ? nextTranche(pos, profitPct) : null;    if (tranche?.final) {      const out = await trySellAndRemove(        positions,        pos,        `TP:+${profitPct.toFixed(2)}%`      );      positions = out.positions;      if (out.removed) removedCount += 1;      continue;    }    if (tranche) {      // remainder stays open and falls through to trailing / lock      await trySellTranche(positions, pos, tranche, price, profitPct);    }    if (!isTakeProfitEnabled() && profitPct >= MAIN_TARGET_PCT) {      const out = await trySellAndRemove(        positions,        pos,        `TARGET:+${profitPct.toFixed(2)}%`      );      positions = out.positions;      if (out.removed) removedCount += 1;      continue;    }    // 5) TRAILING + LOCK    if (!pos.entryPrice) pos.entryPrice = entryPrice;    const trail = applyAdvancedGapTrailing(pos, price);    if (trail?.signal?.type === "LOCK_ON") {      const locked = Number(trail.signal.lockedProfitPct);      const profitNow = Number(trail.signal.profitPct);      pos.trailing ??= {};      pos.trailing.lock ??= {        active: true,        lockedProfitPct: locked,        notifiedAt: null,      };      const lockObj = pos.trailing.lock;      const lastNotified = lockObj.notifiedAt;      const shouldNotify =        lastNotified == null || Number(lastNotified) !== locked;      if (shouldNotify) {        lockObj.notifiedAt = locked;        await sendTelegram(          `LOCK updated\nMint: ${mint}\nProfit: ${profitNow.toFixed(2)}%\nLocked: ${locked.toFixed(2)}%`        ).catch(() => null);      }    }    if (trail?.shouldSell) {      const out = await trySellAndRemove(positions, pos, `TRAIL:${trail.reason}`);      positions = out.positions;      if (out.removed) removedCount += 1;      continue;    }    pos.lastPriceSOL = price;    pos.lastCheckedAt = new Date().toISOString();  }  writePositions(positions);  return { ok: true, positions: positions.length, removed: removedCount };}// ---------------- START/STOP LOOP ----------------let sellTimer = null;let sellTickRunning = false;async function runSellTick(label) {  if (sellTickRunning) return;  sellTickRunning = true;  try {    await runSellCycleOnce();  } catch (err) {    console.error(`[sellCaller] ${label} error:`, err?.message || err);  } finally {    sellTickRunning = false;  }}export function startSellCaller() {  if (sellTimer) return;  console.log("[sellCaller] started", { POLL_INTERVAL_MS });  startTop1Guard();  void runSellTick("initial tick");  sellTimer = setInterval(() => {    void runSellTick("loop tick");  }, POLL_INTERVAL_MS);}export async function stopSellCaller(reason = "manual") {  if (!sellTimer) return;  clearInterval(sellTimer);  sellTimer = null;  while (sellTickRunning) {    await new Promise((r) => setTimeout(r, 200));  }  console.log("[sellCaller] stopped", { reason });}if (process.argv[1] === new URL(import.meta.url).pathname) {  console.log("[NODE] sellCaller_pumpfun running");  startSellCaller();}
\ No newline at end of file
@@ -0,0 +1,219 @@
+// slot_ingester.js (ESM)
+// Walks every confirmed slot from a persisted cursor to the tip.
+//
+// - getBlocks() lists produced slots, so skipped slots cost no getBlock call
+// - blocks are fetched under a bounded concurrency budget (p-queue)
+// - blocks are handed to onBlock in ascending slot order
+// - the cursor only advances over a contiguous processed prefix; a block that
+//   is "not available yet" is retried on the next run instead of being dropped
+// - a slot that stays missing for maxMissingRetries runs is logged and skipped
+
+import PQueue from "p-queue";
+
+// RPC error codes
+const SLOT_SKIPPED = -32007; // slot was skipped, or missing due to ledger jump
+const LONG_TERM_STORAGE_MISSING = -32009; // slot missing in long-term storage
+const BLOCK_NOT_AVAILABLE = -32004; // block not available for slot (yet)
+
+function isSkippedSlotError(err) {
+  return err?.code === SLOT_SKIPPED || err?.code === LONG_TERM_STORAGE_MISSING;
+}
+
+function isNotAvailableError(err) {
+  const msg = String(err?.message || err || "").toLowerCase();
+  return err?.code === BLOCK_NOT_AVAILABLE || msg.includes("not available");
+}
+
+/**
+ * @param {object} opts
+ * @param {() => Promise<import("@solana/web3.js").Connection>} opts.getConnection
+ * @param {() => number|null} opts.getCursor - last processed slot (null = start at tip)
+ * @param {(slot: number) => void} opts.setCursor
+ * @param {(slot: number, block: object) => (void|Promise<void>)} opts.onBlock
+ * @param {number} [opts.concurrency]
+ * @param {number} [opts.maxSlotsPerBatch]
+ * @param {number} [opts.maxMissingRetries]
+ * @param {string} [opts.label]
+ */
+export function createSlotRangeIngester({
+  getConnection,
+  getCursor,
+  setCursor,
+  onBlock,
+  concurrency = 4,
+  maxSlotsPerBatch = 150,
+  maxMissingRetries = 5,
+  label = "SLOT_INGEST",
+}) {
+  const queue = new PQueue({ concurrency: Math.max(1, concurrency) });
+  const missingAttempts = new Map();
+
+  const stats = {
+    tip: null,
+    cursor: null,
+    lagSlots: null,
+    processedBlocks: 0,
+    skippedSlots: 0,
+    lostSlots: 0,
+    lastRunAt: null,
+  };
+
+  async function fetchBlock(conn, slot) {
+    try {
+      const block = await conn.getBlock(slot, {
+        commitment: "confirmed",
+        transactionDetails: "full",
+        maxSupportedTransactionVersion: 0,
+        rewards: false,
+      });
+
+      return block ? { status: "ok", block } : { status: "missing", reason: "null_block" };
+    } catch (err) {
+      if (isSkippedSlotError(err)) return { status: "skipped" };
+      if (isNotAvailableError(err)) return { status: "missing", reason: "not_available" };
+      return { status: "missing", reason: String(err?.message || err) };
+    }
+  }
+
+  /**
+   * Process one batch (at most maxSlotsPerBatch slots) after the cursor.
+   * @param {{ shouldStop?: () => boolean }} [ctl]
+   */
+  async function ingestBatch(ctl = {}) {
+    const conn = await getConnection();
+    const tip = await conn.getSlot("confirmed");
+
+    let cursor = getCursor();
+    if (cursor == null) {
+      // First run: start at the tip instead of replaying history
+      cursor = tip - 1;
+      setCursor(cursor);
+    }
+
+    stats.tip = tip;
+    stats.cursor = cursor;
+    stats.lagSlots = Math.max(0, tip - cursor);
+    stats.lastRunAt = Date.now();
+
+    if (tip <= cursor) return { ...stats, done: true };
+
+    const start = cursor + 1;
+    const end = Math.min(tip, cursor + maxSlotsPerBatch);
+
+    const produced = await conn.getBlocks(start, end, "confirmed");
+    const producedSet = new Set(produced);
+
+    const results = new Map();
+    await Promise.all(
+      produced.map((slot) =>
+        queue.add(async () => {
+          if (ctl.shouldStop?.()) return;
+          results.set(slot, await fetchBlock(conn, slot));
+        })
+      )
+    );
+
+    let lastContiguous = cursor;
+
+    for (let slot = start; slot <= end; slot++) {
+      if (!producedSet.has(slot)) {
+        stats.skippedSlots += 1;
+        lastContiguous = slot;
+        continue;
+      }
+
+      const res = results.get(slot);
+      if (!res) break; // stop requested before this slot was fetched
+
+      if (res.status === "skipped") {
+        stats.skippedSlots += 1;
+        lastContiguous = slot;
+        continue;
+      }
+
+      if (res.status === "missing") {
+        const attempts = (missingAttempts.get(slot) || 0) + 1;
+        missingAttempts.set(slot, attempts);
+
+        if (attempts < maxMissingRetries) {
+          console.warn(`[${label}] slot ${slot} missing (${res.reason}), retry ${attempts}/${maxMissingRetries}`);
+          break;
+        }
+
+        console.error(`[${label}] slot ${slot} still missing after ${attempts} attempts, skipping`, {
+          reason: res.reason,
+        });
+        missingAttempts.delete(slot);
+        stats.lostSlots += 1;
+        lastContiguous = slot;
+        continue;
+      }
+
+      missingAttempts.delete(slot);
+
+      try {
+        await onBlock(slot, res.block);
+      } catch (err) {
+        console.error(`[${label}] onBlock failed for slot ${slot}:`, err?.message || err);
+      }
+
+      stats.processedBlocks += 1;
+      lastContiguous = slot;
+    }
+
+    if (lastContiguous > cursor) setCursor(lastContiguous);
+
+    stats.cursor = lastContiguous;
+    stats.lagSlots = Math.max(0, tip - lastContiguous);
+
+    return { ...stats, done: lastContiguous >= tip || lastContiguous < end };
+  }
+
+  /**
+   * Catch up towards the tip within a time budget.
+   * @param {{ budgetMs?: number, shouldStop?: () => boolean }} [ctl]
+   */
+  async function ingestToTip({ budgetMs = 8_000, shouldStop } = {}) {
+    const startedAt = Date.now();
+    let res;
+
+    do {
+      res = await ingestBatch({ shouldStop });
+    } while (!res.done && !shouldStop?.() && Date.now() - startedAt < budgetMs);
+
+    console.log(`[${label}] lag`, {
+      tip: res.tip,
+      cursor: res.cursor,
+      lagSlots: res.lagSlots,
+      durationMs: Date.now() - startedAt,
+    });
+
+    return res;
+  }
+
+  /**
+   * Move the cursor to the tip without fetching blocks (another source, e.g.
+   * the websocket stream, is covering live activity).
+   */
+  async function skipToTip() {
+    const conn = await getConnection();
+    const tip = await conn.getSlot("confirmed");
+    const cursor = getCursor();
+
+    if (cursor == null || tip > cursor) setCursor(tip);
+
+    missingAttempts.clear();
+    stats.tip = tip;
+    stats.cursor = Math.max(tip, cursor ?? tip);
+    stats.lagSlots = 0;
+    stats.lastRunAt = Date.now();
+
+    return { ...stats };
+  }
+
+  function getStats() {
+    return { ...stats, pendingMissing: missingAttempts.size };
+  }
+
+  return { ingestBatch, ingestToTip, skipToTip, getStats };
+}
@@ -0,0 +1,156 @@
+// stage1_profiles.js (ESM)
+// Named Stage-1 strategy profiles, loaded from stage1_profiles.json:
+//   - market-cap band (minMcap..maxMcap, matched against the ATH market cap)
+//   - retracement levels (%)
+//   - cross-up confirmation (samples above the level, bounce margin)
+//   - candle requirement (timeframe, body % of range, momentum)
+//
+// The file is re-read when it changes, so ladders can be swapped while the bot
+// runs. STAGE1_PROFILE_NAMES limits which profiles are active.
+
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+
+const PROFILES_FILE = path.resolve(
+  process.env.STAGE1_PROFILES_FILE || "./stage1_profiles.json"
+);
+
+const ACTIVE_NAMES = String(process.env.STAGE1_PROFILE_NAMES || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+// Used when the file is missing or has no valid profile (previous hard-coded ladders)
+const DEFAULT_PROFILES = [
+  {
+    name: "low_cap",
+    minMcap: 50_000,
+    maxMcap: 199_999,
+    levels: [60, 70, 80],
+  },
+  {
+    name: "high_cap",
+    minMcap: 200_000,
+    maxMcap: 800_000,
+    levels: [50, 60],
+  },
+];
+
+let cache = { mtimeMs: null, profiles: null };
+
+// ---------------- helpers ----------------
+function num(v, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function normalizeProfile(raw, idx) {
+  const name = String(raw?.name || "").trim();
+  if (!name) throw new Error(`profile #${idx} has no name`);
+
+  const minMcap = num(raw.minMcap, NaN);
+  const maxMcap = num(raw.maxMcap, NaN);
+  if (!Number.isFinite(minMcap) || !Number.isFinite(maxMcap) || maxMcap < minMcap) {
+    throw new Error(`profile ${name}: invalid market-cap band`);
+  }
+
+  const levels = (raw.levels || [])
+    .map(Number)
+    .filter((l) => Number.isFinite(l) && l > 0 && l < 100)
+    .sort((a, b) => a - b);
+  if (!levels.length) throw new Error(`profile ${name}: no valid retracement levels`);
+
+  return {
+    name,
+    enabled: raw.enabled !== false,
+    minMcap,
+    maxMcap,
+    levels,
+    crossUp: {
+      confirmSamples: Math.max(1, Math.floor(num(raw.crossUp?.confirmSamples, 1))),
+      minBouncePct: Math.max(0, num(raw.crossUp?.minBouncePct, 0)),
+    },
+    candle: {
+      timeframe: raw.candle?.timeframe || process.env.CANDLE_STAGE1_TF || "1m",
+      minBodyPct: num(raw.candle?.minBodyPct, 15),
+      minMomentum: num(raw.candle?.minMomentum, 15),
+      minMomentumPct: num(raw.candle?.minMomentumPct, 0),
+    },
+  };
+}
+
+function buildProfiles(list, origin) {
+  const out = [];
+
+  list.forEach((raw, idx) => {
+    try {
+      out.push(normalizeProfile(raw, idx));
+    } catch (err) {
+      console.warn(`[STAGE1_PROFILES] skipping invalid profile (${origin}):`, err.message);
+    }
+  });
+
+  return out;
+}
+
+// ---------------- PUBLIC API ----------------
+/** All valid profiles (enabled or not), reloaded when the file changes. */
+export function loadStage1Profiles() {
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.statSync(PROFILES_FILE).mtimeMs;
+  } catch {
+    mtimeMs = null;
+  }
+
+  if (cache.profiles && cache.mtimeMs === mtimeMs) return cache.profiles;
+
+  let profiles = [];
+
+  if (mtimeMs != null) {
+    try {
+      const raw = JSON.parse(fs.readFileSync(PROFILES_FILE, "utf8"));
+      profiles = buildProfiles(Array.isArray(raw) ? raw : raw?.profiles || [], PROFILES_FILE);
+    } catch (err) {
+      console.error("[STAGE1_PROFILES] Failed to load profiles:", err.message);
+    }
+  }
+
+  if (!profiles.length) {
+    profiles = buildProfiles(DEFAULT_PROFILES, "defaults");
+  }
+
+  cache = { mtimeMs, profiles };
+
+  console.log("[STAGE1_PROFILES] loaded", {
+    file: mtimeMs != null ? PROFILES_FILE : "defaults",
+    profiles: profiles.map((p) => `${p.name}${p.enabled ? "" : " (disabled)"}`),
+    active: ACTIVE_NAMES.length ? ACTIVE_NAMES : "all enabled",
+  });
+
+  return profiles;
+}
+
+export function getStage1Profile(name) {
+  return loadStage1Profiles().find((p) => p.name === name) || null;
+}
+
+/**
+ * First active profile whose band contains the ATH market cap.
+ * @returns {object|null}
+ */
+export function selectStage1Profile(highMcap) {
+  const cap = Number(highMcap);
+  if (!Number.isFinite(cap)) return null;
+
+  return (
+    loadStage1Profiles().find(
+      (p) =>
+        p.enabled &&
+        (!ACTIVE_NAMES.length || ACTIVE_NAMES.includes(p.name)) &&
+        cap >= p.minMcap &&
+        cap <= p.maxMcap
+    ) || null
+  );
+}
@@ -1,27 +1,23 @@
 // stage1_retracement.js
 
 import { getPumpFunPriceOnce } from "./pumpfun_price.js";
-import { getCirculatingSupply } from "./circulatingSupply.js";
+import { getCirculatingSupply, computeMarketCaps } from "./circulatingSupply.js";
 import { fetchSolPriceUSD } from "./solPriceFetcher.js";
 import { saveMapToFile, loadMapFromFile } from "./memoryHelper.js";
+import { recordTick } from "./candle_engine.js";
+import { selectStage1Profile } from "./stage1_profiles.js";
 
 const RETRACEMENT_FILE = "./retracement_state.json";
 const MARKET_CAP_MEMORY = loadMapFromFile(RETRACEMENT_FILE);
 
-// ------------------ Target Levels ------------------
-const LOW_CAP_MIN = 50_000;
-const LOW_CAP_MAX = 199_999;
-const LOW_CAP_LEVELS = [60, 70, 80];
-
-const HIGH_CAP_MIN = 200_000;
-const HIGH_CAP_MAX = 800_000;
-const HIGH_CAP_LEVELS = [50, 60];
+// Market-cap bands, levels and cross-up rules come from stage1_profiles.js
 
 function createInitialMemory(supplyAmount) {
   return {
     newHighMcap: 0,
     newLowMcap: Infinity,
     lastCirculatingSupply: supplyAmount,
+    profile: null,
     retracementLevels: {},
     lastUpdated: Date.now(),
   };
@@ -37,12 +33,14 @@ function cloneMemory(mem) {
         ? Number(mem.newLowMcap)
         : Infinity,
     lastCirculatingSupply: Number(mem?.lastCirculatingSupply || 0),
+    profile: mem?.profile || null,
     retracementLevels: Object.fromEntries(
       Object.entries(mem?.retracementLevels || {}).map(([k, v]) => [
         k,
         {
           crossedDown: !!v?.crossedDown,
           crossedUp: !!v?.crossedUp,
+          upSamples: Number(v?.upSamples || 0),
         },
       ])
     ),
@@ -77,6 +75,35 @@ export function getMarketCapMemory(mint) {
   return mem ? cloneMemory(mem) : null;
 }
 
+/**
+ * Seed high/low from backfilled history (price_backfill.js). Only widens the
+ * known range: an existing higher high or lower low is kept.
+ */
+export function seedMarketCapMemory(mint, { highMcap, lowMcap, supply } = {}) {
+  const cleanMint = String(mint || "").trim();
+  if (!cleanMint) return null;
+
+  let mem = MARKET_CAP_MEMORY.get(cleanMint);
+  if (!mem) {
+    mem = createInitialMemory(Number(supply || 0));
+  }
+
+  if (Number.isFinite(highMcap) && highMcap > mem.newHighMcap) {
+    mem.newHighMcap = highMcap;
+  }
+
+  // Infinity is persisted as null
+  const knownLow = mem.newLowMcap == null ? Infinity : Number(mem.newLowMcap);
+  if (Number.isFinite(lowMcap) && lowMcap > 0 && lowMcap < knownLow) {
+    mem.newLowMcap = lowMcap;
+  }
+
+  mem.seededAt = Date.now();
+  persistMarketCapMemory(cleanMint, mem);
+
+  return cloneMemory(mem);
+}
+
 export async function updateMarketCapAndCheckRetracement(mint) {
   if (!mint) throw new Error("Missing mint for Stage 1");
 
@@ -85,11 +112,16 @@ export async function updateMarketCapAndCheckRetracement(mint) {
 
     // Fetch circulating supply
     const circulatingSupply = await getCirculatingSupply(cleanMint);
-    if (!circulatingSupply || typeof circulatingSupply.totalSupply !== "number") {
+    if (
+      !circulatingSupply ||
+      typeof circulatingSupply.circulatingSupply !== "number" ||
+      circulatingSupply.circulatingSupply <= 0
+    ) {
       throw new Error("Failed to fetch circulating supply");
     }
 
-    const supplyAmount = circulatingSupply.totalSupply;
+    // market cap on tradable supply (curve, pool, burn and locks excluded)
+    const supplyAmount = circulatingSupply.circulatingSupply;
 
     // Initialize memory
     let mem = MARKET_CAP_MEMORY.get(cleanMint);
@@ -117,18 +149,17 @@ export async function updateMarketCapAndCheckRetracement(mint) {
 
     // Convert token price to USD and compute market cap in USD
     const priceUsd = priceSol * solUsd;
-    const currentCap = priceUsd * supplyAmount;
+    const { marketCap: currentCap, fdv } = computeMarketCaps(circulatingSupply, priceUsd);
+
+    // every Stage-1 sample feeds the OHLC candles
+    recordTick(cleanMint, { value: currentCap });
 
     if (currentCap > mem.newHighMcap) mem.newHighMcap = currentCap;
     if (currentCap < mem.newLowMcap) mem.newLowMcap = currentCap;
 
-    // Determine level set based on newHighMcap
-    let levels;
-    if (mem.newHighMcap >= LOW_CAP_MIN && mem.newHighMcap <= LOW_CAP_MAX) {
-      levels = LOW_CAP_LEVELS;
-    } else if (mem.newHighMcap >= HIGH_CAP_MIN && mem.newHighMcap <= HIGH_CAP_MAX) {
-      levels = HIGH_CAP_LEVELS;
-    } else {
+    // Determine profile (band, levels, cross-up rules) based on newHighMcap
+    const profile = selectStage1Profile(mem.newHighMcap);
+    if (!profile) {
       persistMarketCapMemory(cleanMint, mem);
 
       return {
@@ -137,7 +168,7 @@ export async function updateMarketCapAndCheckRetracement(mint) {
           mint: cleanMint,
           currentCap,
           newHighMcap: mem.newHighMcap,
-          reason: "outside meaningful cap ranges",
+          reason: "no stage1 profile for cap range",
           priceSol,
           priceUsd,
           solUsd,
@@ -145,12 +176,23 @@ export async function updateMarketCapAndCheckRetracement(mint) {
       };
     }
 
+    // A new band means a different ladder: start its levels fresh
+    if (mem.profile && mem.profile !== profile.name) {
+      console.log(`[STAGE1] Profile ${mem.profile} → ${profile.name} for ${cleanMint}, levels reset`);
+      mem.retracementLevels = {};
+    }
+    mem.profile = profile.name;
+
+    const levels = profile.levels;
+    const { confirmSamples, minBouncePct } = profile.crossUp;
+
     // Initialize retracementLevels
     levels.forEach((lvl) => {
       if (!mem.retracementLevels[lvl]) {
         mem.retracementLevels[lvl] = {
           crossedDown: false,
           crossedUp: false,
+          upSamples: 0,
         };
       }
     });
@@ -168,9 +210,18 @@ export async function updateMarketCapAndCheckRetracement(mint) {
         console.log(`[STAGE1] Level ${level}% crossed DOWN for ${cleanMint}`);
       }
 
-      if (lvlMemory.crossedDown && !lvlMemory.crossedUp && retracement < level) {
+      if (!lvlMemory.crossedDown || lvlMemory.crossedUp) return;
+
+      // cross-up needs confirmSamples consecutive samples at least minBouncePct above the level
+      if (retracement < level - minBouncePct) {
+        lvlMemory.upSamples = (lvlMemory.upSamples || 0) + 1;
+      } else {
+        lvlMemory.upSamples = 0;
+      }
+
+      if (lvlMemory.upSamples >= confirmSamples) {
         lvlMemory.crossedUp = true;
-        console.log(`[STAGE1] Level ${level}% crossed UP for ${cleanMint}`);
+        console.log(`[STAGE1] Level ${level}% crossed UP for ${cleanMint} (profile ${profile.name})`);
       }
     });
 
@@ -186,6 +237,7 @@ export async function updateMarketCapAndCheckRetracement(mint) {
       details: {
         mint: cleanMint,
         currentCap,
+        fdv,
         newHighMcap: mem.newHighMcap,
         newLowMcap: mem.newLowMcap,
         retracement,
@@ -198,6 +250,7 @@ export async function updateMarketCapAndCheckRetracement(mint) {
         retracementLevels: { ...mem.retracementLevels },
         currentLevelCrossedUp,
         levelsUsed: levels,
+        profile,
       },
     };
   } catch (err) {
@@ -1 +1 @@
-import {   Connection,   PublicKey,   Keypair,   TransactionInstruction,   TransactionMessage,   VersionedTransaction,   ComputeBudgetProgram,   SystemProgram,   SYSVAR_RENT_PUBKEY } from "@solana/web3.js";import {  TOKEN_PROGRAM_ID,  TOKEN_2022_PROGRAM_ID,  ASSOCIATED_TOKEN_PROGRAM_ID,  getAssociatedTokenAddress,  getMint,} from "@solana/spl-token";import fs from "fs";import crypto from "crypto";import bs58 from "bs58";import dotenv from "dotenv";import PQueue from "p-queue";import BN from "bn.js";import { PumpAmmSdk, OnlinePumpAmmSdk } from "@pump-fun/pump-swap-sdk";import { canonicalPumpPoolPda } from "@pump-fun/pump-sdk";import { getPumpFunPriceOnce } from './pumpfun_price.js';dotenv.config();const ACTIVE_POSITIONS_FILE =  process.env.ACTIVE_POSITIONS_FILE || "./active_positions.json";const POOL_CACHE = new Map();let buyInProgress = false;const MAX_ENTRY = Number(process.env.MAX_ENTRY || 10);// ---------------- RPC ----------------const SIGNER_URL_1 = process.env.SIGNER_URL_1;const SIGNER_URL_2 = process.env.SIGNER_URL_2;if (!SIGNER_URL_1 || !SIGNER_URL_2) throw new Error("Missing RPC URLs");let activeRpcUrl = SIGNER_URL_1;let connection = new Connection(activeRpcUrl, "confirmed");const rpcQueue = new PQueue({  intervalCap: Number(process.env.RPC_INTERVAL_CAP || 8),  interval: Number(process.env.RPC_INTERVAL_MS || 1000),  carryoverConcurrencyCount: true,});function switchRpc(url) {  activeRpcUrl = url;  connection = new Connection(activeRpcUrl, "confirmed");}function isRetryableRpcError(e) {  const msg = String(e?.message || e || "").toLowerCase();  return (    msg.includes("429") ||    msg.includes("rate limit") ||    msg.includes("timeout") ||    msg.includes("timed out") ||    msg.includes("fetch failed") ||    msg.includes("socket hang up")  );}async function withRpcFailover(opName, fn) {  const urls = [SIGNER_URL_1, SIGNER_URL_2];  let lastErr = null;  for (const url of urls) {    if (activeRpcUrl !== url) switchRpc(url);    try {      return await rpcQueue.add(() => fn(connection));    } catch (e) {      lastErr = e;      if (!isRetryableRpcError(e)) break;    }  }  throw new Error(`[RPC_FAILOVER] ${opName} failed. Last: ${String(lastErr?.message || lastErr)}`);}// ---------------- WALLET ----------------function decryptPrivateKey(ciphertext, passphrase) {  const key = crypto.createHash("sha256").update(passphrase).digest();  const iv = Buffer.alloc(16, 0);  const decipher = crypto.createDecipheriv("aes-256-cbc", key, iv);  let decrypted = decipher.update(ciphertext, "base64", "utf8");  decrypted += decipher.final("utf8");  return decrypted;}function getWallet() {  const encrypted = process.env.ENCRYPTED_KEY;  if (!encrypted) throw new Error("ENCRYPTED_KEY missing in .env");  const passphrase = fs.readFileSync(process.env.KEY_PASSPHRASE_FILE || "/root/.wallet_pass", "utf8").trim();  return Keypair.fromSecretKey(bs58.decode(decryptPrivateKey(encrypted, passphrase)));}// ------------------ TELEGRAM NOTIFICATION ------------------async function sendTelegram(message) {  const TELEGRAM_TOKEN = process.env.TELEGRAM_BOT_TOKEN;  const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID;  if (!TELEGRAM_TOKEN || !TELEGRAM_CHAT_ID) return;  try {    await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {      method: "POST",      headers: { "Content-Type": "application/json" },      body: JSON.stringify({ chat_id: TELEGRAM_CHAT_ID, text: String(message), disable_web_page_preview: true }),    });  } catch (error) {    console.error("Error sending Telegram message:", error?.message || error);  }}// ---------------- TX ----------------async function sendV0Tx(conn, instructions, signers) {  const { blockhash, lastValidBlockHeight } = await conn.getLatestBlockhash("confirmed");  const msg = new TransactionMessage({    payerKey: signers[0].publicKey,    recentBlockhash: blockhash,    instructions,  }).compileToV0Message();  const tx = new VersionedTransaction(msg);  tx.sign(signers);  const sig = await conn.sendTransaction(tx, {    skipPreflight: false,    maxRetries: 3,  });  const conf = await conn.confirmTransaction(    { signature: sig, blockhash, lastValidBlockHeight },    "confirmed"  );  if (conf.value.err) {    throw new Error(`Tx failed: ${JSON.stringify(conf.value.err)}`);  }  return sig;}// ---------------- ATA HELPER ----------------export async function getOrCreateATAIx(connection, walletPubkey, mintPubkey) {  const mintInfo = await connection.getAccountInfo(mintPubkey, "confirmed");  if (!mintInfo) throw new Error(`❌ Mint account not found: ${mintPubkey.toBase58()}`);  let tokenProgramId;  if (mintInfo.owner.equals(TOKEN_2022_PROGRAM_ID)) {    tokenProgramId = TOKEN_2022_PROGRAM_ID;    console.log("🧾 Mint uses Token-2022 program");  } else if (mintInfo.owner.equals(TOKEN_PROGRAM_ID)) {    tokenProgramId = TOKEN_PROGRAM_ID;    console.log("🧾 Mint uses standard SPL Token program");  } else throw new Error(`❌ Unknown mint owner: ${mintInfo.owner.toBase58()}`);  const ata = await getAssociatedTokenAddress(    mintPubkey,    walletPubkey,    false,    tokenProgramId,    ASSOCIATED_TOKEN_PROGRAM_ID  );  console.log(`🧾 Derived ATA: ${ata.toBase58()}`);  const ataInfo = await connection.getAccountInfo(ata, "confirmed");  let ataIx = null;  if (!ataInfo) {    console.log(`🧾 ATA missing. Will create: ${ata.toBase58()} (tokenProgram=${tokenProgramId.toBase58()})`);    ataIx = new TransactionInstruction({      programId: ASSOCIATED_TOKEN_PROGRAM_ID,      keys: [        { pubkey: walletPubkey, isSigner: true, isWritable: true },        { pubkey: ata, isSigner: false, isWritable: true },        { pubkey: walletPubkey, isSigner: false, isWritable: false },        { pubkey: mintPubkey, isSigner: false, isWritable: false },        { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },        { pubkey: tokenProgramId, isSigner: false, isWritable: false },        { pubkey: SYSVAR_RENT_PUBKEY, isSigner: false, isWritable: false },      ],      data: Buffer.from([1]) // CreateIdempotent    });  } else {    console.log(`✅ ATA already exists: ${ata.toBase58()}`);  }  return { ata, tokenProgramId, ix: ataIx, created: !!ataIx };}// ------------------ ATOMIC WRITE ------------------function atomicWrite(file, data) {  const tempFile = file + ".tmp";  fs.writeFileSync(tempFile, JSON.stringify(data, null, 2), "utf8");  fs.renameSync(tempFile, file);}// ------------------ SAFE READ ------------------function safeReadJson(file, fallback = []) {  try {    if (!fs.existsSync(file)) return fallback;    const raw = fs.readFileSync(file, "utf8").trim();    if (!raw) return fallback;    const parsed = JSON.parse(raw);    if (Array.isArray(parsed)) return parsed;    if (typeof parsed === "object" && parsed !== null) return [parsed];    return fallback;  } catch (err) {    console.log("[SAFE_READ_JSON_FAIL]", file, err.message);    return fallback;  }}// ------------------ ACTIVE POSITIONS ------------------export function loadActivePositions() {  return safeReadJson(ACTIVE_POSITIONS_FILE, []);}export function getActivePositionCount() {  const positions = loadActivePositions();  return Array.isArray(positions) ? positions.length : 0;}export function ensureEntryCapacity() {  const currentCount = getActivePositionCount();  if (currentCount >= MAX_ENTRY) {    console.log("[MAX_ENTRY_REACHED]", { currentCount, maxEntry: MAX_ENTRY });    return { currentCount, maxEntry: MAX_ENTRY, reached: true };  }  return { currentCount, maxEntry: MAX_ENTRY, reached: false };}export function addActivePosition(position) {  let arr = safeReadJson(ACTIVE_POSITIONS_FILE, []);  arr.push(position);  atomicWrite(ACTIVE_POSITIONS_FILE, arr);  console.log("[POSITION_ADDED]", {    mint: position.mint,    count: arr.length,  });}/** * Normalize any PublicKey or string to a base58 string */export function toBase58(pubkey) {  if (!pubkey) return null;  return typeof pubkey === "string" ? pubkey : pubkey.toBase58();}// ---------------- RESOLVER ONCHAIN ----------------async function resolvePumpSwapPoolByMintOnChain(conn, mintPk) {  const mintKey = mintPk.toBase58();  if (POOL_CACHE.has(mintKey)) {    return POOL_CACHE.get(mintKey);  }  console.log(`🔎 Resolving PumpSwap pool on-chain for mint: ${mintKey}`);  const onlineAmmSdk = new OnlinePumpAmmSdk(conn);  // Fast deterministic canonical pool derivation  const poolPk = canonicalPumpPoolPda(mintPk);  // Validate that this pool actually exists on-chain  const pool = await onlineAmmSdk.fetchPool(poolPk);  if (!pool) {    throw new Error(`Canonical PumpSwap pool not found on-chain for ${mintKey}`);  }  // Defensive check: canonical pool should use this mint as baseMint  if (    pool.baseMint &&    typeof pool.baseMint.equals === "function" &&    !pool.baseMint.equals(mintPk)  ) {    throw new Error(      `Canonical pool baseMint mismatch for ${mintKey}: ${pool.baseMint.toBase58()}`    );  }  console.log(`✅ Found PumpSwap pool on-chain: ${poolPk.toBase58()}`);  POOL_CACHE.set(mintKey, poolPk);  return poolPk;}// ---------------- RESOLVER OFFCHAIN----------------async function resolvePumpSwapPoolByMintViaDexScreener(mintPk) {  const mintKey = mintPk.toBase58();  if (POOL_CACHE.has(mintKey)) {    return POOL_CACHE.get(mintKey);  }  console.log(`🔎 Resolving PumpSwap pool via DexScreener for mint: ${mintKey}`);  const url = `https://api.dexscreener.com/latest/dex/tokens/${mintKey}`;  const res = await fetch(url, {    headers: {      "accept": "application/json",      "user-agent": process.env.HTTP_UA || "Solena_pumpfunBot/1.0",    },  });  if (!res.ok) {    throw new Error(`DexScreener lookup failed: ${res.status} ${res.statusText}`);  }  const json = await res.json();  const pairs = Array.isArray(json?.pairs) ? json.pairs : [];  const pumpSwapPair = pairs.find((p) =>    p?.chainId === "solana" &&    (      String(p?.dexId || "").toLowerCase() === "pumpswap" ||      String(p?.dexId || "").toLowerCase().includes("pump")    ) &&    p?.pairAddress  );  if (!pumpSwapPair) {    throw new Error(`PumpSwap pool not found on DexScreener for mint ${mintKey}`);  }  const poolPk = new PublicKey(pumpSwapPair.pairAddress);  console.log(`✅ Found PumpSwap pool via DexScreener: ${poolPk.toBase58()}`);  POOL_CACHE.set(mintKey, poolPk);  return poolPk;}// ---------------- RESOLVER WITH FALLBACK ----------------async function resolvePumpSwapPoolWithFallback(conn, mintPk) {  try {    // Try DexScreener first    return await resolvePumpSwapPoolByMintViaDexScreener(mintPk);  } catch (dexErr) {    console.warn(`[POOL_FALLBACK] DexScreener failed for mint ${mintPk.toBase58()}:`, dexErr.message);    try {      // Fallback: On-chain canonical pool      return await resolvePumpSwapPoolByMintOnChain(conn, mintPk);    } catch (onChainErr) {      console.error(`[POOL_FALLBACK_FAIL] No pool found for mint ${mintPk.toBase58()}:`, onChainErr.message);      throw new Error(`Failed to resolve pool via DexScreener and on-chain for mint ${mintPk.toBase58()}`);    }  }}// ---------------- AMM MIGRATION BUY ----------------export async function executeAmmMigrationBuy({  mint,  amountRaw,  slippageFrac = 0.005,}) {  const hasExplicitAmount =    amountRaw !== undefined &&    amountRaw !== null &&    String(amountRaw).trim() !== "";  const hasEnvAmount =    process.env.SOL_TO_SPEND !== undefined &&    process.env.SOL_TO_SPEND !== null &&    String(process.env.SOL_TO_SPEND).trim() !== "";  if (!mint || (!hasExplicitAmount && !hasEnvAmount)) {    throw new Error("Missing required params for AMM migration buy");  }  const wallet = getWallet();  const mintPk = mint instanceof PublicKey ? mint : new PublicKey(mint);  if (buyInProgress) {    console.log("[BUY_LOCK_ACTIVE]");    await sendTelegram(      `⚠️ Buy attempt blocked: Buy already in progress for ${mintPk.toBase58()}`    );    throw new Error("Buy already in progress");  }  const { currentCount, maxEntry, reached } = ensureEntryCapacity();  if (reached) {    console.log("[MAX_ENTRY_REACHED]", { currentCount, maxEntry });    await sendTelegram(      `⚠️ Max entry reached: ${currentCount}/${maxEntry}. No further buys for ${mintPk.toBase58()}`    );    return { ok: false, reason: "MAX_ENTRY_REACHED" };  }    buyInProgress = true;  try {    return await withRpcFailover("executeAmmMigrationBuy", async (conn) => {      const onlineSdk = new OnlinePumpAmmSdk(conn);      const offlineSdk = new PumpAmmSdk(conn);      // ------------------ Ensure ATA ------------------      const { ata, ix: createAtaIx } = await getOrCreateATAIx(        conn,        wallet.publicKey,        mintPk      );      if (createAtaIx) {        await sendV0Tx(          conn,          [            ComputeBudgetProgram.setComputeUnitLimit({ units: 300000 }),            ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 50000 }),            createAtaIx,          ],          [wallet]        );      }      // ------------------ Validate mint + decimals ------------------      const mintInfo = await conn.getAccountInfo(mintPk, "confirmed");      if (!mintInfo) {        throw new Error(`Mint account not found on chain: ${mintPk.toBase58()}`);      }      const mintData = await getMint(        conn,        mintPk,        "confirmed",        mintInfo.owner.equals(TOKEN_2022_PROGRAM_ID)          ? TOKEN_2022_PROGRAM_ID          : TOKEN_PROGRAM_ID      );      const mintDecimals = mintData.decimals;      // ------------------ Pre-buy token balance ------------------      let preTokenAmountRaw = 0n;      try {        const preBalanceInfo = await conn.getTokenAccountBalance(ata, "confirmed");        preTokenAmountRaw = BigInt(preBalanceInfo?.value?.amount || "0");      } catch {        preTokenAmountRaw = 0n;      }      // ------------------ Determine input ------------------      const inputAmount = hasExplicitAmount        ? new BN(String(amountRaw))        : new BN(String(Math.floor(Number(process.env.SOL_TO_SPEND) * 1e9)));      if (inputAmount.lten(0)) {        throw new Error("Invalid input amount");      }      // ------------------ Resolve pool ------------------      const poolPk = await resolvePumpSwapPoolWithFallback(conn, mintPk);      const swapSolanaState = await onlineSdk.swapSolanaState(        poolPk,        wallet.publicKey,        ata,        undefined      );      const swapInstructions = await offlineSdk.buyQuoteInput(        swapSolanaState,        inputAmount,        slippageFrac      );      if (!swapInstructions || !swapInstructions.length) {        throw new Error("AMM buy returned empty instructions");      }      // ------------------ Send transaction ------------------      const signature = await sendV0Tx(        conn,        [          ComputeBudgetProgram.setComputeUnitLimit({ units: 300000 }),          ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 50000 }),          ...swapInstructions,        ],        [wallet]      );      console.log(`✅ Buy confirmed https://solscan.io/tx/${signature}`);      // ------------------ Retry post-buy token balance ------------------      let postTokenAmountRaw = preTokenAmountRaw;      for (let i = 0; i < 6; i++) {        try {          const postBalanceInfo = await conn.getTokenAccountBalance(ata, "confirmed");          postTokenAmountRaw = BigInt(postBalanceInfo?.value?.amount || "0");          console.log("[BALANCE_RETRY_DEBUG]", {            mint: mintPk.toBase58(),            tryNo: i + 1,            pre: preTokenAmountRaw.toString(),            post: postTokenAmountRaw.toString(),            diff: (postTokenAmountRaw - preTokenAmountRaw).toString(),          });          if (postTokenAmountRaw > preTokenAmountRaw) break;        } catch (e) {          console.log(            `[POST_BALANCE_RETRY_FAIL] mint=${mintPk.toBase58()} try=${i + 1} err=${e?.message || e}`          );        }        await new Promise((r) => setTimeout(r, 700));      }      const boughtAmountRaw = postTokenAmountRaw - preTokenAmountRaw;if (boughtAmountRaw <= 0n) {  throw new Error(`No tokens received after buy for ${mintPk.toBase58()}`);}const amountToken = boughtAmountRaw.toString();const solSpent = Number(inputAmount.toString()) / 1e9;const tokensReceived = Number(amountToken) / 10 ** mintDecimals;let safeBuyPriceSOL =  tokensReceived > 0 ? solSpent / tokensReceived : null;      console.log("[BUY_DEBUG]", {        mint: mintPk.toBase58(),        inputAmountLamports: inputAmount.toString(),        solSpent,        mintDecimals,        preTokenAmountRaw: preTokenAmountRaw.toString(),        postTokenAmountRaw: postTokenAmountRaw.toString(),        boughtAmountRaw: boughtAmountRaw.toString(),        tokensReceived,        computedBuyPriceSOL: safeBuyPriceSOL,      });      // ------------------ Keep fallback price ALWAYS ------------------      if (!Number.isFinite(safeBuyPriceSOL) || safeBuyPriceSOL <= 0) {  try {    const priceRes = await getPumpFunPriceOnce({ mint: mintPk }).catch(      () => null    );    const fallbackPrice = Number(priceRes?.priceSol);    if (Number.isFinite(fallbackPrice) && fallbackPrice > 0) {      safeBuyPriceSOL = fallbackPrice;      console.log("[BUY_PRICE_FALLBACK_USED]", {        mint: mintPk.toBase58(),        buyPriceSOL: safeBuyPriceSOL,        source: priceRes?.source ?? null,      });    }  } catch (e) {    console.log(      `[BUY_PRICE_FALLBACK_FAIL] mint=${mintPk.toBase58()} err=${e?.message || e}`    );  }}if (!Number.isFinite(safeBuyPriceSOL) || safeBuyPriceSOL <= 0) {  console.log("[ENTRY_ABORT_INVALID_BUY_PRICE]", {    mint: mintPk.toBase58(),    amountToken,    inputAmountLamports: inputAmount.toString(),    computedBuyPriceSOL: safeBuyPriceSOL,  });  throw new Error(    `Failed to compute valid buyPriceSOL for ${mintPk.toBase58()}`  );}await sendTelegram(  `✅ Buy confirmed for ${mintPk.toBase58()} at price ${safeBuyPriceSOL} SOL. Tx: https://solscan.io/tx/${signature}`);      // ------------------ Record position ------------------      const position = {        pool: toBase58(poolPk),        mint: toBase58(mintPk),        tokenAccount: toBase58(ata),        amountToken,        buyPriceSOL: safeBuyPriceSOL,        signature,        dateAdded: Date.now(),      };      console.log("[POSITION_WRITE]", {        mint: position.mint,        amountToken: position.amountToken,        buyPriceSOL: position.buyPriceSOL,        pool: position.pool,      });      addActivePosition(position);      return { ok: true, position, signature };    });  } catch (err) {    console.log("[BUY_ERROR]", err.message);    await sendTelegram(`❌ Buy failed for ${mintPk.toBase58()}: ${err.message}`);        throw err;  } finally {    buyInProgress = false;  }}
\ No newline at end of file
+import {   Connection,   PublicKey,   Keypair,   TransactionInstruction,   ComputeBudgetProgram,   SystemProgram,   SYSVAR_RENT_PUBKEY } from "@solana/web3.js";import {  TOKEN_PROGRAM_ID,  TOKEN_2022_PROGRAM_ID,  ASSOCIATED_TOKEN_PROGRAM_ID,  getAssociatedTokenAddress,  getMint,} from "@solana/spl-token";import fs from "fs";import crypto from "crypto";import bs58 from "bs58";import dotenv from "dotenv";import PQueue from "p-queue";import BN from "bn.js";import { PumpAmmSdk, OnlinePumpAmmSdk } from "@pump-fun/pump-swap-sdk";import { canonicalPumpPoolPda } from "@pump-fun/pump-sdk";import { getPumpFunPriceOnce } from './pumpfun_price.js';import { prepareInstructions } from "./tx_simulation.js";import { sendTransaction } from "./tx_manager.js";import { sendBundledTransaction, shouldUseBundle } from "./jito_bundle.js";import { checkBuyImpact, poolFeeBpsFromState } from "./price_impact_guard.js";import { applyLiquidityScale } from "./position_sizing.js";import { fetchFill } from "./fill_parser.js";import { appendTrade } from "./trade_history.js";dotenv.config();const ACTIVE_POSITIONS_FILE =  process.env.ACTIVE_POSITIONS_FILE || "./active_positions.json";const POOL_CACHE = new Map();let buyInProgress = false;const MAX_ENTRY = Number(process.env.MAX_ENTRY || 10);// ---------------- RPC ----------------const SIGNER_URL_1 = process.env.SIGNER_URL_1;const SIGNER_URL_2 = process.env.SIGNER_URL_2;if (!SIGNER_URL_1 || !SIGNER_URL_2) throw new Error("Missing RPC URLs");let activeRpcUrl = SIGNER_URL_1;let connection = new Connection(activeRpcUrl, "confirmed");const rpcQueue = new PQueue({  intervalCap: Number(process.env.RPC_INTERVAL_CAP || 8),  interval: Number(process.env.RPC_INTERVAL_MS || 1000),  carryoverConcurrencyCount: true,});function switchRpc(url) {  activeRpcUrl = url;  connection = new Connection(activeRpcUrl, "confirmed");}function isRetryableRpcError(e) {  const msg = String(e?.message || e || "").toLowerCase();  return (    msg.includes("429") ||    msg.includes("rate limit") ||    msg.includes("timeout") ||    msg.includes("timed out") ||    msg.includes("fetch failed") ||    msg.includes("socket hang up")  );}async function withRpcFailover(opName, fn) {  const urls = [SIGNER_URL_1, SIGNER_URL_2];  let lastErr = null;  for (const url of urls) {    if (activeRpcUrl !== url) switchRpc(url);    try {      return await rpcQueue.add(() => fn(connection));    } catch (e) {      lastErr = e;      if (!isRetryableRpcError(e)) break;    }  }  throw new Error(`[RPC_FAILOVER] ${opName} failed. Last: ${String(lastErr?.message || lastErr)}`);}// ---------------- WALLET ----------------function decryptPrivateKey(ciphertext, passphrase) {  const key = crypto.createHash("sha256").update(passphrase).digest();  const iv = Buffer.alloc(16, 0);  const decipher = crypto.createDecipheriv("aes-256-cbc", key, iv);  let decrypted = decipher.update(ciphertext, "base64", "utf8");  decrypted += decipher.final("utf8");  return decrypted;}function getWallet() {  const encrypted = process.env.ENCRYPTED_KEY;  if (!encrypted) throw new Error("ENCRYPTED_KEY missing in .env");  const passphrase = fs.readFileSync(process.env.KEY_PASSPHRASE_FILE || "/root/.wallet_pass", "utf8").trim();  return Keypair.fromSecretKey(bs58.decode(decryptPrivateKey(encrypted, passphrase)));}// ------------------ TELEGRAM NOTIFICATION ------------------async function sendTelegram(message) {  const TELEGRAM_TOKEN = process.env.TELEGRAM_BOT_TOKEN;  const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID;  if (!TELEGRAM_TOKEN || !TELEGRAM_CHAT_ID) return;  try {    await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {      method: "POST",      headers: { "Content-Type": "application/json" },      body: JSON.stringify({ chat_id: TELEGRAM_CHAT_ID, text: String(message), disable_web_page_preview: true }),    });  } catch (error) {    console.error("Error sending Telegram message:", error?.message || error);  }}// ---------------- ATA HELPER ----------------export async function getOrCreateATAIx(connection, walletPubkey, mintPubkey) {  const mintInfo = await connection.getAccountInfo(mintPubkey, "confirmed");  if (!mintInfo) throw new Error(`❌ Mint account not found: ${mintPubkey.toBase58()}`);  let tokenProgramId;  if (mintInfo.owner.equals(TOKEN_2022_PROGRAM_ID)) {    tokenProgramId = TOKEN_2022_PROGRAM_ID;    console.log("🧾 Mint uses Token-2022 program");  } else if (mintInfo.owner.equals(TOKEN_PROGRAM_ID)) {    tokenProgramId = TOKEN_PROGRAM_ID;    console.log("🧾 Mint uses standard SPL Token program");  } else throw new Error(`❌ Unknown mint owner: ${mintInfo.owner.toBase58()}`);  const ata = await getAssociatedTokenAddress(    mintPubkey,    walletPubkey,    false,    tokenProgramId,    ASSOCIATED_TOKEN_PROGRAM_ID  );  console.log(`🧾 Derived ATA: ${ata.toBase58()}`);  const ataInfo = await connection.getAccountInfo(ata, "confirmed");  let ataIx = null;  if (!ataInfo) {    console.log(`🧾 ATA missing. Will create: ${ata.toBase58()} (tokenProgram=${tokenProgramId.toBase58()})`);    ataIx = new TransactionInstruction({      programId: ASSOCIATED_TOKEN_PROGRAM_ID,      keys: [        { pubkey: walletPubkey, isSigner: true, isWritable: true },        { pubkey: ata, isSigner: false, isWritable: true },        { pubkey: walletPubkey, isSigner: false, isWritable: false },        { pubkey: mintPubkey, isSigner: false, isWritable: false },        { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },        { pubkey: tokenProgramId, isSigner: false, isWritable: false },        { pubkey: SYSVAR_RENT_PUBKEY, isSigner: false, isWritable: false },      ],      data: Buffer.from([1]) // CreateIdempotent    });  } else {    console.log(`✅ ATA already exists: ${ata.toBase58()}`);  }  return { ata, tokenProgramId, ix: ataIx, created: !!ataIx };}// ------------------ ATOMIC WRITE ------------------function atomicWrite(file, data) {  const tempFile = file + ".tmp";  fs.writeFileSync(tempFile, JSON.stringify(data, null, 2), "utf8");  fs.renameSync(tempFile, file);}// ------------------ SAFE READ ------------------function safeReadJson(file, fallback = []) {  try {    if (!fs.existsSync(file)) return fallback;    const raw = fs.readFileSync(file, "utf8").trim();    if (!raw) return fallback;    const parsed = JSON.parse(raw);    if (Array.isArray(parsed)) return parsed;    if (typeof parsed === "object" && parsed !== null) return [parsed];    return fallback;  } catch (err) {    console.log("[SAFE_READ_JSON_FAIL]", file, err.message);    return fallback;  }}// ------------------ ACTIVE POSITIONS ------------------export function loadActivePositions() {  return safeReadJson(ACTIVE_POSITIONS_FILE, []);}export function getActivePositionCount() {  const positions = loadActivePositions();  return Array.isArray(positions) ? positions.length : 0;}export function ensureEntryCapacity() {  const currentCount = getActivePositionCount();  if (currentCount >= MAX_ENTRY) {    console.log("[MAX_ENTRY_REACHED]", { currentCount, maxEntry: MAX_ENTRY });    return { currentCount, maxEntry: MAX_ENTRY, reached: true };  }  return { currentCount, maxEntry: MAX_ENTRY, reached: false };}export function addActivePosition(position) {  let arr = safeReadJson(ACTIVE_POSITIONS_FILE, []);  arr.push(position);  atomicWrite(ACTIVE_POSITIONS_FILE, arr);  console.log("[POSITION_ADDED]", {    mint: position.mint,    count: arr.length,  });}/** * Normalize any PublicKey or string to a base58 string */export function toBase58(pubkey) {  if (!pubkey) return null;  return typeof pubkey === "string" ? pubkey : pubkey.toBase58();}// ---------------- RESOLVER ONCHAIN ----------------async function resolvePumpSwapPoolByMintOnChain(conn, mintPk) {  const mintKey = mintPk.toBase58();  if (POOL_CACHE.has(mintKey)) {    return POOL_CACHE.get(mintKey);  }  console.log(`🔎 Resolving PumpSwap pool on-chain for mint: ${mintKey}`);  const onlineAmmSdk = new OnlinePumpAmmSdk(conn);  // Fast deterministic canonical pool derivation  const poolPk = canonicalPumpPoolPda(mintPk);  // Validate that this pool actually exists on-chain  const pool = await onlineAmmSdk.fetchPool(poolPk);  if (!pool) {    throw new Error(`Canonical PumpSwap pool not found on-chain for ${mintKey}`);  }  // Defensive check: canonical pool should use this mint as baseMint  if (    pool.baseMint &&    typeof pool.baseMint.equals === "function" &&    !pool.baseMint.equals(mintPk)  ) {    throw new Error(      `Canonical pool baseMint mismatch for ${mintKey}: ${pool.baseMint.toBase58()}`    );  }  console.log(`✅ Found PumpSwap pool on-chain: ${poolPk.toBase58()}`);  POOL_CACHE.set(mintKey, poolPk);  return poolPk;}// ---------------- RESOLVER OFFCHAIN----------------async function resolvePumpSwapPoolByMintViaDexScreener(mintPk) {  const mintKey = mintPk.toBase58();  if (POOL_CACHE.has(mintKey)) {    return POOL_CACHE.get(mintKey);  }  console.log(`🔎 Resolving PumpSwap pool via DexScreener for mint: ${mintKey}`);  const url = `https://api.dexscreener.com/latest/dex/tokens/${mintKey}`;  const res = await fetch(url, {    headers: {      "accept": "application/json",      "user-agent": process.env.HTTP_UA || "Solena_pumpfunBot/1.0",    },  });  if (!res.ok) {    throw new Error(`DexScreener lookup failed: ${res.status} ${res.statusText}`);  }  const json = await res.json();  const pairs = Array.isArray(json?.pairs) ? json.pairs : [];  const pumpSwapPair = pairs.find((p) =>    p?.chainId === "solana" &&    (      String(p?.dexId || "").toLowerCase() === "pumpswap" ||      String(p?.dexId || "").toLowerCase().includes("pump")    ) &&    p?.pairAddress  );  if (!pumpSwapPair) {    throw new Error(`PumpSwap pool not found on DexScreener for mint ${mintKey}`);  }  const poolPk = new PublicKey(pumpSwapPair.pairAddress);  console.log(`✅ Found PumpSwap pool via DexScreener: ${poolPk.toBase58()}`);  POOL_CACHE.set(mintKey, poolPk);  return poolPk;}// ---------------- RESOLVER WITH FALLBACK ----------------async function resolvePumpSwapPoolWithFallback(conn, mintPk) {  try {    // Try DexScreener first    return await resolvePumpSwapPoolByMintViaDexScreener(mintPk);  } catch (dexErr) {    console.warn(`[POOL_FALLBACK] DexScreener failed for mint ${mintPk.toBase58()}:`, dexErr.message);    try {      // Fallback: On-chain canonical pool      return await resolvePumpSwapPoolByMintOnChain(conn, mintPk);    } catch (onChainErr) {      console.error(`[POOL_FALLBACK_FAIL] No pool found for mint ${mintPk.toBase58()}:`, onChainErr.message);      throw new Error(`Failed to resolve pool via DexScreener and on-chain for mint ${mintPk.toBase58()}`);    }  }}// ---------------- AMM MIGRATION BUY ----------------export async function executeAmmMigrationBuy({  mint,  poolPk: knownPoolPk = null, // caller-verified pool, skips resolution  amountRaw,  slippageFrac = 0.005,  feeLevel = "normal",  useBundle = shouldUseBundle("buy", feeLevel),  sizing = null,}) {  const hasExplicitAmount =    amountRaw !== undefined &&    amountRaw !== null &&    String(amountRaw).trim() !== "";  const hasEnvAmount =    process.env.SOL_TO_SPEND !== undefined &&    process.env.SOL_TO_SPEND !== null &&    String(process.env.SOL_TO_SPEND).trim() !== "";  if (!mint || (!hasExplicitAmount && !hasEnvAmount)) {    throw new Error("Missing required params for AMM migration buy");  }  const wallet = getWallet();  const mintPk = mint instanceof PublicKey ? mint : new PublicKey(mint);  if (buyInProgress) {    console.log("[BUY_LOCK_ACTIVE]");    await sendTelegram(      `⚠️ Buy attempt blocked: Buy already in progress for ${mintPk.toBase58()}`    );    throw new Error("Buy already in progress");  }  const { currentCount, maxEntry, reached } = ensureEntryCapacity();  if (reached) {    console.log("[MAX_ENTRY_REACHED]", { currentCount, maxEntry });    await sendTelegram(      `⚠️ Max entry reached: ${currentCount}/${maxEntry}. No further buys for ${mintPk.toBase58()}`    );    return { ok: false, reason: "MAX_ENTRY_REACHED" };  }    buyInProgress = true;  try {    return await withRpcFailover("executeAmmMigrationBuy", async (conn) => {      const onlineSdk = new OnlinePumpAmmSdk(conn);      const offlineSdk = new PumpAmmSdk(conn);      // ------------------ Ensure ATA ------------------      const { ata, ix: createAtaIx } = await getOrCreateATAIx(        conn,        wallet.publicKey,        mintPk      );      if (createAtaIx) {        await sendTransaction(          conn,          await prepareInstructions(conn, [createAtaIx], { payer: wallet.publicKey, level: feeLevel }),          [wallet],          { label: "create_ata" }        );      }      // ------------------ Validate mint + decimals ------------------      const mintInfo = await conn.getAccountInfo(mintPk, "confirmed");      if (!mintInfo) {        throw new Error(`Mint account not found on chain: ${mintPk.toBase58()}`);      }      const mintData = await getMint(        conn,        mintPk,        "confirmed",        mintInfo.owner.equals(TOKEN_2022_PROGRAM_ID)          ? TOKEN_2022_PROGRAM_ID          : TOKEN_PROGRAM_ID      );      const mintDecimals = mintData.decimals;      // ------------------ Pre-buy token balance ------------------      let preTokenAmountRaw = 0n;      try {        const preBalanceInfo = await conn.getTokenAccountBalance(ata, "confirmed");        preTokenAmountRaw = BigInt(preBalanceInfo?.value?.amount || "0");      } catch {        preTokenAmountRaw = 0n;      }      // ------------------ Determine input ------------------      let inputAmount = hasExplicitAmount        ? new BN(String(amountRaw))        : new BN(String(Math.floor(Number(process.env.SOL_TO_SPEND) * 1e9)));      if (inputAmount.lten(0)) {        throw new Error("Invalid input amount");      }      // ------------------ Resolve pool ------------------      const poolPk = knownPoolPk        ? new PublicKey(knownPoolPk)        : await resolvePumpSwapPoolWithFallback(conn, mintPk);      const swapSolanaState = await onlineSdk.swapSolanaState(        poolPk,        wallet.publicKey,        ata,        undefined      );      // ------------------ Liquidity-scaled size (position_sizing) ------------------      if (sizing) {        const scaled = applyLiquidityScale(          inputAmount.toString(),          sizing,          Number(swapSolanaState.poolQuoteAmount.toString()) / 1e9        );        sizing = scaled.rationale;        inputAmount = new BN(scaled.amountLamports);      }      // ------------------ Price impact / liquidity guard ------------------      const impact = checkBuyImpact({        quoteReserveRaw: swapSolanaState.poolQuoteAmount,        virtualQuoteReserveRaw: swapSolanaState.pool.virtualQuoteReserves,        baseReserveRaw: swapSolanaState.poolBaseAmount,        amountInRaw: inputAmount,        feeBps: poolFeeBpsFromState(swapSolanaState),      });      console.log("[PRICE_IMPACT]", {        mint: mintPk.toBase58(),        pool: poolPk.toBase58(),        action: impact.action,        reason: impact.reason,        quoteReserveSol: impact.quoteReserveSol,        feeBps: impact.feeBps,        impactPct: Number(impact.impactPct.toFixed(3)),        amountInLamports: impact.amountInRaw.toString(),        expectedOutRaw: impact.expectedOutRaw.toString(),      });      if (!impact.ok) {        await sendTelegram(          `⚠️ Buy refused for ${mintPk.toBase58()}: ${impact.reason} (liquidity ${impact.quoteReserveSol.toFixed(2)} SOL, impact ${impact.impactPct.toFixed(2)}%)`        );        return { ok: false, reason: impact.reason, impactPct: impact.impactPct, quoteReserveSol: impact.quoteReserveSol };      }      if (impact.action === "downsize") {        await sendTelegram(          `ℹ️ Buy downsized for ${mintPk.toBase58()}: ${Number(inputAmount.toString()) / 1e9} → ${Number(impact.amountInRaw) / 1e9} SOL (impact ${impact.intendedImpactPct.toFixed(2)}% → ${impact.impactPct.toFixed(2)}%)`        );        inputAmount = new BN(impact.amountInRaw.toString());      }      const swapInstructions = await offlineSdk.buyQuoteInput(        swapSolanaState,        inputAmount,        slippageFrac      );      if (!swapInstructions || !swapInstructions.length) {        throw new Error("AMM buy returned empty instructions");      }      // ------------------ Send transaction ------------------      // bundled: swap + Jito tip, not visible to sandwich bots before landing      const send = useBundle ? sendBundledTransaction : sendTransaction;      const signature = await send(        conn,        await prepareInstructions(conn, swapInstructions, { payer: wallet.publicKey, level: feeLevel }),        [wallet],        { label: "amm_buy", level: feeLevel, tradeLamports: inputAmount.toString() }      );      console.log(`✅ Buy confirmed https://solscan.io/tx/${signature}`);      // ------------------ Retry post-buy token balance ------------------      let postTokenAmountRaw = preTokenAmountRaw;      for (let i = 0; i < 6; i++) {        try {          const postBalanceInfo = await conn.getTokenAccountBalance(ata, "confirmed");          postTokenAmountRaw = BigInt(postBalanceInfo?.value?.amount || "0");          console.log("[BALANCE_RETRY_DEBUG]", {            mint: mintPk.toBase58(),            tryNo: i + 1,            pre: preTokenAmountRaw.toString(),            post: postTokenAmountRaw.toString(),            diff: (postTokenAmountRaw - preTokenAmountRaw).toString(),          });          if (postTokenAmountRaw > preTokenAmountRaw) break;        } catch (e) {          console.log(            `[POST_BALANCE_RETRY_FAIL] mint=${mintPk.toBase58()} try=${i + 1} err=${e?.message || e}`          );        }        await new Promise((r) => setTimeout(r, 700));      }      const boughtAmountRaw = postTokenAmountRaw - preTokenAmountRaw;if (boughtAmountRaw <= 0n) {  throw new Error(`No tokens received after buy for ${mintPk.toBase58()}`);}const amountToken = boughtAmountRaw.toString();const solSpent = Number(inputAmount.toString()) / 1e9;const tokensReceived = Number(amountToken) / 10 ** mintDecimals;let safeBuyPriceSOL =  tokensReceived > 0 ? solSpent / tokensReceived : null;      // actual fill (fees, slippage; rent excluded) replaces the quoted input      const fill = await fetchFill(conn, signature, { owner: wallet.publicKey, mint: mintPk });      if (fill?.effectivePriceSol) safeBuyPriceSOL = fill.effectivePriceSol;      const costSol = fill?.effectivePriceSol ? fill.effectiveSol : solSpent;      console.log("[BUY_DEBUG]", {        mint: mintPk.toBase58(),        inputAmountLamports: inputAmount.toString(),        solSpent,        mintDecimals,        preTokenAmountRaw: preTokenAmountRaw.toString(),        postTokenAmountRaw: postTokenAmountRaw.toString(),        boughtAmountRaw: boughtAmountRaw.toString(),        tokensReceived,        computedBuyPriceSOL: safeBuyPriceSOL,        effectiveSol: fill?.effectiveSol ?? null,        priorityFeeLamports: fill?.priorityFeeLamports ?? null,        protocolFeeLamports: fill?.protocolFeeLamports ?? null,        rentLamports: fill?.rentLamports ?? null,      });      // ------------------ Keep fallback price ALWAYS ------------------      if (!Number.isFinite(safeBuyPriceSOL) || safeBuyPriceSOL <= 0) {  try {    const priceRes = await getPumpFunPriceOnce({ mint: mintPk }).catch(      () => null    );    const fallbackPrice = Number(priceRes?.priceSol);    if (Number.isFinite(fallbackPrice) && fallbackPrice > 0) {      safeBuyPriceSOL = fallbackPrice;      console.log("[BUY_PRICE_FALLBACK_USED]", {        mint: mintPk.toBase58(),        buyPriceSOL: safeBuyPriceSOL,        source: priceRes?.source ?? null,      });    }  } catch (e) {    console.log(      `[BUY_PRICE_FALLBACK_FAIL] mint=${mintPk.toBase58()} err=${e?.message || e}`    );  }}if (!Number.isFinite(safeBuyPriceSOL) || safeBuyPriceSOL <= 0) {  console.log("[ENTRY_ABORT_INVALID_BUY_PRICE]", {    mint: mintPk.toBase58(),    amountToken,    inputAmountLamports: inputAmount.toString(),    computedBuyPriceSOL: safeBuyPriceSOL,  });  throw new Error(    `Failed to compute valid buyPriceSOL for ${mintPk.toBase58()}`  );}await sendTelegram(  `✅ Buy confirmed for ${mintPk.toBase58()} at price ${safeBuyPriceSOL} SOL. Tx: https://solscan.io/tx/${signature}`);      // ------------------ Record position ------------------      const position = {        pool: toBase58(poolPk),        mint: toBase58(mintPk),        tokenAccount: toBase58(ata),        amountToken,        amountSol: costSol,        buyPriceSOL: safeBuyPriceSOL,        entryFill: fill,        signature,        dateAdded: Date.now(),        sizing: sizing ? { ...sizing, finalSol: solSpent, impactAction: impact.action } : null,      };      console.log("[POSITION_WRITE]", {        mint: position.mint,        amountToken: position.amountToken,        buyPriceSOL: position.buyPriceSOL,        pool: position.pool,      });      addActivePosition(position);      appendTrade({        side: "buy",        mint: position.mint,        reason: "amm_buy",        mode: "amm",        signatures: [signature],        amountToken,        priceSol: safeBuyPriceSOL,        costBasisSol: costSol,        fill,      });      return { ok: true, position, signature };    });  } catch (err) {    console.log("[BUY_ERROR]", err.message);    await sendTelegram(`❌ Buy failed for ${mintPk.toBase58()}: ${err.message}`);        throw err;  } finally {    buyInProgress = false;  }}
\ No newline at end of file
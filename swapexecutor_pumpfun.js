@@ -0,0 +1,397 @@
+// swapexecutor_pumpfun.js (ESM)
+// Bonding-curve buy executor for pre-migration entries. Mirrors the curve
+// sell path in autoSell_pumpfun.js: OnlinePumpSdk buy state, quote by SOL
+// input, slippage-bounded max cost via PUMP_SDK.buyInstructions.
+// Positions are written to the same active_positions.json as AMM buys, with
+// mode: "curve" and pool: null (autoSell falls back to the curve / resolves
+// the pool after migration).
+
+import {
+  Connection,
+  PublicKey,
+  Keypair,
+} from "@solana/web3.js";
+import {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  getAssociatedTokenAddressSync,
+} from "@solana/spl-token";
+import fs from "fs";
+import crypto from "crypto";
+import bs58 from "bs58";
+import dotenv from "dotenv";
+import PQueue from "p-queue";
+import BN from "bn.js";
+
+import {
+  OnlinePumpSdk,
+  PUMP_SDK,
+  getBuyTokenAmountFromSolAmount,
+  isSolLikeQuoteMint,
+} from "@pump-fun/pump-sdk";
+
+import {
+  addActivePosition,
+  ensureEntryCapacity,
+  toBase58,
+} from "./swapexecutorAMM_pumpswap.js";
+import { bondingCurvePdaForMint } from "./curve_progress.js";
+import { prepareInstructions } from "./tx_simulation.js";
+import { sendTransaction } from "./tx_manager.js";
+import { fetchFill } from "./fill_parser.js";
+import { appendTrade } from "./trade_history.js";
+
+dotenv.config();
+
+const COMMITMENT = process.env.COMMITMENT || "confirmed";
+
+const CURVE_BUY_SLIPPAGE_BPS = Number(process.env.CURVE_BUY_SLIPPAGE_BPS || 500);
+const CURVE_BUY_FEE_LEVEL = process.env.CURVE_BUY_FEE_LEVEL || "normal";
+// kept on top of the buy input for ATA rent + tx fees
+const CURVE_BUY_FEE_RESERVE_SOL = Number(process.env.CURVE_BUY_FEE_RESERVE_SOL || 0.01);
+const DRY_RUN = String(process.env.DRY_RUN || "false") === "true";
+
+let buyInProgress = false;
+
+// ---------------- RPC ----------------
+const SIGNER_URL_1 = process.env.SIGNER_URL_1;
+const SIGNER_URL_2 = process.env.SIGNER_URL_2;
+
+const RPC_CANDIDATES = [...new Set([SIGNER_URL_1, SIGNER_URL_2].filter(Boolean))];
+if (!RPC_CANDIDATES.length) throw new Error("SIGNER_URL_1 or SIGNER_URL_2 is required");
+
+const rpcQueue = new PQueue({
+  intervalCap: Number(process.env.RPC_INTERVAL_CAP || 8),
+  interval: Number(process.env.RPC_INTERVAL_MS || 1000),
+  carryoverConcurrencyCount: true,
+});
+
+function isRetryableRpcError(e) {
+  const msg = String(e?.message || e || "").toLowerCase();
+  return (
+    msg.includes("429") ||
+    msg.includes("rate limit") ||
+    msg.includes("timeout") ||
+    msg.includes("timed out") ||
+    msg.includes("fetch failed") ||
+    msg.includes("socket hang up")
+  );
+}
+
+async function withRpcFailover(opName, fn) {
+  let lastErr = null;
+  for (const url of RPC_CANDIDATES) {
+    const conn = new Connection(url, COMMITMENT);
+    try {
+      return await rpcQueue.add(() => fn(conn));
+    } catch (e) {
+      lastErr = e;
+      if (!isRetryableRpcError(e)) break;
+    }
+  }
+  throw new Error(`[RPC_FAILOVER] ${opName} failed. Last: ${String(lastErr?.message || lastErr)}`);
+}
+
+// ---------------- WALLET ----------------
+function decryptPrivateKey(ciphertext, passphrase) {
+  const key = crypto.createHash("sha256").update(passphrase).digest();
+  const iv = Buffer.alloc(16, 0);
+  const decipher = crypto.createDecipheriv("aes-256-cbc", key, iv);
+  let decrypted = decipher.update(ciphertext, "base64", "utf8");
+  decrypted += decipher.final("utf8");
+  return decrypted;
+}
+
+function getWallet() {
+  const encrypted = process.env.ENCRYPTED_KEY;
+  if (!encrypted) throw new Error("ENCRYPTED_KEY missing in .env");
+  const passphrase = fs.readFileSync(process.env.KEY_PASSPHRASE_FILE || "/root/.wallet_pass", "utf8").trim();
+  return Keypair.fromSecretKey(bs58.decode(decryptPrivateKey(encrypted, passphrase)));
+}
+
+// ------------------ TELEGRAM NOTIFICATION ------------------
+async function sendTelegram(message) {
+  const TELEGRAM_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+  const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID;
+  if (!TELEGRAM_TOKEN || !TELEGRAM_CHAT_ID) return;
+
+  try {
+    await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ chat_id: TELEGRAM_CHAT_ID, text: String(message), disable_web_page_preview: true }),
+    });
+  } catch (error) {
+    console.error("Error sending Telegram message:", error?.message || error);
+  }
+}
+
+// ---------------- CURVE STATE ----------------
+async function resolveTokenProgram(conn, mintPk) {
+  const mintInfo = await conn.getAccountInfo(mintPk, COMMITMENT);
+  if (!mintInfo) throw new Error(`Mint account not found on chain: ${mintPk.toBase58()}`);
+
+  if (mintInfo.owner.equals(TOKEN_2022_PROGRAM_ID)) return TOKEN_2022_PROGRAM_ID;
+  if (mintInfo.owner.equals(TOKEN_PROGRAM_ID)) return TOKEN_PROGRAM_ID;
+
+  throw new Error(`Unknown mint owner: ${mintInfo.owner.toBase58()}`);
+}
+
+async function readTokenBalanceRaw(conn, ata) {
+  try {
+    const info = await conn.getTokenAccountBalance(ata, COMMITMENT);
+    return { amount: BigInt(info?.value?.amount || "0"), decimals: info?.value?.decimals ?? null };
+  } catch {
+    return { amount: 0n, decimals: null };
+  }
+}
+
+// ---------------- CURVE BUY ----------------
+/**
+ * Buy a token on its Pump bonding curve (pre-migration).
+ * @param {{ candidate: { mint: string }, amountLamports?: number|string, slippageBps?: number, feeLevel?: string, sizing?: object }} params
+ *   amountLamports defaults to BUY_INPUT_SOL (or SOL_TO_SPEND) from env;
+ *   sizing is the position_sizing.js rationale, stored on the position.
+ * @returns {Promise<{ ok: boolean, reason?: string, position?: object, signature?: string, dryRun?: boolean }>}
+ */
+export async function executePumpfunBuyFromBonding({
+  candidate,
+  amountLamports,
+  slippageBps = CURVE_BUY_SLIPPAGE_BPS,
+  feeLevel = CURVE_BUY_FEE_LEVEL,
+  sizing = null,
+}) {
+  const mint = candidate?.mint;
+  if (!mint) throw new Error("Missing candidate mint for curve buy");
+
+  const envSol = Number(process.env.BUY_INPUT_SOL || process.env.SOL_TO_SPEND);
+  const inputLamports =
+    amountLamports !== undefined && amountLamports !== null && String(amountLamports).trim() !== ""
+      ? new BN(String(amountLamports))
+      : new BN(String(Math.floor((Number.isFinite(envSol) ? envSol : 0) * 1e9)));
+
+  if (inputLamports.lten(0)) {
+    throw new Error("Invalid input amount (set BUY_INPUT_SOL or pass amountLamports)");
+  }
+
+  const mintPk = mint instanceof PublicKey ? mint : new PublicKey(mint);
+  const wallet = getWallet();
+
+  if (buyInProgress) {
+    console.log("[CURVE_BUY_LOCK_ACTIVE]", { mint: mintPk.toBase58() });
+    throw new Error("Buy already in progress");
+  }
+
+  const { currentCount, maxEntry, reached } = ensureEntryCapacity();
+  if (reached) {
+    await sendTelegram(
+      `⚠️ Max entry reached: ${currentCount}/${maxEntry}. No further buys for ${mintPk.toBase58()}`
+    );
+    return { ok: false, reason: "MAX_ENTRY_REACHED" };
+  }
+
+  buyInProgress = true;
+
+  try {
+    return await withRpcFailover("executePumpfunBuyFromBonding", async (conn) => {
+      const onlineSdk = new OnlinePumpSdk(conn);
+      const tokenProgram = await resolveTokenProgram(conn, mintPk);
+
+      // ------------------ Funds ------------------
+      const balanceLamports = await conn.getBalance(wallet.publicKey, COMMITMENT);
+      const requiredLamports =
+        Number(inputLamports.toString()) + Math.floor(CURVE_BUY_FEE_RESERVE_SOL * 1e9);
+
+      if (balanceLamports < requiredLamports) {
+        console.log("[CURVE_BUY_INSUFFICIENT_FUNDS]", {
+          mint: mintPk.toBase58(),
+          balanceLamports,
+          requiredLamports,
+        });
+        return {
+          ok: false,
+          reason: "INSUFFICIENT_FUNDS",
+          balanceSol: balanceLamports / 1e9,
+          requiredSol: requiredLamports / 1e9,
+        };
+      }
+
+      // ------------------ Buy state ------------------
+      const [global, feeConfig, buyState] = await Promise.all([
+        onlineSdk.fetchGlobal(),
+        onlineSdk.fetchFeeConfig().catch(() => null),
+        onlineSdk.fetchBuyState(mintPk, wallet.publicKey, tokenProgram),
+      ]);
+
+      const { bondingCurveAccountInfo, bondingCurve, associatedUserAccountInfo, quoteMint } = buyState;
+
+      if (bondingCurve.complete) {
+        console.log("[CURVE_BUY_COMPLETE]", { mint: mintPk.toBase58() });
+        return { ok: false, reason: "CURVE_COMPLETE" };
+      }
+
+      if (quoteMint && !isSolLikeQuoteMint(quoteMint)) {
+        return { ok: false, reason: "UNSUPPORTED_QUOTE_MINT", quoteMint: quoteMint.toBase58() };
+      }
+
+      const ata = getAssociatedTokenAddressSync(mintPk, wallet.publicKey, true, tokenProgram);
+      const pre = await readTokenBalanceRaw(conn, ata);
+
+      // ------------------ Quote ------------------
+      const quotedTokenAmount = getBuyTokenAmountFromSolAmount({
+        global,
+        feeConfig,
+        mintSupply: global.tokenTotalSupply,
+        bondingCurve,
+        amount: inputLamports,
+        quoteMint,
+      });
+
+      if (quotedTokenAmount.lten(0)) {
+        return { ok: false, reason: "ZERO_QUOTE" };
+      }
+
+      const slippagePct = Math.max(1, Math.floor(slippageBps / 100));
+
+      console.log("[CURVE_BUY_QUOTE]", {
+        mint: mintPk.toBase58(),
+        inputLamports: inputLamports.toString(),
+        quotedTokenAmount: quotedTokenAmount.toString(),
+        slippagePct,
+        tokenProgram: tokenProgram.toBase58(),
+        ataExists: !!associatedUserAccountInfo,
+      });
+
+      // creates the ATA (idempotent) for SPL / Token-2022 when missing
+      const buyIxs = await PUMP_SDK.buyInstructions({
+        global,
+        bondingCurveAccountInfo,
+        bondingCurve,
+        associatedUserAccountInfo,
+        mint: mintPk,
+        user: wallet.publicKey,
+        amount: quotedTokenAmount,
+        solAmount: inputLamports,
+        slippage: slippagePct,
+        tokenProgram,
+      });
+
+      // simulated first: slippage / insufficient funds surface before a send
+      let ixs;
+      try {
+        ixs = await prepareInstructions(conn, buyIxs, { payer: wallet.publicKey, level: feeLevel });
+      } catch (e) {
+        if (!String(e?.code || "").startsWith("SIM_")) throw e;
+        console.log("[CURVE_BUY_SIM_FAIL]", { mint: mintPk.toBase58(), code: e.code });
+        return { ok: false, reason: e.code, error: e.message, dryRun: DRY_RUN, logs: e.logs || [] };
+      }
+
+      if (DRY_RUN) {
+        console.log("[CURVE_BUY_DRY_RUN]", { mint: mintPk.toBase58(), instructions: ixs.length });
+        return {
+          ok: true,
+          dryRun: true,
+          quotedTokenAmount: quotedTokenAmount.toString(),
+          inputLamports: inputLamports.toString(),
+        };
+      }
+
+      // ------------------ Send transaction ------------------
+      const signature = await sendTransaction(conn, ixs, [wallet], { label: "curve_buy" });
+      console.log(`✅ Curve buy confirmed https://solscan.io/tx/${signature}`);
+
+      // ------------------ Verify post-buy token balance ------------------
+      let post = pre;
+      for (let i = 0; i < 6; i++) {
+        post = await readTokenBalanceRaw(conn, ata);
+        if (post.amount > pre.amount) break;
+        await new Promise((r) => setTimeout(r, 700));
+      }
+
+      const boughtAmountRaw = post.amount - pre.amount;
+      if (boughtAmountRaw <= 0n) {
+        throw new Error(`No tokens received after curve buy for ${mintPk.toBase58()}`);
+      }
+
+      const decimals = post.decimals ?? 6;
+      const tokensReceived = Number(boughtAmountRaw) / 10 ** decimals;
+
+      // actual fill (fees, slippage refund; rent excluded), quoted input as fallback
+      const fill = await fetchFill(conn, signature, { owner: wallet.publicKey, mint: mintPk });
+      const solSpent = fill?.effectivePriceSol ? fill.effectiveSol : Number(inputLamports.toString()) / 1e9;
+      const buyPriceSOL = fill?.effectivePriceSol ?? (tokensReceived > 0 ? solSpent / tokensReceived : null);
+
+      console.log("[CURVE_BUY_FILL]", {
+        mint: mintPk.toBase58(),
+        inputLamports: inputLamports.toString(),
+        effectiveSol: fill?.effectiveSol ?? null,
+        priorityFeeLamports: fill?.priorityFeeLamports ?? null,
+        protocolFeeLamports: fill?.protocolFeeLamports ?? null,
+        rentLamports: fill?.rentLamports ?? null,
+        buyPriceSOL,
+      });
+
+      const quoted = BigInt(quotedTokenAmount.toString());
+      if (boughtAmountRaw < quoted) {
+        console.log("[CURVE_BUY_FILL_BELOW_QUOTE]", {
+          mint: mintPk.toBase58(),
+          quoted: quoted.toString(),
+          received: boughtAmountRaw.toString(),
+        });
+      }
+
+      if (!Number.isFinite(buyPriceSOL) || buyPriceSOL <= 0) {
+        throw new Error(`Failed to compute valid buyPriceSOL for ${mintPk.toBase58()}`);
+      }
+
+      await sendTelegram(
+        `✅ Curve buy confirmed for ${mintPk.toBase58()} at price ${buyPriceSOL} SOL. Tx: https://solscan.io/tx/${signature}`
+      );
+
+      // ------------------ Record position ------------------
+      const position = {
+        pool: null,
+        mode: "curve",
+        bondingCurve: toBase58(bondingCurvePdaForMint(mintPk)),
+        mint: toBase58(mintPk),
+        tokenAccount: toBase58(ata),
+        amountToken: boughtAmountRaw.toString(),
+        amountSol: solSpent,
+        buyPriceSOL,
+        entryFill: fill,
+        signature,
+        dateAdded: Date.now(),
+        sizing,
+      };
+
+      console.log("[POSITION_WRITE]", {
+        mint: position.mint,
+        mode: position.mode,
+        amountToken: position.amountToken,
+        buyPriceSOL: position.buyPriceSOL,
+      });
+
+      addActivePosition(position);
+
+      appendTrade({
+        side: "buy",
+        mint: position.mint,
+        reason: "curve_buy",
+        mode: "curve",
+        signatures: [signature],
+        amountToken: position.amountToken,
+        priceSol: buyPriceSOL,
+        costBasisSol: solSpent,
+        fill,
+      });
+
+      return { ok: true, position, signature };
+    });
+  } catch (err) {
+    console.log("[CURVE_BUY_ERROR]", err.message);
+    await sendTelegram(`❌ Curve buy failed for ${mintPk.toBase58()}: ${err.message}`);
+    throw err;
+  } finally {
+    buyInProgress = false;
+  }
+}
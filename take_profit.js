@@ -0,0 +1,155 @@
+// take_profit.js (ESM)
+// Tiered partial take-profit for sellCaller_pumpfun.js.
+//
+// TAKE_PROFIT_LADDER="100:30,200:30" sells 30% of the original position at
+// +100% and another 30% at +200%; the rest stays on trailing / lock exits.
+// Rungs crossed in the same tick are sold together in one tranche. When the
+// ladder is set it replaces the single MAIN_TARGET_PCT full exit.
+//
+// State lives on the position (pos.takeProfit):
+//   initialAmountToken / initialAmountSol   size at the first tranche
+//   soldAmountToken                         sum of filled tranches (raw)
+//   realizedSol                             fill proceeds (trigger-price estimate without a fill)
+//   filledTargets                           rung targets already taken
+//   tranches[]                              { targets, amountToken, priceSOL, profitPct, costSol, proceedsSol, exitPriceSol, signatures, mode, fill, at }
+// pos.amountToken becomes the remainder and pos.amountSol its cost basis,
+// so trailing, rug checks and the final exit work on what is left.
+
+import "dotenv/config";
+
+// pump tokens are 6 decimals; only used for positions recorded without amountSol
+const LEGACY_TOKEN_DECIMALS = 6;
+
+// ---------------- ladder ----------------
+/**
+ * "100:30,200:30" -> [{ targetPct: 100, sellPct: 30 }, { targetPct: 200, sellPct: 30 }]
+ * Invalid rungs are dropped; total sellPct is capped at 100.
+ */
+export function parseLadder(raw) {
+  const rungs = String(raw || "")
+    .split(",")
+    .map((part) => part.split(":").map((s) => Number(s.trim())))
+    .filter(([targetPct, sellPct]) => targetPct > 0 && sellPct > 0)
+    .map(([targetPct, sellPct]) => ({ targetPct, sellPct }))
+    .sort((a, b) => a.targetPct - b.targetPct);
+
+  let total = 0;
+  return rungs
+    .map((r) => {
+      const sellPct = Math.min(r.sellPct, 100 - total);
+      total += sellPct;
+      return { ...r, sellPct };
+    })
+    .filter((r) => r.sellPct > 0);
+}
+
+export const TAKE_PROFIT_LADDER = parseLadder(process.env.TAKE_PROFIT_LADDER);
+
+export function isTakeProfitEnabled() {
+  return TAKE_PROFIT_LADDER.length > 0;
+}
+
+// ---------------- helpers ----------------
+function toBigInt(v) {
+  try {
+    return BigInt(String(v ?? "0").split(".")[0] || "0");
+  } catch {
+    return 0n;
+  }
+}
+
+function ensureState(pos) {
+  pos.takeProfit ??= {
+    initialAmountToken: String(pos.amountToken ?? "0"),
+    initialAmountSol: typeof pos.amountSol === "number" ? pos.amountSol : null,
+    soldAmountToken: "0",
+    realizedSol: 0,
+    filledTargets: [],
+    tranches: [],
+  };
+  return pos.takeProfit;
+}
+
+function costBasisSol(pos, amountRaw) {
+  const state = pos.takeProfit;
+  const initial = toBigInt(state?.initialAmountToken ?? pos.amountToken);
+
+  if (state?.initialAmountSol && initial > 0n) {
+    return state.initialAmountSol * (Number(amountRaw) / Number(initial));
+  }
+
+  const entry = Number(pos.entryPrice ?? pos.buyPriceSOL);
+  return Number.isFinite(entry) ? (Number(amountRaw) / 10 ** LEGACY_TOKEN_DECIMALS) * entry : 0;
+}
+
+// ---------------- PUBLIC API ----------------
+/**
+ * The tranche due at `profitPct`, or null.
+ * @returns {{ targets: number[], amountRaw: string, sellPct: number, final: boolean } | null}
+ *   final: the tranche would sell everything left (caller does a full exit)
+ */
+export function nextTranche(pos, profitPct, ladder = TAKE_PROFIT_LADDER) {
+  if (!ladder.length || !Number.isFinite(profitPct)) return null;
+
+  const filled = new Set(pos.takeProfit?.filledTargets || []);
+  const due = ladder.filter((r) => profitPct >= r.targetPct && !filled.has(r.targetPct));
+  if (!due.length) return null;
+
+  const initial = toBigInt(pos.takeProfit?.initialAmountToken ?? pos.amountToken);
+  const sold = toBigInt(pos.takeProfit?.soldAmountToken);
+  const remaining = toBigInt(pos.amountToken);
+
+  // cumulative share of the original size that should be sold by now
+  const cumulativePct = ladder
+    .filter((r) => filled.has(r.targetPct) || due.includes(r))
+    .reduce((sum, r) => sum + r.sellPct, 0);
+
+  const targetSold = (initial * BigInt(Math.round(cumulativePct * 100))) / 10_000n;
+  let amount = targetSold - sold;
+  if (amount > remaining) amount = remaining;
+  if (amount <= 0n) return null;
+
+  return {
+    targets: due.map((r) => r.targetPct),
+    sellPct: due.reduce((sum, r) => sum + r.sellPct, 0),
+    amountRaw: amount.toString(),
+    final: amount >= remaining,
+  };
+}
+
+/**
+ * Book a filled tranche on the position: remaining amount, cost basis,
+ * realized proceeds and history. `fill` is the fill_parser.js result, if any.
+ */
+export function recordTranche(pos, tranche, { priceSOL, profitPct, signatures = [], mode = null, fill = null }) {
+  const state = ensureState(pos);
+  const amount = toBigInt(tranche.amountRaw);
+  const remaining = toBigInt(pos.amountToken) - amount;
+
+  const trancheCost = costBasisSol(pos, amount);
+  const proceedsSol = fill?.effectivePriceSol ? fill.effectiveSol : trancheCost * (1 + profitPct / 100);
+
+  state.soldAmountToken = (toBigInt(state.soldAmountToken) + amount).toString();
+  state.realizedSol = Number(state.realizedSol || 0) + proceedsSol;
+  state.filledTargets = [...new Set([...state.filledTargets, ...tranche.targets])];
+  state.tranches.push({
+    targets: tranche.targets,
+    amountToken: amount.toString(),
+    priceSOL,
+    profitPct,
+    costSol: trancheCost,
+    proceedsSol,
+    exitPriceSol: fill?.effectivePriceSol ?? priceSOL,
+    signatures,
+    mode,
+    fill,
+    at: Date.now(),
+  });
+
+  pos.amountToken = (remaining > 0n ? remaining : 0n).toString();
+  if (typeof pos.amountSol === "number") {
+    pos.amountSol = Math.max(0, pos.amountSol - trancheCost);
+  }
+
+  return { remainingAmountToken: pos.amountToken, costSol: trancheCost, proceedsSol, realizedSol: state.realizedSol };
+}
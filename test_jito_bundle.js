@@ -0,0 +1,182 @@
+// test_jito_bundle.js (ESM)
+// Exercises jito_bundle.js against a local HTTP stub of the block-engine API
+// and an in-memory connection. No RPC, wallet or funds needed:
+//   node test_jito_bundle.js
+import http from "http";
+import {
+  Keypair,
+  SystemProgram,
+  SystemInstruction,
+  VersionedTransaction,
+  TransactionMessage,
+} from "@solana/web3.js";
+import bs58 from "bs58";
+
+// ---------------- block-engine stub ----------------
+const stub = {
+  mode: "land", // land | drop | down
+  bundles: new Map(), // bundleId -> { signature, raw }
+  calls: [],
+};
+
+function reply(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (c) => (body += c));
+  req.on("end", () => {
+    const { id, method, params } = JSON.parse(body || "{}");
+    stub.calls.push({ path: req.url, method });
+
+    if (stub.mode === "down") return reply(res, 503, { jsonrpc: "2.0", id, error: { message: "unavailable" } });
+
+    if (method === "sendBundle") {
+      const raw = Buffer.from(params[0][0], "base64");
+      const tx = VersionedTransaction.deserialize(raw);
+      const bundleId = `bundle-${stub.bundles.size + 1}`;
+      stub.bundles.set(bundleId, { signature: bs58.encode(tx.signatures[0]), raw });
+      return reply(res, 200, { jsonrpc: "2.0", id, result: bundleId });
+    }
+
+    if (method === "getInflightBundleStatuses") {
+      const bundleId = params[0][0];
+      const status = stub.mode === "land" ? "Landed" : "Failed";
+      return reply(res, 200, { jsonrpc: "2.0", id, result: { context: { slot: 1 }, value: [{ bundle_id: bundleId, status, landed_slot: null }] } });
+    }
+
+    reply(res, 200, { jsonrpc: "2.0", id, error: { message: `unknown method ${method}` } });
+  });
+});
+
+await new Promise((r) => server.listen(0, "127.0.0.1", r));
+const { port } = server.address();
+
+process.env.JITO_BLOCK_ENGINE_URL = `http://127.0.0.1:${port}`;
+process.env.JITO_POLL_MS = "50";
+process.env.JITO_BUNDLE_TIMEOUT_MS = "1000";
+process.env.TX_REBROADCAST_MS = "50";
+process.env.TX_BROADCAST_MODE = "single";
+
+const { computeTipLamports, submitBundle } = await import("./jito_bundle.js");
+
+// second instance without the RPC fallback (env is read at import)
+process.env.JITO_FALLBACK_RPC = "0";
+const noFallback = await import("./jito_bundle.js?no_fallback");
+delete process.env.JITO_FALLBACK_RPC;
+
+// ---------------- in-memory connection ----------------
+// failPolls: first status polls that throw; heightStep: block height growth per poll;
+// landAfterPolls: bundled signatures confirm late, after that many polls
+function fakeConn({ failPolls = 0, heightStep = 0, landAfterPolls = null } = {}) {
+  const landed = new Set(); // signatures the "cluster" has confirmed
+  const rpcSent = [];
+  let polls = 0;
+  let height = 10;
+
+  return {
+    landed,
+    rpcSent,
+    rpcEndpoint: "http://fake-rpc",
+    async getLatestBlockhash() {
+      return { blockhash: bs58.encode(Keypair.generate().publicKey.toBytes()), lastValidBlockHeight: 1_000 };
+    },
+    async getBlockHeight() {
+      height += heightStep;
+      return height;
+    },
+    async getSignatureStatuses([sig]) {
+      polls += 1;
+      if (polls <= failPolls) throw new Error("fetch failed");
+      if (stub.mode === "land" || (landAfterPolls !== null && polls > landAfterPolls)) {
+        for (const b of stub.bundles.values()) landed.add(b.signature);
+      }
+      return { value: [landed.has(sig) ? { slot: 42, confirmationStatus: "confirmed", err: null } : null] };
+    },
+    async sendRawTransaction(raw) {
+      const sig = bs58.encode(VersionedTransaction.deserialize(raw).signatures[0]);
+      rpcSent.push(sig);
+      landed.add(sig);
+      return sig;
+    },
+  };
+}
+
+function tipOf(raw) {
+  const tx = VersionedTransaction.deserialize(raw);
+  const msg = TransactionMessage.decompile(tx.message);
+  const ix = msg.instructions[msg.instructions.length - 1];
+  if (!ix.programId.equals(SystemProgram.programId)) return null;
+  return Number(SystemInstruction.decodeTransfer(ix).lamports);
+}
+
+let failures = 0;
+function check(name, cond, detail = "") {
+  console.log(`${cond ? "✅" : "❌"} ${name}${detail ? ` — ${detail}` : ""}`);
+  if (!cond) failures += 1;
+}
+
+const payer = Keypair.generate();
+const ixs = [SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: Keypair.generate().publicKey, lamports: 1 })];
+
+try {
+  // ---------------- tip sizing ----------------
+  check("low tip uses level base", computeTipLamports({ level: "low" }) === 10_000);
+  check("urgent tip > normal tip", computeTipLamports({ level: "urgent" }) > computeTipLamports({ level: "normal" }));
+  check("tip scales with trade size", computeTipLamports({ level: "low", tradeLamports: 500_000_000 }) === 500_000);
+  check("tip capped at max", computeTipLamports({ level: "urgent", tradeLamports: 1e12 }) === 1_000_000);
+
+  // ---------------- bundle lands ----------------
+  stub.mode = "land";
+  let conn = fakeConn();
+  let res = await submitBundle(conn, ixs, [payer], { label: "test_land", level: "urgent" });
+  const sent = stub.bundles.get(res.bundleId);
+  check("bundle landed", res.status === "landed" && res.via === "bundle", JSON.stringify({ status: res.status, via: res.via }));
+  check("tip transfer appended", sent && tipOf(sent.raw) === res.tipLamports, `tip=${res.tipLamports}`);
+  check("no RPC send when bundle lands", conn.rpcSent.length === 0);
+
+  // ---------------- bundle dropped -> RPC fallback with the same bytes ----------------
+  stub.mode = "drop";
+  conn = fakeConn();
+  res = await submitBundle(conn, ixs, [payer], { label: "test_drop", level: "normal" });
+  const dropped = stub.bundles.get(res.bundleId);
+  check("fallback landed via RPC", res.status === "landed" && res.via === "rpc", JSON.stringify({ status: res.status, via: res.via }));
+  check("fallback resent the bundled signature", dropped && conn.rpcSent[0] === dropped.signature);
+
+  // ---------------- block engine down -> RPC fallback ----------------
+  stub.mode = "down";
+  conn = fakeConn();
+  res = await submitBundle(conn, ixs, [payer], { label: "test_down" });
+  check("engine down falls back to RPC", res.status === "landed" && res.via === "rpc" && res.bundleId === null);
+
+  // ---------------- no fallback: watched until the blockhash expires ----------------
+  stub.mode = "drop";
+  conn = fakeConn({ failPolls: 2, heightStep: 50 });
+  const t0 = Date.now();
+  res = await noFallback.submitBundle(conn, ixs, [payer], { label: "test_nofb_expire" });
+  check("no fallback reports expired, not a timeout", res.status === "expired" && res.via === "bundle", JSON.stringify({ status: res.status, engine: res.engineStatus }));
+  check("no fallback never sends over RPC", conn.rpcSent.length === 0);
+  check("watched until the blockhash expired", Date.now() - t0 >= 1000, `${Date.now() - t0}ms`);
+
+  conn = fakeConn({ heightStep: 10, landAfterPolls: 25 });
+  res = await noFallback.submitBundle(conn, ixs, [payer], { label: "test_nofb_late" });
+  check("late landing after the bundle timeout is reported", res.status === "landed" && res.via === "bundle", res.status);
+
+  conn = fakeConn({ heightStep: 50 });
+  const err = await noFallback.sendBundledTransaction(conn, ixs, [payer], { label: "test_nofb_error" }).catch((e) => e);
+  check("expired bundle throws BUNDLE_NOT_LANDED", err?.code === "BUNDLE_NOT_LANDED" && err.signatures?.length === 1, err?.code);
+  check("error message has no retryable wording", !/429|rate limit|timeout|timed out|fetch failed|socket hang up/i.test(err?.message || ""), err?.message);
+  check("engine status kept in cause", err?.cause?.engineStatus === "Failed", JSON.stringify(err?.cause));
+
+  check("status polled on getInflightBundleStatuses path", stub.calls.some((c) => c.path === "/api/v1/getInflightBundleStatuses"));
+} catch (e) {
+  console.error("❌ test crashed:", e?.stack || e);
+  failures += 1;
+} finally {
+  server.close();
+}
+
+console.log(failures ? `\n${failures} check(s) failed` : "\nall checks passed");
+process.exit(failures ? 1 : 0);
@@ -0,0 +1,94 @@
+// test_take_profit.js (ESM)
+// Ladder maths of take_profit.js on fake positions (no RPC, no sells):
+//   node test_take_profit.js
+//
+// Ladder used below: 30% at +100%, 30% at +200%, 40% at +400%
+
+import { parseLadder, nextTranche, recordTranche } from "./take_profit.js";
+
+const LADDER = parseLadder("200:30,100:30,400:40");
+
+let failures = 0;
+function check(name, cond, detail = "") {
+  console.log(`${cond ? "✅" : "❌"} ${name}${detail ? ` — ${detail}` : ""}`);
+  if (!cond) failures += 1;
+}
+
+// 1_000_000 raw (1 token at 6 decimals) bought for 1 SOL
+function freshPosition() {
+  return { mint: "TEST", amountToken: "1000000", amountSol: 1, buyPriceSOL: 1 };
+}
+
+function fill(pos, profitPct, extra = {}) {
+  const tranche = nextTranche(pos, profitPct, LADDER);
+  const booked = tranche ? recordTranche(pos, tranche, { priceSOL: 0, profitPct, ...extra }) : null;
+  return { tranche, booked };
+}
+
+// ---------------- parsing ----------------
+check("ladder sorted by target", LADDER.map((r) => r.targetPct).join(",") === "100,200,400");
+check("sell share capped at 100%", parseLadder("100:80,200:50").reduce((s, r) => s + r.sellPct, 0) === 100);
+check("invalid rungs dropped", parseLadder("x:10,100:0,50:20").length === 1);
+
+// ---------------- one rung at a time ----------------
+{
+  const pos = freshPosition();
+
+  check("nothing below the first rung", nextTranche(pos, 99, LADDER) === null);
+
+  const { tranche, booked } = fill(pos, 120);
+  check("first rung sells 30%", tranche.amountRaw === "300000" && !tranche.final, tranche.amountRaw);
+  check("remainder kept on the position", pos.amountToken === "700000", pos.amountToken);
+  check("cost basis reduced to the remainder", Math.abs(pos.amountSol - 0.7) < 1e-12, String(pos.amountSol));
+  check("proceeds valued at the trigger price", Math.abs(booked.proceedsSol - 0.3 * 2.2) < 1e-12, String(booked.proceedsSol));
+  check("filled rung not sold twice", nextTranche(pos, 150, LADDER) === null);
+
+  const second = fill(pos, 210);
+  check("second rung sells 30% of the original size", second.tranche.amountRaw === "300000", second.tranche.amountRaw);
+  check("realized proceeds accumulate", Math.abs(pos.takeProfit.realizedSol - (0.66 + 0.3 * 3.1)) < 1e-12, String(pos.takeProfit.realizedSol));
+
+  const last = nextTranche(pos, 400, LADDER);
+  check("last rung covering the rest is a full exit", last.final && last.amountRaw === "400000", JSON.stringify(last));
+}
+
+// ---------------- several rungs crossed in one tick ----------------
+{
+  const pos = freshPosition();
+  const { tranche } = fill(pos, 250);
+
+  check("both rungs taken in one tranche", tranche.targets.join(",") === "100,200" && tranche.sellPct === 60);
+  check("combined amount sold", tranche.amountRaw === "600000" && pos.amountToken === "400000", tranche.amountRaw);
+  check("both rungs marked filled", pos.takeProfit.filledTargets.join(",") === "100,200");
+}
+
+// ---------------- capped at the remaining amount ----------------
+{
+  const pos = freshPosition();
+  fill(pos, 120);
+  pos.amountToken = "200000"; // tokens left the wallet outside the ladder
+
+  const tranche = nextTranche(pos, 210, LADDER);
+  check("tranche capped at what is left", tranche.amountRaw === "200000", tranche.amountRaw);
+  check("capped tranche is a full exit", tranche.final === true);
+}
+
+// ---------------- actual fill proceeds ----------------
+{
+  const pos = freshPosition();
+  const { booked } = fill(pos, 120, { fill: { effectiveSol: 0.5, effectivePriceSol: 1.6667 } });
+
+  check("fill proceeds replace the estimate", booked.proceedsSol === 0.5, String(booked.proceedsSol));
+  check("tranche keeps the effective exit price", pos.takeProfit.tranches[0].exitPriceSol === 1.6667);
+}
+
+// ---------------- legacy position without amountSol ----------------
+{
+  const pos = { mint: "TEST", amountToken: "1000000", entryPrice: 1 };
+  const { booked } = fill(pos, 100);
+
+  check("cost from entry price when amountSol is missing", Math.abs(booked.costSol - 0.3) < 1e-12, String(booked.costSol));
+  check("amountSol not invented", pos.amountSol === undefined);
+}
+
+console.log(failures ? `\n${failures} check(s) failed` : "\nall checks passed");
+process.exit(failures ? 1 : 0);
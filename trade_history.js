@@ -0,0 +1,50 @@
+// trade_history.js (ESM)
+// Append-only JSONL of executed trades (entries, take-profit tranches, exits):
+//   { ts, side, mint, reason, mode, signatures, amountToken, priceSol, costBasisSol, proceedsSol, pnlSol, fill }
+//
+// priceSol is the effective fill price from fill_parser.js when the
+// transaction could be read (fill != null), the quoted / trigger price otherwise.
+
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+
+export const TRADE_HISTORY_FILE = path.resolve(
+  process.env.TRADE_HISTORY_FILE || "./trade_history.jsonl"
+);
+
+// bigint -> string; PublicKey already serializes to base58 via toJSON
+function replacer(_key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+/**
+ * Append one trade. Never throws: the history must not break trading.
+ * @param {{ side: "buy"|"sell", mint: string, reason?: string, mode?: string, signatures?: string[],
+ *   amountToken?: string, priceSol?: number|null, costBasisSol?: number|null, proceedsSol?: number|null,
+ *   pnlSol?: number|null, fill?: object|null }} entry
+ */
+export function appendTrade(entry) {
+  const line = {
+    ts: new Date().toISOString(),
+    side: entry.side,
+    mint: entry.mint,
+    reason: entry.reason ?? null,
+    mode: entry.mode ?? null,
+    signatures: entry.signatures || [],
+    amountToken: entry.amountToken ?? null,
+    priceSol: entry.priceSol ?? null,
+    costBasisSol: entry.costBasisSol ?? null,
+    proceedsSol: entry.proceedsSol ?? null,
+    pnlSol: entry.pnlSol ?? null,
+    fill: entry.fill ?? null,
+  };
+
+  try {
+    fs.appendFileSync(TRADE_HISTORY_FILE, JSON.stringify(line, replacer) + "\n");
+    return true;
+  } catch (err) {
+    console.error("[TRADE_HISTORY] append failed:", err?.message || err);
+    return false;
+  }
+}
@@ -0,0 +1,307 @@
+// tx_manager.js (ESM)
+// Shared transaction lifecycle: sign once, send, rebroadcast the same signed
+// bytes every TX_REBROADCAST_MS until the signature is confirmed or its
+// blockhash expires. Every signature is tracked with a precise outcome:
+//
+//   landed   confirmed without error
+//   failed   confirmed with a program error (never retried)
+//   expired  block height passed lastValidBlockHeight without the signature
+//            landing; it can no longer land, so rebuilding with a fresh
+//            blockhash is safe (up to TX_MAX_ATTEMPTS signatures)
+//   unknown  sent, but status RPC calls kept failing for TX_POLL_GIVEUP_MS;
+//            the signature may still have landed, so it is never rebuilt
+//   rejected the RPC answered the first send with an error (never accepted)
+//
+// Once signed, the bytes may reach a leader even when the send call fails
+// (timeout, 429, dropped socket), so transport errors on any send, the first
+// included, and transient errors while polling never escape: the same bytes
+// are driven until landed / failed / expired. Callers retry on RPC errors and
+// would otherwise buy twice.
+//
+// sendTransaction() returns the signature or throws (err.code TX_FAILED /
+// TX_EXPIRED / TX_UNCONFIRMED / TX_REJECTED); submitTransaction() returns the
+// full outcome.
+//
+// TX_BROADCAST_MODE=multi sends every (re)broadcast to all endpoints from
+// broadcaster.js in parallel and polls status on all of them; the endpoint
+// that reports the signature first is credited in the broadcast stats.
+
+import "dotenv/config";
+import bs58 from "bs58";
+import { SendTransactionError, TransactionMessage, VersionedTransaction } from "@solana/web3.js";
+import {
+  getBroadcastEndpoints,
+  broadcastRaw,
+  pollSignatureStatus,
+  recordLanding,
+} from "./broadcaster.js";
+
+const COMMITMENT = process.env.COMMITMENT || "confirmed";
+const REBROADCAST_MS = Number(process.env.TX_REBROADCAST_MS || 2_000);
+const STATUS_POLL_MS = Number(process.env.TX_STATUS_POLL_MS || REBROADCAST_MS);
+const BROADCAST_MODE = String(process.env.TX_BROADCAST_MODE || "single").toLowerCase();
+const MAX_ATTEMPTS = Number(process.env.TX_MAX_ATTEMPTS || 2);
+const SKIP_PREFLIGHT = process.env.TX_SKIP_PREFLIGHT !== "0";
+const TRACK_MAX = Number(process.env.TX_TRACK_MAX || 500);
+// longer than a blockhash lifetime (~150 blocks)
+const POLL_GIVEUP_MS = Number(process.env.TX_POLL_GIVEUP_MS || 120_000);
+
+// signature -> { signature, label, status, attempt, sends, sentAt, lastSentAt,
+//                lastValidBlockHeight, slot, err, finishedAt,
+//                endpoints, firstSeenBy, firstSeenMs }
+// status: pending | landed | failed | expired | unknown | rejected
+const TRACKED = new Map();
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ---------------- helpers ----------------
+function track(rec) {
+  TRACKED.set(rec.signature, rec);
+  if (TRACKED.size > TRACK_MAX) TRACKED.delete(TRACKED.keys().next().value);
+}
+
+function finish(rec, status, extra = {}) {
+  Object.assign(rec, extra, { status, finishedAt: Date.now() });
+  console.log("[TX_MANAGER]", {
+    label: rec.label,
+    signature: rec.signature,
+    status,
+    attempt: rec.attempt,
+    sends: rec.sends,
+    slot: rec.slot ?? null,
+    err: rec.err ?? null,
+    ...(rec.endpoints ? { endpoints: rec.endpoints.length, firstSeenBy: rec.firstSeenBy, firstSeenMs: rec.firstSeenMs } : {}),
+  });
+}
+
+function isConfirmed(status) {
+  const level = status?.confirmationStatus;
+  if (COMMITMENT === "finalized") return level === "finalized";
+  return level === "confirmed" || level === "finalized";
+}
+
+/**
+ * Sign a v0 transaction with a fresh blockhash (signers[0] pays).
+ * @returns {Promise<{ raw: Uint8Array, signature: string, lastValidBlockHeight: number }>}
+ */
+export async function signTransaction(conn, instructions, signers) {
+  const { blockhash, lastValidBlockHeight } = await conn.getLatestBlockhash(COMMITMENT);
+
+  const msg = new TransactionMessage({
+    payerKey: signers[0].publicKey,
+    recentBlockhash: blockhash,
+    instructions,
+  }).compileToV0Message();
+
+  const tx = new VersionedTransaction(msg);
+  tx.sign(signers);
+
+  return { raw: tx.serialize(), signature: bs58.encode(tx.signatures[0]), lastValidBlockHeight };
+}
+
+// Send failures are logged, not thrown: a failed call may still have delivered
+// the bytes, and the status loop rebroadcasts. Only an explicit JSON-RPC
+// rejection of the first send (nothing was accepted) throws, err.code TX_REJECTED.
+async function broadcast(conn, raw, rec, endpoints) {
+  rec.lastSentAt = Date.now();
+
+  if (endpoints) {
+    const { accepted, results } = await broadcastRaw(raw, endpoints, { skipPreflight: SKIP_PREFLIGHT });
+    if (accepted) rec.sends += 1;
+    else console.log("[TX_MANAGER] broadcast failed on all endpoints", { label: rec.label, signature: rec.signature, err: results[0]?.error || "no endpoints" });
+    return;
+  }
+
+  try {
+    await conn.sendRawTransaction(raw, { skipPreflight: SKIP_PREFLIGHT, maxRetries: 0 });
+    rec.sends += 1;
+  } catch (e) {
+    if (e instanceof SendTransactionError && rec.sends === 0) {
+      const error = new Error(`Tx rejected by RPC: ${rec.signature}`, { cause: e });
+      error.code = "TX_REJECTED";
+      throw error;
+    }
+    // a rebroadcast of an already processed tx is expected to be rejected
+    console.log("[TX_MANAGER] send failed, driving the same bytes", { label: rec.label, signature: rec.signature, err: e?.message || String(e) });
+  }
+}
+
+async function fetchStatus(conn, rec, endpoints) {
+  if (!endpoints) {
+    const { value } = await conn.getSignatureStatuses([rec.signature]);
+    return value?.[0] || null;
+  }
+
+  const { status, url } = await pollSignatureStatus(rec.signature, endpoints);
+  if (status && !rec.firstSeenBy) {
+    rec.firstSeenBy = url;
+    rec.firstSeenMs = Date.now() - rec.sentAt;
+  }
+  return status;
+}
+
+// One status round; true once the signature reached a final state
+async function pollOnce(conn, raw, rec, endpoints) {
+  const status = await fetchStatus(conn, rec, endpoints);
+
+  if (status?.err) {
+    finish(rec, "failed", { slot: status.slot, err: status.err });
+    return true;
+  }
+
+  if (isConfirmed(status)) {
+    finish(rec, "landed", { slot: status.slot });
+    if (endpoints) recordLanding(rec.firstSeenBy, rec.firstSeenMs);
+    return true;
+  }
+
+  const height = await conn.getBlockHeight(COMMITMENT);
+  if (height > rec.lastValidBlockHeight) {
+    // final check across history: past this height the tx cannot land anymore
+    const { value: last } = await conn.getSignatureStatuses([rec.signature], {
+      searchTransactionHistory: true,
+    });
+    const s = last?.[0];
+
+    if (s?.err) finish(rec, "failed", { slot: s.slot, err: s.err });
+    // processed at the boundary: wait for it instead of rebuilding
+    else if (s && (isConfirmed(s) || s.confirmationStatus === "processed")) return false;
+    else finish(rec, "expired");
+
+    return true;
+  }
+
+  if (!status && Date.now() - rec.lastSentAt >= REBROADCAST_MS) await broadcast(conn, raw, rec, endpoints);
+  return false;
+}
+
+// One signature: rebroadcast until landed / failed / expired (or unknown)
+async function driveSignature(conn, raw, rec) {
+  const endpoints = BROADCAST_MODE === "multi" ? getBroadcastEndpoints(conn) : null;
+  if (endpoints) rec.endpoints = endpoints.map((e) => e.url);
+
+  await broadcast(conn, raw, rec, endpoints);
+
+  let failingSince = null;
+
+  for (;;) {
+    await sleep(STATUS_POLL_MS);
+
+    try {
+      if (await pollOnce(conn, raw, rec, endpoints)) return rec;
+      failingSince = null;
+    } catch (e) {
+      failingSince ??= Date.now();
+      console.log("[TX_MANAGER] status poll failed, retrying", {
+        label: rec.label,
+        signature: rec.signature,
+        err: e?.message || String(e),
+      });
+
+      if (Date.now() - failingSince >= POLL_GIVEUP_MS) {
+        finish(rec, "unknown", { err: e?.message || String(e) });
+        return rec;
+      }
+    }
+  }
+}
+
+// ---------------- PUBLIC API ----------------
+/**
+ * Sign, send and track a transaction until it lands, fails or expires.
+ * Expired signatures are rebuilt with a fresh blockhash (maxAttempts total).
+ * `signed` (from signTransaction) is driven as the first attempt instead of
+ * signing `instructions`, e.g. to keep pushing bytes already sent elsewhere.
+ * @param {import("@solana/web3.js").Connection} conn
+ * @param {import("@solana/web3.js").TransactionInstruction[]} instructions
+ * @param {import("@solana/web3.js").Keypair[]} signers - signers[0] pays
+ * @param {{ label?: string, maxAttempts?: number, signed?: { raw: Uint8Array, signature: string, lastValidBlockHeight: number } }} [opts]
+ * @returns {Promise<{ status: string, signature: string, signatures: string[], attempts: number, slot?: number, err?: any }>}
+ */
+export async function submitTransaction(
+  conn,
+  instructions,
+  signers,
+  { label = "tx", maxAttempts = MAX_ATTEMPTS, signed = null } = {}
+) {
+  const signatures = [];
+  let rec = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const { raw, signature, lastValidBlockHeight } =
+      attempt === 1 && signed ? signed : await signTransaction(conn, instructions, signers);
+
+    rec = {
+      signature,
+      label,
+      status: "pending",
+      attempt,
+      sends: 0,
+      sentAt: Date.now(),
+      lastSentAt: null,
+      lastValidBlockHeight,
+      slot: null,
+      err: null,
+      finishedAt: null,
+      endpoints: null,
+      firstSeenBy: null,
+      firstSeenMs: null,
+    };
+    track(rec);
+    signatures.push(rec.signature);
+
+    try {
+      await driveSignature(conn, raw, rec);
+    } catch (e) {
+      if (e.code === "TX_REJECTED") finish(rec, "rejected", { err: e.cause?.message || e.message });
+      else finish(rec, "unknown", { err: e?.message || String(e) });
+    }
+
+    if (rec.status !== "expired") break;
+    if (attempt < maxAttempts) console.log("[TX_MANAGER] expired, rebuilding", { label, attempt });
+  }
+
+  return {
+    status: rec.status,
+    signature: rec.signature,
+    signatures,
+    attempts: signatures.length,
+    slot: rec.slot,
+    err: rec.err,
+  };
+}
+
+/**
+ * Drop-in replacement for the old send-once senders: returns the landed
+ * signature, throws with err.code TX_FAILED / TX_EXPIRED / TX_UNCONFIRMED
+ * otherwise. The message never carries the underlying RPC error (kept as
+ * `cause`), so RPC failover does not treat a sent transaction as retryable.
+ */
+export async function sendTransaction(conn, instructions, signers, opts = {}) {
+  const res = await submitTransaction(conn, instructions, signers, opts);
+
+  if (res.status === "landed") return res.signature;
+
+  const CODES = { failed: "TX_FAILED", expired: "TX_EXPIRED", unknown: "TX_UNCONFIRMED", rejected: "TX_REJECTED" };
+
+  let error;
+  if (res.status === "failed") error = new Error(`Tx failed: ${JSON.stringify(res.err)}`);
+  else if (res.status === "unknown") {
+    error = new Error(`Tx sent but outcome unknown, check before retrying: ${res.signatures.join(", ")}`, { cause: res.err });
+  } else if (res.status === "rejected") {
+    error = new Error(`Tx rejected by RPC: ${res.signatures.join(", ")}`, { cause: res.err });
+  } else error = new Error(`Tx expired after ${res.attempts} attempt(s): ${res.signatures.join(", ")}`);
+  error.code = CODES[res.status];
+  error.signatures = res.signatures;
+  throw error;
+}
+
+export function getTxStatus(signature) {
+  return TRACKED.get(String(signature || "")) || null;
+}
+
+export function listTrackedTxs({ label = null, status = null } = {}) {
+  return [...TRACKED.values()].filter(
+    (r) => (!label || r.label === label) && (!status || r.status === status)
+  );
+}
@@ -0,0 +1,146 @@
+// tx_simulation.js (ESM)
+// Simulate-before-send for every transaction builder.
+//
+// prepareInstructions() simulates the instructions under the maximum CU
+// limit, then returns them behind compute-budget instructions sized to the
+// units consumed plus a margin (CU_MARGIN_PCT) and priced by fee_estimator.js.
+// A failing simulation throws before anything is sent, with err.code:
+//   SIM_SLIPPAGE            slippage / min-out / max-cost exceeded
+//   SIM_OVERFLOW            program overflow (0x1788), callers split the size
+//   SIM_INSUFFICIENT_FUNDS  lamports or token balance too low
+//   SIM_PROGRAM_ERROR       anything else
+// When the RPC cannot simulate at all, the fixed DEFAULT_CU_LIMIT is used.
+
+import "dotenv/config";
+import {
+  ComputeBudgetProgram,
+  TransactionMessage,
+  VersionedTransaction,
+} from "@solana/web3.js";
+import { buildComputeBudgetIxs, estimatePriorityFee, writableAccountsOf } from "./fee_estimator.js";
+
+const MAX_CU_LIMIT = 1_400_000;
+const CU_MARGIN_PCT = Number(process.env.CU_MARGIN_PCT || 15);
+const CU_MIN_LIMIT = Number(process.env.CU_MIN_LIMIT || 10_000);
+const COMMITMENT = process.env.COMMITMENT || "confirmed";
+
+// replaced by the RPC (replaceRecentBlockhash)
+const PLACEHOLDER_BLOCKHASH = "11111111111111111111111111111111";
+
+// ---------------- error classification ----------------
+const SLIPPAGE_PATTERNS = [
+  /slippage/i,
+  /TooMuchSolRequired/,
+  /TooLittleSolReceived/,
+  /ExceededSlippage/,
+];
+
+const OVERFLOW_PATTERNS = [/Overflow/, /0x1788/];
+
+const INSUFFICIENT_PATTERNS = [
+  /insufficient lamports/i,
+  /insufficient funds/i,
+  /InsufficientFunds/,
+];
+
+// Anchor custom error 6024 = 0x1788 (Overflow)
+const OVERFLOW_CUSTOM_CODE = 0x1788;
+
+function classifySimulationError(err, logs) {
+  const text = `${JSON.stringify(err)}\n${(logs || []).join("\n")}`;
+  const custom = err?.InstructionError?.[1]?.Custom;
+
+  if (custom === OVERFLOW_CUSTOM_CODE || OVERFLOW_PATTERNS.some((re) => re.test(text))) return "SIM_OVERFLOW";
+  if (SLIPPAGE_PATTERNS.some((re) => re.test(text))) return "SIM_SLIPPAGE";
+  if (INSUFFICIENT_PATTERNS.some((re) => re.test(text))) return "SIM_INSUFFICIENT_FUNDS";
+
+  // SPL token error 1 = InsufficientFunds
+  if (custom === 1 && /Tokenkeg|TokenzQd/.test(text)) return "SIM_INSUFFICIENT_FUNDS";
+
+  return "SIM_PROGRAM_ERROR";
+}
+
+function programErrorLine(logs) {
+  return (logs || []).filter((l) => /error|failed/i.test(l)).slice(-2).join(" | ");
+}
+
+// ---------------- simulation ----------------
+/**
+ * Simulate instructions for `payer` without signing.
+ * @returns {Promise<{ err: any, logs: string[], unitsConsumed: number|null }>}
+ */
+export async function simulateInstructions(conn, instructions, payer) {
+  const msg = new TransactionMessage({
+    payerKey: payer,
+    recentBlockhash: PLACEHOLDER_BLOCKHASH,
+    instructions,
+  }).compileToV0Message();
+
+  const res = await conn.simulateTransaction(new VersionedTransaction(msg), {
+    sigVerify: false,
+    replaceRecentBlockhash: true,
+    commitment: COMMITMENT,
+  });
+
+  return {
+    err: res.value.err,
+    logs: res.value.logs || [],
+    unitsConsumed: res.value.unitsConsumed ?? null,
+  };
+}
+
+/**
+ * Simulate, then prepend compute-budget instructions sized from the result.
+ * @param {import("@solana/web3.js").Connection} conn
+ * @param {import("@solana/web3.js").TransactionInstruction[]} instructions - without compute-budget ixs
+ * @param {{ payer: import("@solana/web3.js").PublicKey, level?: string }} opts
+ * @returns {Promise<import("@solana/web3.js").TransactionInstruction[]>}
+ */
+export async function prepareInstructions(conn, instructions, { payer, level = "normal" }) {
+  const fee = await estimatePriorityFee(conn, {
+    accounts: writableAccountsOf(instructions),
+    level,
+  });
+
+  let sim;
+  try {
+    sim = await simulateInstructions(
+      conn,
+      [
+        ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_CU_LIMIT }),
+        ComputeBudgetProgram.setComputeUnitPrice({ microLamports: fee.microLamports }),
+        ...instructions,
+      ],
+      payer
+    );
+  } catch (e) {
+    console.warn("[TX_SIM] simulation unavailable, using default CU limit:", e?.message || e);
+    return [...(await buildComputeBudgetIxs(conn, instructions, { level, fee })), ...instructions];
+  }
+
+  if (sim.err) {
+    const code = classifySimulationError(sim.err, sim.logs);
+    const detail = programErrorLine(sim.logs);
+    const label = code === "SIM_OVERFLOW" ? "Overflow (0x1788)" : code.slice(4).toLowerCase();
+
+    console.log("[TX_SIM_FAIL]", { code, err: sim.err, detail });
+
+    const error = new Error(`Simulation failed: ${label}: ${JSON.stringify(sim.err)}${detail ? ` | ${detail}` : ""}`);
+    error.code = code;
+    error.logs = sim.logs;
+    throw error;
+  }
+
+  const consumed = Number(sim.unitsConsumed) || 0;
+  const units = consumed > 0
+    ? Math.min(MAX_CU_LIMIT, Math.max(CU_MIN_LIMIT, Math.ceil(consumed * (1 + CU_MARGIN_PCT / 100))))
+    : undefined;
+
+  console.log("[TX_SIM_OK]", { unitsConsumed: consumed, unitLimit: units ?? "default", microLamports: fee.microLamports, level: fee.level });
+
+  // same price as simulated: no second estimate that could differ
+  return [
+    ...(await buildComputeBudgetIxs(conn, instructions, { level, units, fee })),
+    ...instructions,
+  ];
+}
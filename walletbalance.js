@@ -28,11 +28,17 @@ const MAX_POSITIONS_PRINT = Number(process.env.MAX_POSITIONS_PRINT || 25);
 const conn = new Connection(RPC_URL, "confirmed");
 
 // ================= EXPORTS =================
-// If other modules depend on these, keep them exported.
-// You can update the logic later if you want trade sizing tied to balance.
+// Set by position_sizing.js on every sizing decision:
+//   currentTradeAmount   last buy size (SOL)
+//   computeUnitPerTrade  SOL held back per trade for fees / rent
 export let currentTradeAmount = 0;
 export let computeUnitPerTrade = 0;
 
+export function setTradeSizing({ tradeAmount, computeUnits } = {}) {
+  if (Number.isFinite(tradeAmount)) currentTradeAmount = tradeAmount;
+  if (Number.isFinite(computeUnits)) computeUnitPerTrade = computeUnits;
+}
+
 // ================= HELPERS =================
 function safeReadJson(file, fallback) {
   try {